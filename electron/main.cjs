@@ -1,8 +1,9 @@
 const { app, BrowserWindow, Menu, dialog, ipcMain, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { PDFDocument } = require('pdf-lib');
+const { PDFArray, PDFDict, PDFDocument, PDFName, PDFSignature } = require('pdf-lib');
 const forge = require('node-forge');
+const { createSecurity, decryptPdf, encryptPdf } = require('./pdfSecurity.cjs');
 
 const isDev = !app.isPackaged;
 const devServerUrl = process.env.VITE_DEV_SERVER_URL || 'http://localhost:5173';
@@ -15,8 +16,12 @@ const devServerOrigin = (() => {
   }
 })();
 const allowedWritePaths = new Set();
+const allowedWriteDirectories = new Set();
 const MAX_PDF_BYTES = 50 * 1024 * 1024;
 const MAX_CERT_BYTES = 5 * 1024 * 1024;
+const MAX_FONT_BYTES = 30 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_FORM_DATA_BYTES = 10 * 1024 * 1024;
 
 const normalizePath = (filePath) => {
   if (!filePath) return '';
@@ -29,6 +34,25 @@ const rememberWritePath = (filePath) => {
   allowedWritePaths.add(normalizePath(filePath));
 };
 
+const rememberWriteDirectory = (directory) => {
+  if (!directory) return;
+  allowedWriteDirectories.add(normalizePath(directory));
+};
+
+const resolveDirectoryFile = (directory, name, { replace = false } = {}) => {
+  let fileName = path.basename(String(name || '')).trim();
+  if (!fileName || fileName === '.' || fileName === '..') return null;
+  if (!fileName.toLowerCase().endsWith('.pdf')) fileName = `${fileName}.pdf`;
+
+  const stem = fileName.slice(0, -4);
+  let filePath = path.join(directory, fileName);
+  if (replace) return filePath;
+  for (let copy = 2; fs.existsSync(filePath); copy += 1) {
+    filePath = path.join(directory, `${stem} (${copy}).pdf`);
+  }
+  return filePath;
+};
+
 const isTrustedUrl = (url) => {
   if (!url) return false;
   if (url.startsWith('file://')) return true;
@@ -67,6 +91,32 @@ const decodeBase64Payload = (data, maxBytes, label) => {
   return buffer;
 };
 
+const findEmptySignatureField = (pdfDoc, fieldName) => {
+  const field = pdfDoc.getForm().getFieldMaybe(fieldName);
+  if (!(field instanceof PDFSignature)) {
+    throw new Error(`Signature field "${fieldName}" was not found.`);
+  }
+  if (field.acroField.dict.has(PDFName.of('V'))) {
+    throw new Error(`Signature field "${fieldName}" is already signed.`);
+  }
+  return field;
+};
+
+// The placeholder helper always creates its own widget; hand its signature
+// value to the existing field and drop that widget again.
+const moveSignatureToField = (pdfDoc, page, field) => {
+  const fields = pdfDoc.getForm().acroForm.dict.lookup(PDFName.of('Fields'), PDFArray);
+  const placeholderRef = fields.get(fields.size() - 1);
+  const placeholder = pdfDoc.context.lookup(placeholderRef, PDFDict);
+  field.acroField.dict.set(PDFName.of('V'), placeholder.get(PDFName.of('V')));
+  fields.remove(fields.size() - 1);
+
+  const annots = page.node.lookup(PDFName.of('Annots'), PDFArray);
+  const index = annots.indexOf(placeholderRef);
+  if (index !== undefined) annots.remove(index);
+  pdfDoc.context.delete(placeholderRef);
+};
+
 const isSafeExternalUrl = (url) => {
   try {
     const parsed = new URL(url);
@@ -151,6 +201,29 @@ ipcMain.handle(
   })
 );
 
+ipcMain.handle(
+  'dialog:openInsertPdf',
+  withTrustedSender(async () => {
+  const result = await dialog.showOpenDialog({
+    title: 'Insert Pages From PDF',
+    filters: [{ name: 'PDF Documents', extensions: ['pdf'] }],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  if (fs.statSync(filePath).size > MAX_PDF_BYTES) {
+    return { error: 'PDF is too large to insert.' };
+  }
+  const data = fs.readFileSync(filePath);
+  return {
+    name: path.basename(filePath),
+    data: data.toString('base64')
+  };
+  })
+);
+
 ipcMain.handle(
   'dialog:savePdf',
   withTrustedSender(async (_event, payload) => {
@@ -202,6 +275,65 @@ ipcMain.handle(
   })
 );
 
+ipcMain.handle(
+  'dialog:chooseDirectory',
+  withTrustedSender(async (_event, payload) => {
+  const { title } = payload || {};
+  const result = await dialog.showOpenDialog({
+    title: title || 'Choose Folder',
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+  const directory = result.filePaths[0];
+  rememberWriteDirectory(directory);
+  return { path: directory };
+  })
+);
+
+// Mail merge writes many files at once, so the folder's existing PDFs are
+// listed up front to let the user choose between replacing and keeping both.
+ipcMain.handle(
+  'dialog:chooseMergeDirectory',
+  withTrustedSender(async () => {
+  const result = await dialog.showOpenDialog({
+    title: 'Choose a folder for the merged PDFs',
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+  const directory = result.filePaths[0];
+  try {
+    const existing = fs
+      .readdirSync(directory, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith('.pdf'))
+      .map((entry) => entry.name);
+    rememberWriteDirectory(directory);
+    return { path: directory, existing };
+  } catch (error) {
+    return { error: error.message || 'Could not read the folder.' };
+  }
+  })
+);
+
+ipcMain.handle(
+  'file:writePdfToDirectory',
+  withTrustedSender(async (_event, payload) => {
+  const { directory, name, data, replace } = payload || {};
+  if (!directory || !data) return null;
+  if (!allowedWriteDirectories.has(normalizePath(directory))) {
+    return { error: 'Save folder not approved.' };
+  }
+  const filePath = resolveDirectoryFile(directory, name, { replace: Boolean(replace) });
+  if (!filePath) {
+    return { error: 'Invalid file name.' };
+  }
+  const buffer = decodeBase64Payload(data, MAX_PDF_BYTES, 'PDF');
+  fs.writeFileSync(filePath, buffer);
+  return { path: filePath };
+  })
+);
+
 ipcMain.handle(
   'cert:createSelfSigned',
   withTrustedSender(async (_event, payload) => {
@@ -306,6 +438,98 @@ ipcMain.handle(
   })
 );
 
+ipcMain.handle(
+  'dialog:openFont',
+  withTrustedSender(async () => {
+  const result = await dialog.showOpenDialog({
+    title: 'Add Font',
+    filters: [{ name: 'Fonts', extensions: ['ttf', 'otf'] }],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  if (fs.statSync(filePath).size > MAX_FONT_BYTES) {
+    return { error: 'Font file is too large.' };
+  }
+  const data = fs.readFileSync(filePath);
+  return {
+    name: path.basename(filePath),
+    path: filePath,
+    data: data.toString('base64')
+  };
+  })
+);
+
+ipcMain.handle(
+  'dialog:openImage',
+  withTrustedSender(async () => {
+  const result = await dialog.showOpenDialog({
+    title: 'Choose Image',
+    filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg'] }],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  if (fs.statSync(filePath).size > MAX_IMAGE_BYTES) {
+    return { error: 'Image file is too large.' };
+  }
+  const data = fs.readFileSync(filePath);
+  return {
+    name: path.basename(filePath),
+    data: data.toString('base64')
+  };
+  })
+);
+
+ipcMain.handle(
+  'dialog:openFormData',
+  withTrustedSender(async () => {
+  const result = await dialog.showOpenDialog({
+    title: 'Import Form Data',
+    filters: [{ name: 'Form Data', extensions: ['fdf', 'xfdf', 'json', 'csv'] }],
+    properties: ['openFile']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const filePath = result.filePaths[0];
+  if (fs.statSync(filePath).size > MAX_FORM_DATA_BYTES) {
+    return { error: 'Form data file is too large.' };
+  }
+  const data = fs.readFileSync(filePath);
+  return {
+    name: path.basename(filePath),
+    data: data.toString('base64')
+  };
+  })
+);
+
+ipcMain.handle(
+  'dialog:saveFormData',
+  withTrustedSender(async (_event, payload) => {
+  const { name, data } = payload || {};
+  const extension = path.extname(String(name || '')).slice(1).toLowerCase();
+  if (!['fdf', 'xfdf', 'json', 'csv'].includes(extension)) {
+    return { error: 'Unsupported form data format.' };
+  }
+  const result = await dialog.showSaveDialog({
+    title: 'Export Form Data',
+    defaultPath: name,
+    filters: [{ name: `${extension.toUpperCase()} Form Data`, extensions: [extension] }]
+  });
+
+  if (result.canceled || !result.filePath) return null;
+
+  const buffer = decodeBase64Payload(data, MAX_FORM_DATA_BYTES, 'Form data');
+  fs.writeFileSync(result.filePath, buffer);
+  return { path: result.filePath };
+  })
+);
+
 ipcMain.handle(
   'pdf:signWithP12',
   withTrustedSender(async (_event, payload) => {
@@ -319,7 +543,8 @@ ipcMain.handle(
       location,
       contactInfo,
       pageIndex,
-      rect
+      rect,
+      fieldName
     } = payload || {};
 
     const pdfBuffer = decodeBase64Payload(pdfBase64, MAX_PDF_BYTES, 'PDF');
@@ -340,6 +565,7 @@ ipcMain.handle(
     }
 
     const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const targetField = fieldName ? findEmptySignatureField(pdfDoc, fieldName) : null;
     const pages = pdfDoc.getPages();
     const safePageIndex = Math.min(Math.max(Number(pageIndex) || 0, 0), pages.length - 1);
     const page = pages[safePageIndex];
@@ -355,7 +581,7 @@ ipcMain.handle(
 
     pdflibAddPlaceholder({
       pdfDoc,
-      page,
+      pdfPage: page,
       reason: reason || 'Signed with FillForge',
       contactInfo: contactInfo || '',
       name: name || 'FillForge User',
@@ -363,6 +589,9 @@ ipcMain.handle(
       signatureLength: 8192,
       widgetRect
     });
+    if (targetField) {
+      moveSignatureToField(pdfDoc, page, targetField);
+    }
 
     const pdfWithPlaceholder = await pdfDoc.save({ useObjectStreams: false });
     const signer = new P12Signer(certBuffer, {
@@ -376,3 +605,37 @@ ipcMain.handle(
   }
   })
 );
+
+ipcMain.handle(
+  'pdf:decrypt',
+  withTrustedSender(async (_event, payload) => {
+  try {
+    const { pdfBase64, password } = payload || {};
+    const pdfBuffer = decodeBase64Payload(pdfBase64, MAX_PDF_BYTES, 'PDF');
+    const { bytes, security, owner } = await decryptPdf(
+      pdfBuffer,
+      String(password || '')
+    );
+    return { data: bytes.toString('base64'), security, owner };
+  } catch (error) {
+    return { error: error.message || 'Failed to decrypt PDF.' };
+  }
+  })
+);
+
+ipcMain.handle(
+  'pdf:encrypt',
+  withTrustedSender(async (_event, payload) => {
+  try {
+    const { pdfBase64, security, settings } = payload || {};
+    const pdfBuffer = decodeBase64Payload(pdfBase64, MAX_PDF_BYTES, 'PDF');
+    const encrypted = await encryptPdf(
+      pdfBuffer,
+      settings ? createSecurity(settings) : security
+    );
+    return { data: encrypted.toString('base64') };
+  } catch (error) {
+    return { error: error.message || 'Failed to encrypt PDF.' };
+  }
+  })
+);
@@ -0,0 +1,614 @@
+const crypto = require('crypto');
+const {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFObjectStreamParser,
+  PDFParser,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  PDFWriter,
+  PDFXRefStreamParser
+} = require('pdf-lib');
+
+// Standard security handler (PDF 32000 section 7.6.3) for RC4 and AES files.
+// Decrypted documents carry a plain `security` description back to the
+// renderer so the same protection can be applied again on export.
+
+const PASSWORD_PADDING = Buffer.from(
+  '28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a',
+  'hex'
+);
+const ENDOBJ = Buffer.from('endobj');
+const EMPTY = Buffer.alloc(0);
+const CRYPT_METHODS = ['V2', 'AESV2', 'AESV3'];
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+const sha = (bits, ...parts) =>
+  crypto.createHash(`sha${bits}`).update(Buffer.concat(parts)).digest();
+
+const rc4 = (key, data) => {
+  const state = Array.from({ length: 256 }, (_, index) => index);
+  let j = 0;
+  for (let i = 0; i < 256; i += 1) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+  const output = Buffer.alloc(data.length);
+  let a = 0;
+  let b = 0;
+  for (let index = 0; index < data.length; index += 1) {
+    a = (a + 1) & 0xff;
+    b = (b + state[a]) & 0xff;
+    [state[a], state[b]] = [state[b], state[a]];
+    output[index] = data[index] ^ state[(state[a] + state[b]) & 0xff];
+  }
+  return output;
+};
+
+const xorKey = (key, value) => Buffer.from(key.map((byte) => byte ^ value));
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+const padPassword = (password) =>
+  Buffer.concat([
+    Buffer.isBuffer(password) ? password : Buffer.from(password, 'latin1'),
+    PASSWORD_PADDING
+  ]).subarray(0, 32);
+
+// Algorithm 2: the RC4/AES-128 file key for a user password.
+const legacyFileKey = (security, password) => {
+  const { revision, length, encryptMetadata } = security;
+  let key = md5(
+    padPassword(password),
+    security.owner,
+    int32(security.permissions),
+    security.id,
+    revision >= 4 && !encryptMetadata ? Buffer.from([0xff, 0xff, 0xff, 0xff]) : EMPTY
+  );
+  if (revision >= 3) {
+    for (let round = 0; round < 50; round += 1) key = md5(key.subarray(0, length));
+  }
+  return key.subarray(0, revision >= 3 ? length : 5);
+};
+
+// Algorithms 4 and 5: the U entry a file key produces.
+const legacyUserEntry = (security, key) => {
+  if (security.revision === 2) return rc4(key, PASSWORD_PADDING);
+  let value = rc4(key, md5(PASSWORD_PADDING, security.id));
+  for (let round = 1; round <= 19; round += 1) value = rc4(xorKey(key, round), value);
+  return Buffer.concat([value, Buffer.alloc(16)]);
+};
+
+const legacyOwnerKey = (security, ownerPassword) => {
+  let key = md5(padPassword(ownerPassword));
+  if (security.revision >= 3) {
+    for (let round = 0; round < 50; round += 1) key = md5(key);
+  }
+  return key.subarray(0, security.revision >= 3 ? security.length : 5);
+};
+
+// Algorithm 3: the O entry, which hides the user password under the owner's.
+const legacyOwnerEntry = (security, ownerPassword, userPassword) => {
+  const key = legacyOwnerKey(security, ownerPassword);
+  let value = rc4(key, padPassword(userPassword));
+  if (security.revision >= 3) {
+    for (let round = 1; round <= 19; round += 1) value = rc4(xorKey(key, round), value);
+  }
+  return value;
+};
+
+const matchesUserEntry = (security, key) => {
+  const length = security.revision === 2 ? 32 : 16;
+  return legacyUserEntry(security, key)
+    .subarray(0, length)
+    .equals(security.user.subarray(0, length));
+};
+
+// The password may be either one; the owner password unlocks the user
+// password stored in O (algorithm 7). The owner is tried first so a file
+// whose two passwords are the same still counts as opened by its owner.
+const legacyKey = (security, password) => {
+  const ownerKey = legacyOwnerKey(security, password);
+  let userPassword = security.owner;
+  if (security.revision === 2) {
+    userPassword = rc4(ownerKey, userPassword);
+  } else {
+    for (let round = 19; round >= 0; round -= 1) {
+      userPassword = rc4(xorKey(ownerKey, round), userPassword);
+    }
+  }
+  const key = legacyFileKey(security, userPassword);
+  if (matchesUserEntry(security, key)) return { key, owner: true };
+
+  const userKey = legacyFileKey(security, password);
+  return matchesUserEntry(security, userKey) ? { key: userKey, owner: false } : null;
+};
+
+const aesBlocks = (algorithm, key, iv, data, encrypt) => {
+  const cipher = encrypt
+    ? crypto.createCipheriv(algorithm, key, iv)
+    : crypto.createDecipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+// Algorithm 2.B; revision 5 used a single SHA-256 round instead.
+const hardenedHash = (revision, password, salt, userEntry = EMPTY) => {
+  let key = sha(256, password, salt, userEntry);
+  if (revision === 5) return key;
+  let block = EMPTY;
+  for (let round = 0; round < 64 || block[block.length - 1] > round - 32; round += 1) {
+    const chunk = Buffer.concat([password, key, userEntry]);
+    block = aesBlocks(
+      'aes-128-cbc',
+      key.subarray(0, 16),
+      key.subarray(16, 32),
+      Buffer.concat(Array(64).fill(chunk)),
+      true
+    );
+    const remainder = block.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    key = sha([256, 384, 512][remainder], block);
+  }
+  return key.subarray(0, 32);
+};
+
+const ZERO_IV = Buffer.alloc(16);
+
+const aes256Key = (security, password) => {
+  const bytes = Buffer.from(password, 'utf8').subarray(0, 127);
+  const { revision, owner, user } = security;
+  const userEntry = user.subarray(0, 48);
+  const unwrap = (salt, extra, wrapped) =>
+    aesBlocks(
+      'aes-256-cbc',
+      hardenedHash(revision, bytes, salt, extra),
+      ZERO_IV,
+      wrapped,
+      false
+    );
+
+  if (
+    hardenedHash(revision, bytes, owner.subarray(32, 40), userEntry).equals(
+      owner.subarray(0, 32)
+    )
+  ) {
+    return {
+      key: unwrap(owner.subarray(40, 48), userEntry, security.ownerKey),
+      owner: true
+    };
+  }
+  if (hardenedHash(revision, bytes, user.subarray(32, 40)).equals(user.subarray(0, 32))) {
+    return { key: unwrap(user.subarray(40, 48), EMPTY, security.userKey), owner: false };
+  }
+  return null;
+};
+
+const bytesOf = (value) =>
+  value instanceof PDFString || value instanceof PDFHexString
+    ? Buffer.from(value.asBytes())
+    : EMPTY;
+
+const findCryptFilter = (encrypt, entry) => {
+  const name = encrypt.lookup(PDFName.of(entry));
+  if (!(name instanceof PDFName) || name.decodeText() === 'Identity') return null;
+  const filters = encrypt.lookup(PDFName.of('CF'));
+  const filter = filters instanceof PDFDict ? filters.lookup(name) : null;
+  return filter instanceof PDFDict ? filter : null;
+};
+
+const cryptMethod = (encrypt, version, entry) => {
+  if (version < 4) return 'V2';
+  const filter = findCryptFilter(encrypt, entry);
+  const method = filter ? filter.lookup(PDFName.of('CFM')) : null;
+  const methodName = method instanceof PDFName ? method.decodeText() : 'None';
+  if (methodName !== 'None' && !CRYPT_METHODS.includes(methodName)) {
+    throw new Error(`The PDF uses an unsupported encryption method (${methodName}).`);
+  }
+  return methodName;
+};
+
+const readSecurity = (context) => {
+  const encrypt = context.lookup(context.trailerInfo.Encrypt);
+  if (!(encrypt instanceof PDFDict)) return null;
+  const filter = encrypt.lookup(PDFName.of('Filter'));
+  if (!(filter instanceof PDFName) || filter.decodeText() !== 'Standard') {
+    throw new Error('Only password-protected PDFs are supported, not certificate ones.');
+  }
+  const number = (key, fallback) => {
+    const value = encrypt.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+  };
+  const version = number('V', 0);
+  const revision = number('R', 0);
+  if (![1, 2, 4, 5].includes(version) || revision < 2 || revision > 6) {
+    throw new Error('The PDF uses an unsupported encryption revision.');
+  }
+  // V4 keeps the key length on the stream crypt filter, in bytes, though
+  // some writers give it in bits. Without one it is 128 bits.
+  let length = number('Length', 40) / 8;
+  if (version === 5) length = 32;
+  if (version === 4) {
+    const filter = findCryptFilter(encrypt, 'StmF') || findCryptFilter(encrypt, 'StrF');
+    const filterLength = filter?.lookup(PDFName.of('Length'));
+    const value = filterLength instanceof PDFNumber ? filterLength.asNumber() : 16;
+    length = value >= 40 ? value / 8 : value;
+  }
+  const ids = context.lookup(context.trailerInfo.ID);
+  const encryptMetadata = encrypt.lookup(PDFName.of('EncryptMetadata'));
+  return {
+    version,
+    revision,
+    length,
+    permissions: number('P', 0),
+    encryptMetadata: !(encryptMetadata instanceof PDFBool) || encryptMetadata.asBoolean(),
+    owner: bytesOf(encrypt.lookup(PDFName.of('O'))),
+    user: bytesOf(encrypt.lookup(PDFName.of('U'))),
+    ownerKey: bytesOf(encrypt.lookup(PDFName.of('OE'))),
+    userKey: bytesOf(encrypt.lookup(PDFName.of('UE'))),
+    perms: bytesOf(encrypt.lookup(PDFName.of('Perms'))),
+    streamMethod: cryptMethod(encrypt, version, 'StmF'),
+    stringMethod: cryptMethod(encrypt, version, 'StrF'),
+    id: ids instanceof PDFArray ? bytesOf(ids.lookup(0)) : EMPTY
+  };
+};
+
+const objectKey = (key, ref, method) => {
+  if (method === 'AESV3') return key;
+  const number = Buffer.from([
+    ref.objectNumber & 0xff,
+    (ref.objectNumber >> 8) & 0xff,
+    (ref.objectNumber >> 16) & 0xff,
+    ref.generationNumber & 0xff,
+    (ref.generationNumber >> 8) & 0xff
+  ]);
+  const salt = method === 'AESV2' ? Buffer.from('sAlT') : EMPTY;
+  return md5(key, number, salt).subarray(0, Math.min(key.length + 5, 16));
+};
+
+const aesAlgorithm = (method) => (method === 'AESV3' ? 'aes-256-cbc' : 'aes-128-cbc');
+
+// Damaged AES data is passed through rather than failing the whole file.
+const decryptData = (method, key, data) => {
+  if (method === 'V2') return rc4(key, data);
+  const blocks = Math.floor((data.length - 16) / 16);
+  if (blocks < 1) return EMPTY;
+  const plain = aesBlocks(
+    aesAlgorithm(method),
+    key,
+    data.subarray(0, 16),
+    data.subarray(16, 16 + blocks * 16),
+    false
+  );
+  const padding = plain[plain.length - 1];
+  if (padding < 1 || padding > 16) return plain;
+  return plain.subarray(0, plain.length - padding);
+};
+
+const encryptData = (method, key, data) => {
+  if (method === 'V2') return rc4(key, data);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(aesAlgorithm(method), key, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+};
+
+const isType = (object, type) =>
+  object instanceof PDFRawStream &&
+  object.dict.lookup(PDFName.of('Type')) === PDFName.of(type);
+
+// Signature contents are never encrypted, so they are left alone both ways.
+const transformStrings = (object, transform) => {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(transform(bytesOf(object)).toString('hex'));
+  }
+  if (object instanceof PDFArray) {
+    for (let index = 0; index < object.size(); index += 1) {
+      object.set(index, transformStrings(object.get(index), transform));
+    }
+  } else if (object instanceof PDFDict) {
+    const isSignature = object.has(PDFName.of('ByteRange'));
+    object.entries().forEach(([key, value]) => {
+      if (isSignature && key === PDFName.of('Contents')) return;
+      object.set(key, transformStrings(value, transform));
+    });
+  }
+  return object;
+};
+
+const transformObject = (security, key, ref, object, transform) => {
+  const crypt = (method) => (data) =>
+    method === 'None' ? data : transform(method, objectKey(key, ref, method), data);
+  if (object instanceof PDFRawStream) {
+    transformStrings(object.dict, crypt(security.stringMethod));
+    const skip = isType(object, 'Metadata') && !security.encryptMetadata;
+    const contents = skip
+      ? object.contents
+      : crypt(security.streamMethod)(Buffer.from(object.contents));
+    return PDFRawStream.of(object.dict, new Uint8Array(contents));
+  }
+  return transformStrings(object, crypt(security.stringMethod));
+};
+
+// pdf-lib would read encrypted object streams as garbage, so each object is
+// decrypted as it is parsed and object streams are unpacked afterwards.
+class DecryptingParser extends PDFParser {
+  constructor(bytes, decryptObject) {
+    super(bytes);
+    this.decryptObject = decryptObject;
+  }
+
+  async parseIndirectObject() {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    let object = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(ENDOBJ);
+
+    if (isType(object, 'XRef')) {
+      PDFXRefStreamParser.forStream(object).parseIntoContext();
+      return ref;
+    }
+    if (!this.decryptObject) {
+      this.context.assign(ref, object);
+      return ref;
+    }
+    object = this.decryptObject(ref, object);
+    if (isType(object, 'ObjStm')) {
+      await PDFObjectStreamParser.forStream(object).parseIntoContext();
+    } else {
+      this.context.assign(ref, object);
+    }
+    return ref;
+  }
+}
+
+const toHex = (buffer) => Buffer.from(buffer).toString('hex');
+const fromHex = (value) => Buffer.from(String(value || ''), 'hex');
+
+const describeSecurity = (security, key) => ({
+  version: security.version,
+  revision: security.revision,
+  length: security.length,
+  permissions: security.permissions,
+  encryptMetadata: security.encryptMetadata,
+  owner: toHex(security.owner),
+  user: toHex(security.user),
+  ownerKey: toHex(security.ownerKey),
+  userKey: toHex(security.userKey),
+  perms: toHex(security.perms),
+  streamMethod: security.streamMethod,
+  stringMethod: security.stringMethod,
+  id: toHex(security.id),
+  key: toHex(key)
+});
+
+const restoreSecurity = (description) => {
+  const security = {
+    ...description,
+    owner: fromHex(description?.owner),
+    user: fromHex(description?.user),
+    ownerKey: fromHex(description?.ownerKey),
+    userKey: fromHex(description?.userKey),
+    perms: fromHex(description?.perms),
+    id: fromHex(description?.id),
+    key: fromHex(description?.key)
+  };
+  const methods = [security.streamMethod, security.stringMethod];
+  if (
+    !security.key.length ||
+    !methods.every((method) => method === 'None' || CRYPT_METHODS.includes(method))
+  ) {
+    throw new Error('The protection settings are incomplete.');
+  }
+  return security;
+};
+
+const writeContext = async (context) =>
+  Buffer.from(await PDFWriter.forContext(context, Infinity).serializeToBuffer());
+
+const decryptPdf = async (bytes, password = '') => {
+  const probe = await new DecryptingParser(bytes, null).parseDocument();
+  const security = readSecurity(probe);
+  if (!security) throw new Error('The PDF is not encrypted.');
+
+  const unlocked =
+    security.version === 5
+      ? aes256Key(security, password)
+      : legacyKey(security, password);
+  if (!unlocked) throw new Error('The password is incorrect.');
+  const { key } = unlocked;
+
+  const encryptRef = probe.trailerInfo.Encrypt;
+  const context = await new DecryptingParser(bytes, (ref, object) =>
+    encryptRef instanceof PDFRef && ref === encryptRef
+      ? object
+      : transformObject(security, key, ref, object, decryptData)
+  ).parseDocument();
+
+  if (encryptRef instanceof PDFRef) context.delete(encryptRef);
+  context.trailerInfo.Encrypt = undefined;
+  return {
+    bytes: await writeContext(context),
+    security: describeSecurity(security, key),
+    // Only the owner password may lift the restrictions in P.
+    owner: unlocked.owner
+  };
+};
+
+const cryptFilter = (context, method, length) =>
+  context.obj({
+    Type: 'CryptFilter',
+    CFM: method,
+    AuthEvent: 'DocOpen',
+    Length: method === 'AESV3' ? 32 : length
+  });
+
+const buildEncryptDict = (context, security) => {
+  const entries = {
+    Filter: 'Standard',
+    V: security.version,
+    R: security.revision,
+    O: PDFHexString.of(toHex(security.owner)),
+    U: PDFHexString.of(toHex(security.user)),
+    P: security.permissions
+  };
+  if (security.version >= 2) entries.Length = security.length * 8;
+  if (security.version >= 4) {
+    const filters = {};
+    const filterName = (method) => {
+      if (method === 'None') return 'Identity';
+      const name = method === security.streamMethod ? 'StdCF' : 'StrCF';
+      filters[name] = cryptFilter(context, method, security.length);
+      return name;
+    };
+    entries.StmF = filterName(security.streamMethod);
+    entries.StrF = filterName(security.stringMethod);
+    entries.CF = context.obj(filters);
+    if (!security.encryptMetadata) entries.EncryptMetadata = false;
+  }
+  if (security.version === 5) {
+    entries.OE = PDFHexString.of(toHex(security.ownerKey));
+    entries.UE = PDFHexString.of(toHex(security.userKey));
+    entries.Perms = PDFHexString.of(toHex(security.perms));
+  }
+  return context.obj(entries);
+};
+
+// Permission bits from table 22, numbered from 1. Copying keeps bit 10
+// (accessibility extraction) on, as PDF 2.0 asks.
+const PERMISSION_BITS = {
+  print: [3, 12],
+  modify: [4, 11],
+  copy: [5],
+  annotate: [6],
+  fillForms: [9]
+};
+
+const permissionFlags = (permissions = {}) =>
+  Object.entries(PERMISSION_BITS).reduce(
+    (flags, [name, bits]) =>
+      permissions[name] === false
+        ? bits.reduce((value, bit) => value & ~(1 << (bit - 1)), flags)
+        : flags,
+    -4
+  );
+
+const passwordBytes = (password) => Buffer.from(password, 'utf8').subarray(0, 127);
+
+// Algorithms 8 to 10 for AES-256, with a random file key.
+const createAes256Security = (security, userPassword, ownerPassword) => {
+  const key = crypto.randomBytes(32);
+  const wrap = (intermediate) =>
+    aesBlocks('aes-256-cbc', intermediate, ZERO_IV, key, true);
+  const userBytes = passwordBytes(userPassword);
+  const ownerBytes = passwordBytes(ownerPassword);
+  const [userCheck, userSalt, ownerCheck, ownerSalt] = Array.from({ length: 4 }, () =>
+    crypto.randomBytes(8)
+  );
+
+  const user = Buffer.concat([
+    hardenedHash(6, userBytes, userCheck),
+    userCheck,
+    userSalt
+  ]);
+  const owner = Buffer.concat([
+    hardenedHash(6, ownerBytes, ownerCheck, user),
+    ownerCheck,
+    ownerSalt
+  ]);
+  const perms = Buffer.concat([
+    int32(security.permissions),
+    Buffer.from([0xff, 0xff, 0xff, 0xff]),
+    Buffer.from('Tadb'),
+    crypto.randomBytes(4)
+  ]);
+  const permsCipher = crypto.createCipheriv('aes-256-ecb', key, null);
+  permsCipher.setAutoPadding(false);
+
+  return {
+    ...security,
+    owner,
+    user,
+    ownerKey: wrap(hardenedHash(6, ownerBytes, ownerSalt, user)),
+    userKey: wrap(hardenedHash(6, userBytes, userSalt)),
+    perms: Buffer.concat([permsCipher.update(perms), permsCipher.final()]),
+    key
+  };
+};
+
+const createAes128Security = (security, userPassword, ownerPassword) => {
+  const withOwner = {
+    ...security,
+    owner: legacyOwnerEntry(security, ownerPassword, userPassword)
+  };
+  const key = legacyFileKey(withOwner, userPassword);
+  return { ...withOwner, user: legacyUserEntry(withOwner, key), key };
+};
+
+// Builds a new security description from the export settings. Without an
+// owner password nobody could lift the restrictions, so a random one is used.
+const createSecurity = (settings = {}) => {
+  const userPassword = String(settings.userPassword || '');
+  const ownerPassword =
+    String(settings.ownerPassword || '') || crypto.randomBytes(24).toString('base64');
+  const permissions = permissionFlags(settings.permissions);
+  if (!userPassword && permissions === -4) {
+    throw new Error('Set a password to open or restrict at least one action.');
+  }
+  if (userPassword && userPassword === ownerPassword) {
+    throw new Error('The owner password must differ from the password to open.');
+  }
+
+  const aes256 = settings.algorithm !== 'aes-128';
+  const method = aes256 ? 'AESV3' : 'AESV2';
+  const base = {
+    version: aes256 ? 5 : 4,
+    revision: aes256 ? 6 : 4,
+    length: aes256 ? 32 : 16,
+    permissions,
+    encryptMetadata: true,
+    ownerKey: EMPTY,
+    userKey: EMPTY,
+    perms: EMPTY,
+    streamMethod: method,
+    stringMethod: method,
+    id: crypto.randomBytes(16)
+  };
+  const security = aes256
+    ? createAes256Security(base, userPassword, ownerPassword)
+    : createAes128Security(base, userPassword, ownerPassword);
+  return describeSecurity(security, security.key);
+};
+
+// Object streams are not written, so every object is encrypted on its own.
+const encryptPdf = async (bytes, description) => {
+  const security = restoreSecurity(description);
+  const context = await PDFParser.forBytesWithOptions(bytes).parseDocument();
+  if (context.lookup(context.trailerInfo.Encrypt)) {
+    throw new Error('The PDF is already encrypted.');
+  }
+
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    const encrypted = transformObject(security, security.key, ref, object, encryptData);
+    context.assign(ref, encrypted);
+  });
+
+  context.trailerInfo.Encrypt = context.register(buildEncryptDict(context, security));
+  const id = security.id.length ? security.id : crypto.randomBytes(16);
+  context.trailerInfo.ID = context.obj([
+    PDFHexString.of(toHex(id)),
+    PDFHexString.of(toHex(crypto.randomBytes(16)))
+  ]);
+  return writeContext(context);
+};
+
+module.exports = { createSecurity, decryptPdf, encryptPdf };
@@ -2,10 +2,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('pdfApi', {
   openPdf: () => ipcRenderer.invoke('dialog:openPdf'),
+  openInsertPdf: () => ipcRenderer.invoke('dialog:openInsertPdf'),
   savePdf: (payload) => ipcRenderer.invoke('dialog:savePdf', payload),
   savePdfPath: (payload) => ipcRenderer.invoke('dialog:savePdfPath', payload),
   writePdf: (payload) => ipcRenderer.invoke('file:writePdf', payload),
+  chooseDirectory: (payload) => ipcRenderer.invoke('dialog:chooseDirectory', payload),
+  chooseMergeDirectory: () => ipcRenderer.invoke('dialog:chooseMergeDirectory'),
+  writePdfToDirectory: (payload) =>
+    ipcRenderer.invoke('file:writePdfToDirectory', payload),
   createCertificate: (payload) => ipcRenderer.invoke('cert:createSelfSigned', payload),
   openCertificate: () => ipcRenderer.invoke('dialog:openCertificate'),
-  signPdf: (payload) => ipcRenderer.invoke('pdf:signWithP12', payload)
+  openFont: () => ipcRenderer.invoke('dialog:openFont'),
+  openImage: () => ipcRenderer.invoke('dialog:openImage'),
+  openFormData: () => ipcRenderer.invoke('dialog:openFormData'),
+  saveFormData: (payload) => ipcRenderer.invoke('dialog:saveFormData', payload),
+  signPdf: (payload) => ipcRenderer.invoke('pdf:signWithP12', payload),
+  decryptPdf: (payload) => ipcRenderer.invoke('pdf:decrypt', payload),
+  encryptPdf: (payload) => ipcRenderer.invoke('pdf:encrypt', payload)
 });
@@ -1,15 +1,71 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { GlobalWorkerOptions, getDocument } from 'pdfjs-dist';
+import { GlobalWorkerOptions, PasswordResponses, getDocument } from 'pdfjs-dist';
 import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import ChoiceOptionsEditor from './components/ChoiceOptionsEditor.jsx';
+import CommentsPanel from './components/CommentsPanel.jsx';
+import DocumentPropertiesEditor from './components/DocumentPropertiesEditor.jsx';
+import ExportOptionsPanel from './components/ExportOptionsPanel.jsx';
+import ExtractPagesModal from './components/ExtractPagesModal.jsx';
+import FieldPropertiesEditor from './components/FieldPropertiesEditor.jsx';
+import FormDataControls from './components/FormDataControls.jsx';
+import ImageStampControls from './components/ImageStampControls.jsx';
+import InsertPagesModal from './components/InsertPagesModal.jsx';
+import MailMergeModal from './components/MailMergeModal.jsx';
+import NewBlankModal from './components/NewBlankModal.jsx';
+import PageThumbnails from './components/PageThumbnails.jsx';
+import PasswordModal from './components/PasswordModal.jsx';
+import ShapePreview, { shapeLinePoints } from './components/ShapePreview.jsx';
+import ShapeStyleEditor from './components/ShapeStyleEditor.jsx';
 import SignatureModal from './components/SignatureModal.jsx';
+import TextBox from './components/TextBox.jsx';
+import TextBoxControls from './components/TextBoxControls.jsx';
+import TextEditControls from './components/TextEditControls.jsx';
+import TextFieldPropertiesEditor from './components/TextFieldPropertiesEditor.jsx';
 import {
-  addCheckBoxToPdf,
-  addSignatureToPdf,
-  addTextFieldToPdf,
-  addTextToPdf,
+  addComment,
+  deleteComment,
+  getComments,
+  replyToComment,
+  setCommentStatus
+} from './pdf/comments.js';
+import {
+  formatFromFileName,
+  formDataFormats,
+  parseFormData,
+  serializeFormData
+} from './pdf/formData.js';
+import { readDocumentMetadata, writeDocumentMetadata } from './pdf/metadata.js';
+import { redactPdf, removeTextInAreas, scrubMetadataValues } from './pdf/redaction.js';
+import { readTextRuns, textRunBounds } from './pdf/textEditing.js';
+import {
+  DEFAULT_LINE_SPACING,
+  textBoxContentWidth,
+  textBoxStyle,
+  textDraftRuns
+} from './pdf/textLayout.js';
+import {
+  applyElementsToPdf,
+  applyFormData,
   createBlankPdf,
+  deleteFormField,
+  deletePage,
+  describeFontFile,
+  detectImageType,
+  duplicatePage,
+  extractPages,
+  flattenFormFields,
   getFormFields,
-  setFormFieldValue
+  getPdfPageCount,
+  insertBlankPage,
+  insertPagesFromPdf,
+  movePage,
+  pageSizePresets,
+  renameFormField,
+  resolvePageSize,
+  rotatePage,
+  setFormFieldValue,
+  updateFormFieldProperties,
+  updateFormFieldWidget
 } from './pdf/pdfUtils.js';
 
 GlobalWorkerOptions.workerSrc = workerSrc;
@@ -19,9 +75,23 @@ const TOOL = {
   TEXT: 'text',
   TEXT_FIELD: 'text-field',
   CHECKBOX: 'checkbox',
-  SIGNATURE: 'signature'
+  RADIO: 'radio',
+  CHOICE: 'choice',
+  SIGNATURE: 'signature',
+  SIGNATURE_FIELD: 'signature-field',
+  IMAGE: 'image',
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  LINE: 'line',
+  ARROW: 'arrow',
+  HIGHLIGHT: 'highlight',
+  REDACT: 'redact',
+  NOTE: 'note',
+  EDIT_TEXT: 'edit-text'
 };
 
+const SHAPE_TOOLS = [TOOL.RECTANGLE, TOOL.ELLIPSE, TOOL.LINE, TOOL.ARROW, TOOL.HIGHLIGHT];
+
 const emptyDocTips = [
   'Drop a PDF to start filling forms and signatures.',
   'Create a blank PDF and build your form from scratch.',
@@ -31,7 +101,48 @@ const emptyDocTips = [
 const placementDefaults = {
   [TOOL.TEXT_FIELD]: { width: 220, height: 36 },
   [TOOL.CHECKBOX]: { width: 28, height: 28 },
-  [TOOL.SIGNATURE]: { width: 200, height: 80 }
+  [TOOL.RADIO]: { width: 24, height: 24 },
+  [TOOL.CHOICE]: { width: 180, height: 28 },
+  [TOOL.SIGNATURE]: { width: 200, height: 80 },
+  [TOOL.SIGNATURE_FIELD]: { width: 200, height: 60 },
+  [TOOL.IMAGE]: { width: 160, height: 160 },
+  [TOOL.RECTANGLE]: { width: 160, height: 100 },
+  [TOOL.ELLIPSE]: { width: 160, height: 100 },
+  [TOOL.LINE]: { width: 160, height: 24 },
+  [TOOL.ARROW]: { width: 160, height: 24 },
+  [TOOL.HIGHLIGHT]: { width: 200, height: 22 },
+  [TOOL.REDACT]: { width: 180, height: 24 }
+};
+
+const outlineStyleDefaults = {
+  strokeColor: '#d1242f',
+  fillColor: '',
+  strokeWidth: 2,
+  opacity: 1
+};
+
+const lineStyleDefaults = {
+  strokeColor: '#d1242f',
+  strokeWidth: 2,
+  opacity: 1,
+  lineDirection: 'horizontal',
+  reversed: false
+};
+
+// Where each line direction ends up after a clockwise turn, and whether it flips.
+const rotatedLineDirections = {
+  horizontal: ['vertical', false],
+  vertical: ['horizontal', true],
+  'diagonal-down': ['diagonal-up', true],
+  'diagonal-up': ['diagonal-down', false]
+};
+
+const shapeStyleDefaults = {
+  [TOOL.RECTANGLE]: outlineStyleDefaults,
+  [TOOL.ELLIPSE]: outlineStyleDefaults,
+  [TOOL.LINE]: lineStyleDefaults,
+  [TOOL.ARROW]: lineStyleDefaults,
+  [TOOL.HIGHLIGHT]: { fillColor: '#ffd33d', opacity: 0.4 }
 };
 
 const textFontOptions = [
@@ -40,9 +151,68 @@ const textFontOptions = [
   { label: 'Courier', value: 'courier' }
 ];
 
+const defaultTextFieldProps = {
+  required: false,
+  readOnly: false,
+  multiline: false,
+  scroll: true,
+  maxLength: '',
+  comb: false,
+  password: false,
+  defaultValue: '',
+  alignment: 'left',
+  fontSize: 0,
+  textColor: '#000000',
+  borderColor: '#000000',
+  backgroundColor: '#ffffff'
+};
+
+const defaultChoiceSettings = {
+  kind: 'dropdown',
+  options: ['Option 1', 'Option 2'],
+  defaults: [],
+  editable: false,
+  multiSelect: false
+};
+
+const defaultPageSetup = {
+  preset: 'letter',
+  orientation: 'portrait',
+  width: 210,
+  height: 297,
+  unit: 'mm'
+};
+
+const defaultExportOptions = {
+  flatten: false,
+  flattenScope: 'all',
+  flattenFields: [],
+  removeAcroForm: false,
+  shapeOutput: 'annotations',
+  scrubRedactedMetadata: false,
+  scrubRedactedFormValues: false,
+  protection: 'keep',
+  userPassword: '',
+  ownerPassword: '',
+  permissions: { print: true, copy: true, modify: true, annotate: true, fillForms: true },
+  encryption: 'aes-256'
+};
+
 const createDraftId = () =>
   `draft-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
+const createFontId = () =>
+  `font-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+const isMultiSelectList = (field) =>
+  field.type === 'option-list' && field.multiSelect;
+
+const standardCssFonts = {
+  times: "'Times New Roman', serif",
+  courier: "'Courier New', monospace",
+  helvetica: "'Helvetica Neue', Arial, sans-serif"
+};
+
 const bytesToBase64 = (bytes) => {
   let binary = '';
   bytes.forEach((value) => {
@@ -59,17 +229,43 @@ const fileToBytes = async (file) => {
   return new Uint8Array(buffer);
 };
 
+const downloadFile = (bytes, name, type) => {
+  const blob = new Blob([bytes], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadPdf = (bytes, name) => downloadFile(bytes, name, 'application/pdf');
+
+const loadImageAspect = (dataUrl) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image.naturalWidth / image.naturalHeight || 1);
+    image.onerror = () => reject(new Error('The image could not be read.'));
+    image.src = dataUrl;
+  });
+
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
 const App = () => {
   const viewerScrollRef = useRef(null);
+  const pagesContainerRef = useRef(null);
   const pageViewportsRef = useRef([]);
   const pageOffsetsRef = useRef([]);
   const pageElementsRef = useRef([]);
   const renderTokenRef = useRef(0);
+  const pdfJsDocRef = useRef(null);
   const dragStateRef = useRef(null);
   const lastScaleRef = useRef(1.05);
   const fileInputRef = useRef(null);
+  const formDataInputRef = useRef(null);
+  const fontInputRef = useRef(null);
+  const insertInputRef = useRef(null);
+  const imageInputRef = useRef(null);
   const textFieldDragRef = useRef(null);
   const textFieldDraftRef = useRef(null);
   const fieldNameDraftRef = useRef('');
@@ -84,15 +280,27 @@ const App = () => {
   const [scale, setScale] = useState(1.05);
   const [textDraft, setTextDraft] = useState('');
   const [fieldNameDraft, setFieldNameDraft] = useState('');
+  const [radioGroupDraft, setRadioGroupDraft] = useState('RadioGroup1');
+  const [radioValueDraft, setRadioValueDraft] = useState('');
+  const [choiceDraft, setChoiceDraft] = useState(defaultChoiceSettings);
   const [signatureDataUrl, setSignatureDataUrl] = useState('');
   const [showSignatureModal, setShowSignatureModal] = useState(false);
+  const [customFonts, setCustomFonts] = useState([]);
   const [formFields, setFormFields] = useState([]);
+  const [exportOptions, setExportOptions] = useState(defaultExportOptions);
   const [fieldDrafts, setFieldDrafts] = useState({});
   const [drafts, setDrafts] = useState([]);
   const [selectedDraftId, setSelectedDraftId] = useState(null);
   const [textFieldDraft, setTextFieldDraft] = useState(null);
   const [textDraftBox, setTextDraftBox] = useState(null);
   const [thumbnails, setThumbnails] = useState([]);
+  const [pageSetup, setPageSetup] = useState(defaultPageSetup);
+  const [marginGuide, setMarginGuide] = useState(null);
+  const [showNewBlankModal, setShowNewBlankModal] = useState(false);
+  const [, setLayoutVersion] = useState(0);
+  const [insertSource, setInsertSource] = useState(null);
+  const [showExtractModal, setShowExtractModal] = useState(false);
+  const [showMailMerge, setShowMailMerge] = useState(false);
   const [activePageIndex, setActivePageIndex] = useState(0);
   const [certificateName, setCertificateName] = useState('');
   const [certificateData, setCertificateData] = useState('');
@@ -114,6 +322,28 @@ const App = () => {
   const [signLocation, setSignLocation] = useState('');
   const [signContact, setSignContact] = useState('');
   const [includeVisualSignature, setIncludeVisualSignature] = useState(true);
+  const [signTargetField, setSignTargetField] = useState('');
+  const [signatureTooltipDraft, setSignatureTooltipDraft] = useState('');
+  const [imageDraft, setImageDraft] = useState(null);
+  const [imageStyleDraft, setImageStyleDraft] = useState({ opacity: 1, rotation: 0 });
+  const [shapeStyleDrafts, setShapeStyleDrafts] = useState(shapeStyleDefaults);
+  const [redactFillDraft, setRedactFillDraft] = useState('#000000');
+  const [comments, setComments] = useState([]);
+  const [commentAuthor, setCommentAuthor] = useState('');
+  const [pendingNote, setPendingNote] = useState(null);
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const [editingFields, setEditingFields] = useState(false);
+  const [selectedFieldName, setSelectedFieldName] = useState(null);
+  const [widgetDrag, setWidgetDrag] = useState(null);
+  const [textRuns, setTextRuns] = useState([]);
+  const [documentMetadata, setDocumentMetadata] = useState(null);
+  const [metadataEdited, setMetadataEdited] = useState(false);
+  const [stampModifiedDate, setStampModifiedDate] = useState(true);
+  const [showDocumentProperties, setShowDocumentProperties] = useState(false);
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [documentProtection, setDocumentProtection] = useState(null);
+  const [formDataFormat, setFormDataFormat] = useState('xfdf');
+  const [formDataReport, setFormDataReport] = useState(null);
   const [signError, setSignError] = useState('');
   const [isSigned, setIsSigned] = useState(false);
   const [showZoom, setShowZoom] = useState(false);
@@ -134,6 +364,43 @@ const App = () => {
     }, 4000);
   }, []);
 
+  const fontOptions = useMemo(
+    () => [
+      ...textFontOptions,
+      ...customFonts.map((font) => ({ label: font.label, value: font.id }))
+    ],
+    [customFonts]
+  );
+
+  const customFontBytes = useMemo(
+    () => Object.fromEntries(customFonts.map((font) => [font.id, font.bytes])),
+    [customFonts]
+  );
+
+  const resolveCssFont = useCallback(
+    (family) => {
+      const custom = customFonts.find((font) => font.id === family);
+      if (custom) return `'${custom.cssFamily}', sans-serif`;
+      return standardCssFonts[family] || standardCssFonts.helvetica;
+    },
+    [customFonts]
+  );
+
+  const exportFieldNames = useMemo(() => {
+    const names = formFields.map((field) => field.name);
+    drafts.forEach((draft) => {
+      const name = draft.type === TOOL.RADIO ? draft.groupName : draft.fieldName;
+      if (name?.trim()) names.push(name.trim());
+    });
+    return Array.from(new Set(names));
+  }, [drafts, formFields]);
+
+  const emptySignatureFields = useMemo(
+    () =>
+      formFields.filter((field) => field.type === 'signature' && !field.value),
+    [formFields]
+  );
+
   const selectedDraft = useMemo(
     () => drafts.find((draft) => draft.id === selectedDraftId) || null,
     [drafts, selectedDraftId]
@@ -185,7 +452,9 @@ const App = () => {
       setFormFields(fields);
       const draftState = {};
       fields.forEach((field) => {
-        draftState[field.name] = field.value ?? '';
+        draftState[field.name] = isMultiSelectList(field)
+          ? field.values || []
+          : (field.value ?? '');
       });
       setFieldDrafts(draftState);
     } catch (error) {
@@ -194,6 +463,20 @@ const App = () => {
     }
   }, []);
 
+  const refreshComments = useCallback(async (bytes) => {
+    if (!bytes) {
+      setComments([]);
+      return;
+    }
+
+    try {
+      setComments(await getComments(bytes));
+    } catch (error) {
+      console.error('Failed to read comments', error);
+      setComments([]);
+    }
+  }, []);
+
   const capturePageOffsets = useCallback(() => {
     const scrollEl = viewerScrollRef.current;
     if (!scrollEl) return;
@@ -211,6 +494,7 @@ const App = () => {
         height: rect.height
       };
     });
+    setLayoutVersion((version) => version + 1);
   }, []);
 
   const renderThumbnails = useCallback(async (pdfDoc, token) => {
@@ -235,7 +519,7 @@ const App = () => {
 
   const renderPdf = useCallback(
     async (bytes) => {
-      if (!bytes || !viewerScrollRef.current) return;
+      if (!bytes || !pagesContainerRef.current) return;
 
       const currentToken = renderTokenRef.current + 1;
       renderTokenRef.current = currentToken;
@@ -246,8 +530,9 @@ const App = () => {
       const loadingTask = getDocument({ data: safeBytes });
       const pdfDoc = await loadingTask.promise;
       if (renderTokenRef.current !== currentToken) return;
+      pdfJsDocRef.current = pdfDoc;
 
-      const container = viewerScrollRef.current;
+      const container = pagesContainerRef.current;
       container.innerHTML = '';
       pageElementsRef.current = [];
       const viewports = [];
@@ -291,7 +576,43 @@ const App = () => {
     if (!pdfBytes) return;
     renderPdf(pdfBytes);
     refreshFormFields(pdfBytes);
-  }, [pdfBytes, renderPdf, refreshFormFields]);
+    refreshComments(pdfBytes);
+  }, [pdfBytes, renderPdf, refreshFormFields, refreshComments]);
+
+  // Metadata is read once per document; edits are kept until the next export.
+  useEffect(() => {
+    if (!pdfBytes || documentMetadata) return;
+    let cancelled = false;
+    readDocumentMetadata(pdfBytes)
+      .then((metadata) => {
+        if (cancelled) return;
+        setDocumentMetadata(metadata);
+        setMetadataEdited(false);
+      })
+      .catch((error) => console.error('Failed to read document properties', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [documentMetadata, pdfBytes]);
+
+  // Text runs are read after rendering so pdf.js has the page fonts loaded.
+  useEffect(() => {
+    if (activeTool !== TOOL.EDIT_TEXT || !pdfBytes || isRendering) return;
+    const pdfDoc = pdfJsDocRef.current;
+    if (!pdfDoc) return;
+    let cancelled = false;
+    readTextRuns(pdfDoc)
+      .then((runs) => {
+        if (!cancelled) setTextRuns(runs);
+      })
+      .catch((error) => {
+        console.error('Failed to read page text', error);
+        if (!cancelled) setTextRuns([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTool, isRendering, pdfBytes]);
 
   useEffect(() => {
     if (pdfBytes) return;
@@ -346,16 +667,80 @@ const App = () => {
     lastScaleRef.current = scale;
   }, [drafts.length, scale]);
 
+  // pdf.js checks the password, asking for it through onPassword; the main
+  // process then decrypts the file so it can be edited like any other.
+  const unlockPdf = async (bytes, name) => {
+    let password = '';
+    const loadingTask = getDocument({ data: bytes.slice() });
+    loadingTask.onPassword = (updatePassword, reason) => {
+      setPasswordRequest({
+        name,
+        incorrect: reason === PasswordResponses.INCORRECT_PASSWORD,
+        submit: (value) => {
+          password = value;
+          setPasswordRequest(null);
+          updatePassword(value);
+        },
+        cancel: () => {
+          setPasswordRequest(null);
+          loadingTask.destroy();
+        }
+      });
+    };
+
+    let info;
+    try {
+      const pdfDoc = await loadingTask.promise;
+      ({ info } = await pdfDoc.getMetadata());
+    } catch (error) {
+      if (loadingTask.destroyed) return null;
+      throw error;
+    } finally {
+      loadingTask.destroy();
+    }
+    if (!info?.EncryptFilterName) return { bytes, protection: null };
+
+    if (!window.pdfApi?.decryptPdf) {
+      throw new Error('Password-protected PDFs can only be edited in the desktop app.');
+    }
+    const result = await window.pdfApi.decryptPdf({
+      pdfBase64: bytesToBase64(bytes),
+      password
+    });
+    if (result?.error) throw new Error(result.error);
+    return {
+      bytes: base64ToBytes(result.data),
+      protection: { security: result.security, owner: Boolean(result.owner) }
+    };
+  };
+
+  const openDocument = async (bytes, name) => {
+    let unlocked;
+    try {
+      unlocked = await unlockPdf(bytes, name);
+    } catch (error) {
+      console.error('Failed to open PDF', error);
+      flashStatus(error.message || 'This PDF could not be opened.');
+      return;
+    }
+    if (!unlocked) return;
+    setPdfBytes(unlocked.bytes);
+    setPdfName(name);
+    setMarginGuide(null);
+    setActivePageIndex(0);
+    setDrafts([]);
+    setSelectedDraftId(null);
+    setIsSigned(false);
+    setDocumentMetadata(null);
+    setDocumentProtection(unlocked.protection);
+    setFormDataReport(null);
+  };
+
   const handleOpenDialog = async () => {
     if (window.pdfApi?.openPdf) {
       const result = await window.pdfApi.openPdf();
       if (!result) return;
-      setPdfBytes(base64ToBytes(result.data));
-      setPdfName(result.name || 'Opened.pdf');
-      setActivePageIndex(0);
-      setDrafts([]);
-      setSelectedDraftId(null);
-      setIsSigned(false);
+      await openDocument(base64ToBytes(result.data), result.name || 'Opened.pdf');
       return;
     }
 
@@ -366,22 +751,29 @@ const App = () => {
     const file = event.target.files?.[0];
     if (!file) return;
     const bytes = await fileToBytes(file);
-    setPdfBytes(bytes);
-    setPdfName(file.name || 'Opened.pdf');
-    setActivePageIndex(0);
-    setDrafts([]);
-    setSelectedDraftId(null);
-    setIsSigned(false);
+    await openDocument(bytes, file.name || 'Opened.pdf');
   };
 
-  const handleNewBlank = async () => {
-    const bytes = await createBlankPdf();
+  const handleCreateBlank = async ({ setup, pageCount: count, margin }) => {
+    let bytes;
+    try {
+      bytes = await createBlankPdf({ size: resolvePageSize(setup), pageCount: count });
+    } catch (error) {
+      return error?.message || 'Failed to create the PDF.';
+    }
     setPdfBytes(bytes);
     setPdfName('Untitled.pdf');
     setActivePageIndex(0);
     setDrafts([]);
     setSelectedDraftId(null);
     setIsSigned(false);
+    setDocumentMetadata(null);
+    setDocumentProtection(null);
+    setFormDataReport(null);
+    setPageSetup(setup);
+    setMarginGuide(margin);
+    setShowNewBlankModal(false);
+    return null;
   };
 
   const normalizePdfBytes = (value) => {
@@ -409,6 +801,28 @@ const App = () => {
     setSignError('');
     let nextBytes = normalizePdfBytes(pdfBytes);
     let didSign = false;
+    let failedResults = [];
+    let flattenFailures = [];
+    let redactionWarnings = [];
+    let redactedTerms = [];
+    let coveredTextEdits = 0;
+    let workingBytes = null;
+    let protection = null;
+    if (documentProtection && !documentProtection.owner) {
+      // Opened without the owner password, so its restrictions have to stay.
+      protection = { security: documentProtection.security };
+    } else if (exportOptions.protection === 'password') {
+      protection = {
+        settings: {
+          userPassword: exportOptions.userPassword,
+          ownerPassword: exportOptions.ownerPassword,
+          permissions: exportOptions.permissions,
+          algorithm: exportOptions.encryption
+        }
+      };
+    } else if (exportOptions.protection === 'keep' && documentProtection) {
+      protection = { security: documentProtection.security };
+    }
 
     if (!nextBytes || !hasPdfHeader(nextBytes)) {
       const message = 'PDF data is invalid. Please reopen the document.';
@@ -430,6 +844,174 @@ const App = () => {
       }
     }
 
+    const buildExportElement = (draft, rect) => {
+      // Replacement text sits on the original baseline, not the overlay box.
+      if (draft.type === TOOL.EDIT_TEXT) {
+        return {
+          id: draft.id,
+          type: 'text',
+          pageIndex: draft.pageIndex,
+          x: draft.original.x,
+          y: draft.original.y,
+          text: draft.text,
+          size: draft.size,
+          fontFamily: draft.fontFamily,
+          fontWeight: draft.fontWeight,
+          fontStyle: draft.fontStyle,
+          color: draft.color
+        };
+      }
+      if (draft.type === TOOL.TEXT) {
+        const size = draft.size || 16;
+        const box = textBoxStyle(draft);
+        // The box stays upright on screen, so its sides swap on a turned page.
+        const turned = pageViewportsRef.current[draft.pageIndex]?.rotation % 180;
+        const [boxWidth, boxHeight] = turned
+          ? [rect.height, rect.width]
+          : [rect.width, rect.height];
+        return {
+          id: draft.id,
+          type: 'text',
+          pageIndex: rect.pageIndex,
+          x: rect.x + box.padding,
+          y: rect.y + boxHeight - Math.min(box.padding + size, boxHeight),
+          frame: { ...box, x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+          text: draft.text || '',
+          runs: textDraftRuns(draft),
+          size,
+          fontFamily: draft.fontFamily || 'helvetica',
+          fontWeight: draft.fontWeight || 'normal',
+          fontStyle: draft.fontStyle || 'normal',
+          underline: Boolean(draft.underline),
+          color: draft.color || '#0d1117',
+          maxWidth: textBoxContentWidth(boxWidth, box.padding),
+          lineSpacing: draft.lineSpacing || DEFAULT_LINE_SPACING,
+          letterSpacing: draft.letterSpacing || 0,
+          align: draft.align || 'left'
+        };
+      }
+      if (draft.type === TOOL.TEXT_FIELD) {
+        return {
+          id: draft.id,
+          type: 'text-field',
+          ...rect,
+          name: draft.fieldName || undefined,
+          fontFamily: draft.fontFamily || undefined,
+          fontSize: draft.fontSize || 0,
+          textColor: draft.textColor,
+          borderColor: draft.borderColor,
+          backgroundColor: draft.backgroundColor,
+          alignment: draft.alignment,
+          required: draft.required,
+          readOnly: draft.readOnly,
+          multiline: draft.multiline,
+          scroll: draft.scroll,
+          maxLength: draft.maxLength,
+          comb: draft.comb,
+          password: draft.password,
+          defaultValue: draft.defaultValue
+        };
+      }
+      if (draft.type === TOOL.CHECKBOX) {
+        return {
+          id: draft.id,
+          type: 'checkbox',
+          pageIndex: rect.pageIndex,
+          x: rect.x,
+          y: rect.y,
+          size: Math.min(rect.width, rect.height),
+          name: draft.fieldName || undefined
+        };
+      }
+      if (draft.type === TOOL.CHOICE) {
+        const choice = draft.choice || defaultChoiceSettings;
+        return {
+          id: draft.id,
+          type: choice.kind,
+          ...rect,
+          name: draft.fieldName || undefined,
+          options: choice.options,
+          selected: choice.defaults,
+          editable: choice.kind === 'dropdown' && choice.editable,
+          multiSelect: choice.kind === 'option-list' && choice.multiSelect
+        };
+      }
+      if (draft.type === TOOL.SIGNATURE) {
+        if (!includeVisualSignature || !draft.dataUrl) return null;
+        return {
+          id: draft.id,
+          type: 'signature',
+          ...rect,
+          dataUrl: draft.dataUrl
+        };
+      }
+      if (draft.type === TOOL.IMAGE) {
+        return {
+          id: draft.id,
+          type: 'image',
+          ...rect,
+          dataUrl: draft.dataUrl,
+          opacity: draft.opacity,
+          rotation: draft.rotation
+        };
+      }
+      if (SHAPE_TOOLS.includes(draft.type)) {
+        return {
+          id: draft.id,
+          type: 'shape',
+          shape: draft.type,
+          ...rect,
+          points: resolveDraftLine(draft),
+          strokeColor: draft.strokeColor,
+          fillColor: draft.fillColor,
+          strokeWidth: draft.strokeWidth,
+          opacity: draft.opacity,
+          asAnnotation: exportOptions.shapeOutput !== 'content'
+        };
+      }
+      if (draft.type === TOOL.SIGNATURE_FIELD) {
+        return {
+          id: draft.id,
+          type: 'signature-field',
+          ...rect,
+          name: draft.fieldName || undefined,
+          tooltip: draft.tooltip
+        };
+      }
+      return null;
+    };
+
+    const buildRadioGroupElements = () => {
+      const groups = new Map();
+      drafts.forEach((draft) => {
+        if (draft.type !== TOOL.RADIO) return;
+        const rect = resolveDraftRect(draft);
+        if (!rect) return;
+        const name = draft.groupName || 'RadioGroup1';
+        if (!groups.has(name)) {
+          groups.set(name, {
+            id: `radio-group:${name}`,
+            type: 'radio-group',
+            name,
+            options: [],
+            selected: undefined,
+            draftIds: []
+          });
+        }
+        const group = groups.get(name);
+        group.options.push({
+          pageIndex: rect.pageIndex,
+          x: rect.x,
+          y: rect.y,
+          size: Math.min(rect.width, rect.height),
+          value: draft.optionValue
+        });
+        group.draftIds.push(draft.id);
+        if (draft.defaultSelected) group.selected = draft.optionValue;
+      });
+      return Array.from(groups.values());
+    };
+
     const resolveDraftRect = (draft) => {
       const viewport = pageViewportsRef.current[draft.pageIndex];
       if (!viewport) return null;
@@ -447,6 +1029,16 @@ const App = () => {
       };
     };
 
+    const resolveDraftLine = (draft) => {
+      if (draft.type !== TOOL.LINE && draft.type !== TOOL.ARROW) return undefined;
+      const viewport = pageViewportsRef.current[draft.pageIndex];
+      const points = shapeLinePoints(draft, draft.lineDirection, draft.reversed);
+      const toPdf = (x, y) => viewport.convertToPdfPoint(draft.x + x, draft.y + y);
+      const [x1, y1] = toPdf(points.x1, points.y1);
+      const [x2, y2] = toPdf(points.x2, points.y2);
+      return { x1, y1, x2, y2 };
+    };
+
     try {
       const ensurePdf = (bytes, context) => {
         if (!bytes || !hasPdfHeader(bytes)) {
@@ -454,65 +1046,164 @@ const App = () => {
         }
       };
 
-      for (const draft of drafts) {
-        const rect = resolveDraftRect(draft);
-        if (!rect) continue;
-
-        if (draft.type === TOOL.TEXT) {
-          const textY = rect.y + rect.height - Math.min(draft.size || 16, rect.height);
-          const size = draft.size || 16;
-          nextBytes = await addTextToPdf(nextBytes, {
-            pageIndex: rect.pageIndex,
-            x: rect.x + 4,
-            y: textY,
-            text: draft.text || '',
-            size,
-            fontFamily: draft.fontFamily || 'helvetica',
-            fontWeight: draft.fontWeight || 'normal',
-            fontStyle: draft.fontStyle || 'normal',
-            underline: Boolean(draft.underline),
-            color: draft.color || '#0d1117',
-            maxWidth: Math.max(rect.width - 8, 40),
-            lineHeight: size * 1.2
-          });
-          ensurePdf(nextBytes, 'adding text');
-        } else if (draft.type === TOOL.TEXT_FIELD) {
-          nextBytes = await addTextFieldToPdf(nextBytes, {
-            pageIndex: rect.pageIndex,
-            x: rect.x,
-            y: rect.y,
-            width: rect.width,
-            height: rect.height,
-            name: draft.fieldName || undefined
-          });
-          ensurePdf(nextBytes, 'adding text field');
-        } else if (draft.type === TOOL.CHECKBOX) {
-          nextBytes = await addCheckBoxToPdf(nextBytes, {
-            pageIndex: rect.pageIndex,
-            x: rect.x,
-            y: rect.y,
-            size: Math.min(rect.width, rect.height),
-            name: draft.fieldName || undefined
-          });
-          ensurePdf(nextBytes, 'adding checkbox');
-        } else if (draft.type === TOOL.SIGNATURE) {
-          if (!includeVisualSignature) continue;
-          if (!draft.dataUrl) continue;
-          nextBytes = await addSignatureToPdf(nextBytes, {
-            pageIndex: rect.pageIndex,
-            x: rect.x,
-            y: rect.y,
-            width: rect.width,
-            height: rect.height,
-            dataUrl: draft.dataUrl
+      // Original glyphs go first so the replacement text is not removed too.
+      const textEdits = drafts.filter((draft) => draft.type === TOOL.EDIT_TEXT);
+      if (textEdits.length) {
+        const removed = await removeTextInAreas(
+          nextBytes,
+          textEdits.map((draft) => ({
+            pageIndex: draft.pageIndex,
+            ...textRunBounds(draft.original)
+          }))
+        );
+        nextBytes = removed.bytes;
+        ensurePdf(nextBytes, 'removing edited text');
+        coveredTextEdits = removed.covered.length;
+      }
+
+      const elements = drafts
+        .filter((draft) => draft.type !== TOOL.RADIO)
+        .map((draft) => {
+          const rect = resolveDraftRect(draft);
+          if (!rect) return null;
+          return buildExportElement(draft, rect);
+        })
+        .filter(Boolean);
+      elements.push(...buildRadioGroupElements());
+
+      if (elements.length) {
+        const applied = await applyElementsToPdf(nextBytes, elements, {
+          customFonts: customFontBytes
+        });
+        nextBytes = applied.bytes;
+        ensurePdf(nextBytes, 'adding elements');
+        failedResults = applied.results
+          .filter((result) => !result.ok)
+          .map((result) => ({
+            ...result,
+            draftIds:
+              elements.find((element) => element.id === result.id)?.draftIds || [
+                result.id
+              ]
+          }));
+        if (failedResults.length) {
+          console.error('Some elements could not be exported', failedResults);
+        }
+        // The original glyphs are already gone at this point, so a replacement
+        // that fails would lose the text; nothing is saved instead.
+        const failedEdit = failedResults.find((result) =>
+          textEdits.some((draft) => result.draftIds.includes(draft.id))
+        );
+        if (failedEdit) {
+          const message =
+            'Edited text could not be drawn, so nothing was exported: ' +
+            failedEdit.error;
+          setSignError(message);
+          flashStatus(message);
+          return;
+        }
+      }
+
+      const redactionAreas = drafts
+        .filter((draft) => draft.type === TOOL.REDACT)
+        .map((draft) => {
+          const rect = resolveDraftRect(draft);
+          return rect && { ...rect, fillColor: draft.fillColor };
+        })
+        .filter(Boolean);
+      if (redactionAreas.length) {
+        const redacted = await redactPdf(nextBytes, redactionAreas, {
+          scrubMetadata: exportOptions.scrubRedactedMetadata,
+          scrubFormValues: exportOptions.scrubRedactedFormValues
+        });
+        nextBytes = redacted.bytes;
+        ensurePdf(nextBytes, 'redacting');
+        const { report } = redacted;
+        // Images in other encodings and curved or rotated shapes cannot be cut
+        // along the area, so they go entirely once the user agrees.
+        const removedWhole = [
+          report.imagesRemoved &&
+            `${report.imagesRemoved} image${report.imagesRemoved === 1 ? '' : 's'}`,
+          report.pathsRemoved &&
+            `${report.pathsRemoved} shape${report.pathsRemoved === 1 ? '' : 's'}`
+        ].filter(Boolean);
+        if (
+          removedWhole.length &&
+          !window.confirm(
+            `${removedWhole.join(' and ')} under the redactions cannot be cut along ` +
+              'the marked areas and will be removed entirely, including the parts ' +
+              'outside them. Export anyway?'
+          )
+        ) {
+          flashStatus('Export cancelled.');
+          return;
+        }
+        redactedTerms = report.redactedTerms;
+        redactionWarnings = [...report.failures];
+        if (redactionWarnings.length) {
+          console.warn('Redaction needs review', redactionWarnings);
+        }
+      }
+
+      // Only the written file is flattened; the editor keeps its fields.
+      let editableBytes = nextBytes;
+      const flattenAll = exportOptions.flattenScope === 'all';
+      if (exportOptions.flatten && (flattenAll || exportOptions.flattenFields.length)) {
+        const flattened = await flattenFormFields(nextBytes, {
+          fieldNames: flattenAll ? undefined : exportOptions.flattenFields,
+          removeAcroForm: flattenAll && exportOptions.removeAcroForm,
+          customFonts: customFontBytes
+        });
+        nextBytes = flattened.bytes;
+        ensurePdf(nextBytes, 'flattening fields');
+        flattenFailures = flattened.results.filter((result) => !result.ok);
+        if (flattenFailures.length) {
+          console.error('Some fields could not be flattened', flattenFailures);
+        }
+      }
+
+      // Written after every pdf-lib step, which would otherwise restamp the
+      // producer and modification date. Redacted words stay out of it when
+      // the redaction scrubs metadata.
+      if (metadataEdited && documentMetadata) {
+        const metadata = exportOptions.scrubRedactedMetadata
+          ? scrubMetadataValues(documentMetadata, redactedTerms)
+          : documentMetadata;
+        const writeMetadata = (bytes) =>
+          writeDocumentMetadata(bytes, {
+            ...metadata,
+            modificationDate: stampModifiedDate
+              ? new Date().toISOString()
+              : metadata.modificationDate
           });
-          ensurePdf(nextBytes, 'adding signature');
+        try {
+          const flattened = editableBytes !== nextBytes;
+          nextBytes = await writeMetadata(nextBytes);
+          editableBytes = flattened ? await writeMetadata(editableBytes) : nextBytes;
+        } catch (error) {
+          flashStatus(error.message || 'The document properties could not be saved.');
+          return;
         }
+        ensurePdf(nextBytes, 'writing document properties');
       }
 
       const signatureDrafts = drafts.filter((draft) => draft.type === TOOL.SIGNATURE);
       const signatureDraft = signatureDrafts[signatureDrafts.length - 1];
-      if (signatureDraft && certificateData) {
+      const targetField = emptySignatureFields.some(
+        (field) => field.name === signTargetField
+      )
+        ? signTargetField
+        : '';
+      if ((signatureDraft || targetField) && certificateData) {
+        if (protection) {
+          const message = documentProtection?.owner === false
+            ? 'Signed copies cannot be password protected, and this PDF was opened ' +
+              'without its owner password.'
+            : 'Signed copies cannot be password protected. Turn it off under Export.';
+          setSignError(message);
+          flashStatus(message);
+          return;
+        }
         if (!window.pdfApi?.signPdf) {
           const message = 'Digital signing is only available in the desktop app.';
           setSignError(message);
@@ -520,7 +1211,9 @@ const App = () => {
           return;
         }
 
-        const rect = resolveDraftRect(signatureDraft);
+        const rect = signatureDraft
+          ? resolveDraftRect(signatureDraft)
+          : { pageIndex: 0, x: 0, y: 0, width: 0, height: 0 };
         if (!rect) return;
 
         const result = await window.pdfApi.signPdf({
@@ -537,7 +1230,8 @@ const App = () => {
             y: rect.y,
             width: rect.width,
             height: rect.height
-          }
+          },
+          fieldName: targetField || undefined
         });
 
         if (result?.error) {
@@ -552,6 +1246,26 @@ const App = () => {
           didSign = true;
         }
       }
+
+      // The editor keeps working on the decrypted, unflattened copy. A signed
+      // copy replaces it, since nothing may change after signing.
+      workingBytes = didSign ? nextBytes : editableBytes;
+      if (protection) {
+        if (!window.pdfApi?.encryptPdf) {
+          flashStatus('Password protection is only available in the desktop app.');
+          return;
+        }
+        const result = await window.pdfApi.encryptPdf({
+          pdfBase64: bytesToBase64(nextBytes),
+          ...protection
+        });
+        if (result?.error) {
+          flashStatus(result.error);
+          return;
+        }
+        nextBytes = base64ToBytes(result.data);
+        ensurePdf(nextBytes, 'applying the password protection');
+      }
     } catch (error) {
       console.error('Export failed', error);
       const message = 'Export failed. Please try again or reopen the PDF.';
@@ -568,13 +1282,7 @@ const App = () => {
       } else if (window.pdfApi?.savePdf) {
         await window.pdfApi.savePdf({ name: pdfName, data });
       } else {
-        const blob = new Blob([nextBytes], { type: 'application/pdf' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = pdfName || 'fillforge-export.pdf';
-        link.click();
-        URL.revokeObjectURL(url);
+        downloadPdf(nextBytes, pdfName || 'fillforge-export.pdf');
       }
     } catch (error) {
       console.error('Write failed', error);
@@ -584,13 +1292,35 @@ const App = () => {
       return;
     }
 
-    if (savePath) {
+    if (failedResults.length) {
+      flashStatus(
+        `Exported with ${failedResults.length} element${
+          failedResults.length === 1 ? '' : 's'
+        } skipped: ${failedResults[0].error}`
+      );
+    } else if (redactionWarnings.length) {
+      flashStatus(`Exported, but check the redactions: ${redactionWarnings[0]}`);
+    } else if (coveredTextEdits) {
+      flashStatus(
+        `Exported, but ${coveredTextEdits} edited text run${
+          coveredTextEdits === 1 ? ' was' : 's were'
+        } covered with white instead of removed.`
+      );
+    } else if (flattenFailures.length) {
+      flashStatus(
+        `Exported, but ${flattenFailures.length} field${
+          flattenFailures.length === 1 ? '' : 's'
+        } could not be flattened: ${flattenFailures[0].id}`
+      );
+    } else if (savePath) {
       flashStatus('Export complete.', 'success');
     }
 
-    setPdfBytes(nextBytes);
-    setDrafts([]);
+    const failedIds = new Set(failedResults.flatMap((result) => result.draftIds));
+    setPdfBytes(workingBytes);
+    setDrafts((current) => current.filter((draft) => failedIds.has(draft.id)));
     setSelectedDraftId(null);
+    if (metadataEdited) setDocumentMetadata(null);
     if (didSign) {
       if (!pdfName.toLowerCase().includes('signed')) {
         setPdfName(pdfName.replace(/\\.pdf$/i, '') + '-signed.pdf');
@@ -605,7 +1335,11 @@ const App = () => {
       setSelectedDraftId(null);
       return;
     }
-    if (activeTool === TOOL.TEXT_FIELD || activeTool === TOOL.TEXT) {
+    if (
+      activeTool === TOOL.TEXT_FIELD ||
+      activeTool === TOOL.TEXT ||
+      activeTool === TOOL.EDIT_TEXT
+    ) {
       return;
     }
 
@@ -620,12 +1354,30 @@ const App = () => {
     const viewport = pageViewportsRef.current[pageIndex];
     if (!viewport) return;
 
+    if (activeTool === TOOL.NOTE) {
+      const [x, y] = viewport.convertToPdfPoint(clickX, clickY);
+      setPendingNote({ pageIndex, x, y });
+      return;
+    }
+
     const defaults = placementDefaults[activeTool] || { width: 140, height: 40 };
     let width = defaults.width;
     let height = defaults.height;
+    if (activeTool === TOOL.CHOICE && choiceDraft.kind === 'option-list') {
+      height = 84;
+    }
 
     if (activeTool === TOOL.SIGNATURE && !signatureDataUrl) return;
 
+    if (activeTool === TOOL.IMAGE) {
+      if (!imageDraft) {
+        flashStatus('Choose an image first.');
+        return;
+      }
+      width = Math.min(defaults.width, viewport.width, viewport.height * imageDraft.aspect);
+      height = width / imageDraft.aspect;
+    }
+
     const maxX = viewport.width - width;
     const maxY = viewport.height - height;
 
@@ -639,14 +1391,57 @@ const App = () => {
       height
     };
 
-    if (activeTool === TOOL.TEXT_FIELD || activeTool === TOOL.CHECKBOX) {
+    if (
+      activeTool === TOOL.TEXT_FIELD ||
+      activeTool === TOOL.CHECKBOX ||
+      activeTool === TOOL.CHOICE ||
+      activeTool === TOOL.SIGNATURE_FIELD
+    ) {
       draft.fieldName = fieldNameDraft.trim();
     }
 
+    if (activeTool === TOOL.SIGNATURE_FIELD) {
+      draft.tooltip = signatureTooltipDraft.trim();
+    }
+
+    if (activeTool === TOOL.CHOICE) {
+      draft.choice = {
+        ...choiceDraft,
+        options: [...choiceDraft.options],
+        defaults: [...choiceDraft.defaults]
+      };
+    }
+
+    if (activeTool === TOOL.RADIO) {
+      const groupName = radioGroupDraft.trim() || 'RadioGroup1';
+      const groupSize = drafts.filter(
+        (item) => item.type === TOOL.RADIO && item.groupName === groupName
+      ).length;
+      draft.groupName = groupName;
+      draft.optionValue = radioValueDraft.trim() || `Option ${groupSize + 1}`;
+      draft.defaultSelected = false;
+      setRadioValueDraft('');
+    }
+
     if (activeTool === TOOL.SIGNATURE) {
       draft.dataUrl = signatureDataUrl;
     }
 
+    if (SHAPE_TOOLS.includes(activeTool)) {
+      Object.assign(draft, shapeStyleDrafts[activeTool]);
+    }
+
+    if (activeTool === TOOL.REDACT) {
+      draft.fillColor = redactFillDraft;
+    }
+
+    if (activeTool === TOOL.IMAGE) {
+      draft.dataUrl = imageDraft.dataUrl;
+      draft.aspect = imageDraft.aspect;
+      draft.opacity = imageStyleDraft.opacity;
+      draft.rotation = imageStyleDraft.rotation;
+    }
+
     setDrafts((current) => [...current, draft]);
     setSelectedDraftId(draft.id);
   };
@@ -689,6 +1484,7 @@ const App = () => {
     }
 
     const draft = {
+      ...defaultTextFieldProps,
       id: createDraftId(),
       type: TOOL.TEXT_FIELD,
       pageIndex: draftState.pageIndex,
@@ -858,55 +1654,602 @@ const App = () => {
     handleTextPointerUp
   ]);
   
+  const commitFieldValue = async (field, value) => {
+    try {
+      const nextBytes = await setFormFieldValue(pdfBytes, field.name, value, {
+        customFonts: customFontBytes
+      });
+      setPdfBytes(nextBytes);
+    } catch (error) {
+      console.error('Failed to update field', error);
+      flashStatus(error.message || `Could not update ${field.name}.`);
+    }
+  };
+
   const handleFieldCommit = async (field) => {
-    const value = fieldDrafts[field.name];
-    const nextBytes = await setFormFieldValue(pdfBytes, field.name, value);
-    setPdfBytes(nextBytes);
+    await commitFieldValue(field, fieldDrafts[field.name]);
   };
 
   const handleCheckboxCommit = async (field, checked) => {
     const nextDrafts = { ...fieldDrafts, [field.name]: checked };
     setFieldDrafts(nextDrafts);
-    const nextBytes = await setFormFieldValue(pdfBytes, field.name, checked);
-    setPdfBytes(nextBytes);
+    await commitFieldValue(field, checked);
   };
 
-  const handleThumbClick = (index) => {
-    const target = pageElementsRef.current[index];
-    if (target) {
-      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  const handleExportFormData = async () => {
+    const name = `${pdfName.replace(/\.pdf$/i, '') || 'form'}.${formDataFormat}`;
+    try {
+      const data = serializeFormData(formFields, formDataFormat, { fileName: pdfName });
+      if (window.pdfApi?.saveFormData) {
+        const result = await window.pdfApi.saveFormData({
+          name,
+          data: bytesToBase64(data)
+        });
+        if (result?.error) {
+          flashStatus(result.error);
+        } else if (result?.path) {
+          flashStatus('Form data exported.', 'success');
+        }
+        return;
+      }
+      const format = formDataFormats.find((option) => option.value === formDataFormat);
+      downloadFile(data, name, format.mimeType);
+    } catch (error) {
+      console.error('Form data export failed', error);
+      flashStatus(error.message || 'Could not export the form data.');
     }
   };
 
-  const handleLoadCertificate = async () => {
-    setSignError('');
-    if (window.pdfApi?.openCertificate) {
-      const result = await window.pdfApi.openCertificate();
-      if (!result) return;
-      setCertificateName(result.name || 'certificate.p12');
-      setCertificateData(result.data || '');
+  const importFormData = async (bytes, name) => {
+    const format = formatFromFileName(name);
+    if (!format) {
+      flashStatus('Choose an FDF, XFDF, JSON or CSV file.');
       return;
     }
+    try {
+      const { entries, notes } = await parseFormData(bytes, format);
+      const result = await applyFormData(pdfBytes, entries, {
+        customFonts: customFontBytes
+      });
+      setPdfBytes(result.bytes);
+      setFormDataReport({ name, ...result.report, notes });
+      const problems = result.report.unmatched.length + result.report.invalid.length;
+      if (problems) {
+        flashStatus(
+          `Imported with ${problems} entr${problems === 1 ? 'y' : 'ies'} skipped.`
+        );
+      } else {
+        flashStatus('Form data imported.', 'success');
+      }
+    } catch (error) {
+      console.error('Form data import failed', error);
+      flashStatus(error.message || 'Could not import the form data.');
+    }
   };
 
-  const handleCreateCertificate = async () => {
-    if (!canCreateCertificate) {
-      flashStatus(
-        hasDesktopBridge
-          ? 'Desktop bridge is out of date. Please restart the desktop app.'
-          : 'Certificate creation is only available in the desktop app.'
-      );
-      return;
-    }
-    const result = await window.pdfApi.createCertificate(certForm);
-    if (!result) return;
-    if (result.error) {
-      flashStatus(result.error);
+  const handleImportFormData = async () => {
+    if (!pdfBytes || editingLocked) return;
+    if (window.pdfApi?.openFormData) {
+      const result = await window.pdfApi.openFormData();
+      if (!result) return;
+      if (result.error) {
+        flashStatus(result.error);
+        return;
+      }
+      await importFormData(base64ToBytes(result.data), result.name);
       return;
     }
-    setCertificateName(result.name || 'certificate.p12');
-    setCertificateData(result.data || '');
-    setCertificatePassword(certForm.password || '');
+    formDataInputRef.current?.click();
+  };
+
+  const handleFormDataFilePick = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    await importFormData(await fileToBytes(file), file.name);
+  };
+
+  const applyFormFieldChange = async (change) => {
+    if (!pdfBytes || editingLocked) return false;
+    try {
+      setPdfBytes(await change(pdfBytes));
+      return true;
+    } catch (error) {
+      console.error('Field edit failed', error);
+      flashStatus(error.message || 'Could not update the field.');
+      return false;
+    }
+  };
+
+  const handleSelectField = (field) => {
+    setEditingFields(true);
+    setSelectedFieldName((current) => (current === field.name ? null : field.name));
+  };
+
+  const handleRenameField = async (field, nextName) => {
+    const partialName = nextName.trim();
+    const renamed = await applyFormFieldChange((bytes) =>
+      renameFormField(bytes, field.name, partialName)
+    );
+    if (renamed) {
+      const prefix = field.name.slice(0, field.name.lastIndexOf('.') + 1);
+      setSelectedFieldName(`${prefix}${partialName}`);
+    }
+    return renamed;
+  };
+
+  const handleFieldPropertiesChange = (field, properties) =>
+    applyFormFieldChange((bytes) =>
+      updateFormFieldProperties(bytes, field.name, properties, {
+        customFonts: customFontBytes
+      })
+    );
+
+  const handleDeleteField = async (field) => {
+    if (!window.confirm(`Delete the field "${field.name}"?`)) return;
+    const deleted = await applyFormFieldChange((bytes) =>
+      deleteFormField(bytes, field.name)
+    );
+    if (deleted) setSelectedFieldName(null);
+  };
+
+  // Widget boxes live in viewport pixels while dragging, like drafts.
+  const commitWidgetBox = async (box) => {
+    const viewport = pageViewportsRef.current[box.pageIndex];
+    if (!viewport) return;
+    const [x1, y1] = viewport.convertToPdfPoint(box.x, box.y);
+    const [x2, y2] = viewport.convertToPdfPoint(box.x + box.width, box.y + box.height);
+    await applyFormFieldChange((bytes) =>
+      updateFormFieldWidget(
+        bytes,
+        box.fieldName,
+        box.widgetIndex,
+        {
+          x: Math.min(x1, x2),
+          y: Math.min(y1, y2),
+          width: Math.abs(x2 - x1),
+          height: Math.abs(y2 - y1)
+        },
+        { customFonts: customFontBytes }
+      )
+    );
+    setWidgetDrag(null);
+  };
+
+  const applyCommentChange = async (change) => {
+    if (!pdfBytes || editingLocked) return false;
+    try {
+      setPdfBytes(await change(pdfBytes));
+      return true;
+    } catch (error) {
+      console.error('Comment update failed', error);
+      flashStatus(error.message || 'Could not update the comment.');
+      return false;
+    }
+  };
+
+  const handleAddNote = async (contents) => {
+    if (!pendingNote) return false;
+    const { pageIndex, x, y } = pendingNote;
+    const added = await applyCommentChange((bytes) =>
+      addComment(bytes, { pageIndex, x, y, contents, author: commentAuthor.trim() })
+    );
+    if (added) setPendingNote(null);
+    return added;
+  };
+
+  const handleReplyToComment = (comment, contents) =>
+    applyCommentChange((bytes) =>
+      replyToComment(bytes, comment.id, { contents, author: commentAuthor.trim() })
+    );
+
+  const handleCommentStatus = (comment, state) =>
+    applyCommentChange((bytes) =>
+      setCommentStatus(bytes, comment.id, { state, author: commentAuthor.trim() })
+    );
+
+  const handleDeleteComment = (comment) =>
+    applyCommentChange((bytes) => deleteComment(bytes, comment.id));
+
+  const handleJumpToComment = (comment) => {
+    setActiveCommentId(comment.id);
+    handleThumbClick(comment.pageIndex);
+  };
+
+  const handleThumbClick = (index) => {
+    const target = pageElementsRef.current[index];
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  };
+
+  const applyPageChange = async (change, mapDraft) => {
+    if (!pdfBytes || editingLocked) return;
+    let nextBytes;
+    try {
+      nextBytes = await change(pdfBytes);
+    } catch (error) {
+      console.error('Page update failed', error);
+      flashStatus(error?.message || 'Failed to update pages.');
+      return;
+    }
+    setDrafts((current) => current.map(mapDraft).filter(Boolean));
+    setPdfBytes(nextBytes);
+  };
+
+  const remapDraftPage = (mapPageIndex) => (draft) => {
+    const pageIndex = mapPageIndex(draft.pageIndex);
+    if (pageIndex === null) return null;
+    return pageIndex === draft.pageIndex ? draft : { ...draft, pageIndex };
+  };
+
+  const pageSizeChoices = useMemo(() => {
+    const choices = pageSizePresets.flatMap((preset) =>
+      ['portrait', 'landscape'].map((orientation) => ({
+        id: `${preset.id}:${orientation}`,
+        label: orientation === 'portrait' ? preset.label : `${preset.label} landscape`,
+        setup: { ...pageSetup, preset: preset.id, orientation }
+      }))
+    );
+    if (pageSetup.preset === 'custom') {
+      choices.push({
+        id: 'custom',
+        label: `${pageSetup.width} × ${pageSetup.height} ${pageSetup.unit}`,
+        setup: pageSetup
+      });
+    }
+    return choices;
+  }, [pageSetup]);
+
+  const pageSizeChoiceId =
+    pageSetup.preset === 'custom'
+      ? 'custom'
+      : `${pageSetup.preset}:${pageSetup.orientation}`;
+
+  const handlePageSizeChoice = (id) => {
+    const choice = pageSizeChoices.find((item) => item.id === id);
+    if (choice) setPageSetup(choice.setup);
+  };
+
+  const handleInsertPage = (pageIndex) => {
+    applyPageChange(
+      (bytes) => insertBlankPage(bytes, pageIndex, resolvePageSize(pageSetup)),
+      remapDraftPage((index) => (index >= pageIndex ? index + 1 : index))
+    );
+  };
+
+  const handleDeletePage = (pageIndex) => {
+    applyPageChange(
+      (bytes) => deletePage(bytes, pageIndex),
+      remapDraftPage((index) => {
+        if (index === pageIndex) return null;
+        return index > pageIndex ? index - 1 : index;
+      })
+    );
+  };
+
+  const handleDuplicatePage = (pageIndex) => {
+    applyPageChange(
+      (bytes) => duplicatePage(bytes, pageIndex),
+      remapDraftPage((index) => (index > pageIndex ? index + 1 : index))
+    );
+  };
+
+  const handleRotatePage = (pageIndex) => {
+    const viewport = pageViewportsRef.current[pageIndex];
+    applyPageChange(
+      (bytes) => rotatePage(bytes, pageIndex, 90),
+      (draft) => {
+        if (draft.pageIndex !== pageIndex || !viewport) return draft;
+        // Turn the box clockwise with the page.
+        const rotated = {
+          ...draft,
+          x: viewport.height - draft.y - draft.height,
+          y: draft.x,
+          width: draft.height,
+          height: draft.width
+        };
+        if (draft.lineDirection) {
+          const [lineDirection, flips] = rotatedLineDirections[draft.lineDirection];
+          rotated.lineDirection = lineDirection;
+          rotated.reversed = flips ? !draft.reversed : draft.reversed;
+        }
+        return rotated;
+      }
+    );
+  };
+
+  const handleMovePage = (fromIndex, toIndex) => {
+    applyPageChange(
+      (bytes) => movePage(bytes, fromIndex, toIndex),
+      remapDraftPage((index) => {
+        if (index === fromIndex) return toIndex;
+        if (fromIndex < toIndex && index > fromIndex && index <= toIndex) {
+          return index - 1;
+        }
+        if (toIndex < fromIndex && index >= toIndex && index < fromIndex) {
+          return index + 1;
+        }
+        return index;
+      })
+    );
+  };
+
+  const addCustomFont = async (fileName, bytes) => {
+    let info;
+    try {
+      info = describeFontFile(bytes);
+    } catch (error) {
+      console.error('Failed to read font', error);
+      flashStatus(error.message || 'That file is not a usable font.');
+      return null;
+    }
+
+    const existing = customFonts.find(
+      (font) => info.postscriptName && font.postscriptName === info.postscriptName
+    );
+    if (existing) return existing;
+
+    const id = createFontId();
+    const font = {
+      id,
+      label: info.familyName || fileName,
+      postscriptName: info.postscriptName,
+      cssFamily: `FillForge ${id}`,
+      bytes
+    };
+
+    try {
+      const face = new FontFace(font.cssFamily, bytes);
+      await face.load();
+      document.fonts.add(face);
+    } catch (error) {
+      console.warn('Font preview unavailable', error);
+    }
+
+    setCustomFonts((current) => [...current, font]);
+    flashStatus(`Added font ${font.label}.`, 'success');
+    return font;
+  };
+
+  const prepareInsertSource = async (name, bytes) => {
+    try {
+      const count = await getPdfPageCount(bytes);
+      setInsertSource({ name, bytes, pageCount: count });
+    } catch (error) {
+      console.error('Failed to read PDF for insert', error);
+      flashStatus(`Could not read ${name}: ${error?.message || 'unknown error'}`);
+    }
+  };
+
+  const handleInsertFromFile = async () => {
+    if (!pdfBytes || editingLocked) return;
+    if (window.pdfApi?.openInsertPdf) {
+      const result = await window.pdfApi.openInsertPdf();
+      if (!result) return;
+      if (result.error) {
+        flashStatus(result.error);
+        return;
+      }
+      await prepareInsertSource(
+        result.name || 'Inserted.pdf',
+        base64ToBytes(result.data)
+      );
+      return;
+    }
+
+    insertInputRef.current?.click();
+  };
+
+  const handleInsertFilePick = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    await prepareInsertSource(file.name || 'Inserted.pdf', await fileToBytes(file));
+  };
+
+  const handleInsertPages = async ({ pageIndices, position }) => {
+    let result;
+    try {
+      result = await insertPagesFromPdf(pdfBytes, insertSource.bytes, {
+        pageIndices,
+        position
+      });
+    } catch (error) {
+      console.error('Failed to insert pages', error);
+      return error?.message || 'Failed to insert pages.';
+    }
+
+    setDrafts((current) =>
+      current.map(
+        remapDraftPage((index) => (index >= position ? index + result.pageCount : index))
+      )
+    );
+    setPdfBytes(result.bytes);
+    setInsertSource(null);
+    const plural = result.pageCount === 1 ? '' : 's';
+    const inserted = `Inserted ${result.pageCount} page${plural}.`;
+    flashStatus(
+      result.renamed.length
+        ? `${inserted} Renamed fields: ${result.renamed
+            .map((item) => `${item.from} → ${item.to}`)
+            .join(', ')}`
+        : inserted,
+      'success'
+    );
+    return null;
+  };
+
+  const writeExtractedFiles = async (files) => {
+    if (files.length === 1 && window.pdfApi?.savePdfPath) {
+      const target = await window.pdfApi.savePdfPath({ name: files[0].name });
+      if (!target?.path) return 0;
+      const result = await window.pdfApi.writePdf({
+        path: target.path,
+        data: bytesToBase64(files[0].bytes)
+      });
+      if (result?.error) throw new Error(result.error);
+      return 1;
+    }
+
+    if (window.pdfApi?.chooseDirectory) {
+      const folder = await window.pdfApi.chooseDirectory({
+        title: 'Choose a folder for the extracted PDFs'
+      });
+      if (!folder?.path) return 0;
+      for (const file of files) {
+        const result = await window.pdfApi.writePdfToDirectory({
+          directory: folder.path,
+          name: file.name,
+          data: bytesToBase64(file.bytes)
+        });
+        if (result?.error) throw new Error(result.error);
+      }
+      return files.length;
+    }
+
+    files.forEach((file) => downloadPdf(file.bytes, file.name));
+    return files.length;
+  };
+
+  const handleExtractPages = async (parts) => {
+    let written;
+    try {
+      const files = [];
+      for (const part of parts) {
+        files.push({
+          name: part.name,
+          bytes: await extractPages(pdfBytes, part.pageIndices)
+        });
+      }
+      written = await writeExtractedFiles(files);
+    } catch (error) {
+      console.error('Failed to extract pages', error);
+      return error?.message || 'Failed to extract pages.';
+    }
+
+    if (!written) return null;
+    setShowExtractModal(false);
+    flashStatus(`Saved ${written} PDF${written === 1 ? '' : 's'}.`, 'success');
+    return null;
+  };
+
+  const chooseMergeFolder = async () => {
+    const result = await window.pdfApi.chooseMergeDirectory();
+    if (result?.error) throw new Error(result.error);
+    return result;
+  };
+
+  const writeMergedFile = async (directory, name, bytes, { replace }) => {
+    if (!directory) {
+      downloadPdf(bytes, name);
+      return;
+    }
+    const result = await window.pdfApi.writePdfToDirectory({
+      directory,
+      name,
+      data: bytesToBase64(bytes),
+      replace
+    });
+    if (result?.error) throw new Error(result.error);
+  };
+
+  const handleMailMergeFinish = (written, total) => {
+    if (written === total) {
+      flashStatus(`Saved ${written} PDF${written === 1 ? '' : 's'}.`, 'success');
+    } else {
+      flashStatus(`Saved ${written} of ${total} PDFs.`);
+    }
+  };
+
+  const loadImageDraft = async (name, bytes) => {
+    const type = detectImageType(bytes);
+    if (!type) {
+      flashStatus('Only PNG and JPEG images are supported.');
+      return;
+    }
+    const dataUrl = `data:${type};base64,${bytesToBase64(bytes)}`;
+    try {
+      const aspect = await loadImageAspect(dataUrl);
+      setImageDraft({ name, dataUrl, aspect });
+    } catch (error) {
+      flashStatus(error.message);
+    }
+  };
+
+  const handleChooseImage = async () => {
+    if (window.pdfApi?.openImage) {
+      const result = await window.pdfApi.openImage();
+      if (!result) return;
+      if (result.error) {
+        flashStatus(result.error);
+        return;
+      }
+      await loadImageDraft(result.name, base64ToBytes(result.data));
+      return;
+    }
+
+    imageInputRef.current?.click();
+  };
+
+  const handleImageFilePick = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    await loadImageDraft(file.name, await fileToBytes(file));
+  };
+
+  const handleAddFont = async () => {
+    if (window.pdfApi?.openFont) {
+      const result = await window.pdfApi.openFont();
+      if (!result) return null;
+      if (result.error) {
+        flashStatus(result.error);
+        return null;
+      }
+      return addCustomFont(result.name, base64ToBytes(result.data));
+    }
+
+    fontInputRef.current?.click();
+    return null;
+  };
+
+  const handleFontFilePick = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    await addCustomFont(file.name, await fileToBytes(file));
+  };
+
+  const handleLoadCertificate = async () => {
+    setSignError('');
+    if (window.pdfApi?.openCertificate) {
+      const result = await window.pdfApi.openCertificate();
+      if (!result) return;
+      setCertificateName(result.name || 'certificate.p12');
+      setCertificateData(result.data || '');
+      return;
+    }
+  };
+
+  const handleCreateCertificate = async () => {
+    if (!canCreateCertificate) {
+      flashStatus(
+        hasDesktopBridge
+          ? 'Desktop bridge is out of date. Please restart the desktop app.'
+          : 'Certificate creation is only available in the desktop app.'
+      );
+      return;
+    }
+    const result = await window.pdfApi.createCertificate(certForm);
+    if (!result) return;
+    if (result.error) {
+      flashStatus(result.error);
+      return;
+    }
+    setCertificateName(result.name || 'certificate.p12');
+    setCertificateData(result.data || '');
+    setCertificatePassword(certForm.password || '');
     setShowCertModal(false);
     flashStatus('Certificate created.', 'success');
   };
@@ -917,6 +2260,24 @@ const App = () => {
     );
   }, []);
 
+  const setDefaultRadioOption = useCallback((draftId, checked) => {
+    setDrafts((current) => {
+      const target = current.find((draft) => draft.id === draftId);
+      if (!target) return current;
+      return current.map((draft) => {
+        if (draft.id === draftId) return { ...draft, defaultSelected: checked };
+        if (
+          checked &&
+          draft.type === TOOL.RADIO &&
+          draft.groupName === target.groupName
+        ) {
+          return { ...draft, defaultSelected: false };
+        }
+        return draft;
+      });
+    });
+  }, []);
+
   const removeDraft = useCallback((draftId) => {
     setDrafts((current) => current.filter((draft) => draft.id !== draftId));
     setSelectedDraftId((current) => (current === draftId ? null : current));
@@ -939,11 +2300,51 @@ const App = () => {
     };
   }, []);
 
+  const handleEditTextRun = (event, run) => {
+    event.stopPropagation();
+    if (editingLocked) return;
+    const existing = drafts.find((draft) => draft.runId === run.id);
+    if (existing) {
+      setSelectedDraftId(existing.id);
+      return;
+    }
+    const viewport = pageViewportsRef.current[run.pageIndex];
+    if (!viewport) return;
+    const bounds = textRunBounds(run);
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+      bounds.x,
+      bounds.y,
+      bounds.x + bounds.width,
+      bounds.y + bounds.height
+    ]);
+    const draft = {
+      id: createDraftId(),
+      type: TOOL.EDIT_TEXT,
+      pageIndex: run.pageIndex,
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+      runId: run.id,
+      original: { x: run.x, y: run.y, width: run.width, fontSize: run.fontSize },
+      text: run.text,
+      size: Number(run.fontSize.toFixed(2)),
+      fontFamily: run.fontFamily,
+      fontWeight: run.fontWeight,
+      fontStyle: run.fontStyle,
+      color: run.color || '#000000'
+    };
+    setDrafts((current) => [...current, draft]);
+    setSelectedDraftId(draft.id);
+  };
+
   const handleDraftPointerDown = (event, draft) => {
     if (editingLocked) return;
     event.preventDefault();
     event.stopPropagation();
     setSelectedDraftId(draft.id);
+    // Edited text stays on its original baseline.
+    if (draft.type === TOOL.EDIT_TEXT) return;
 
     dragStateRef.current = {
       id: draft.id,
@@ -977,13 +2378,53 @@ const App = () => {
     window.addEventListener('pointerup', handleDraftPointerUp);
   };
 
+  const lockAspectRatio = (next, drag) => {
+    const { aspect } = drag.draft;
+    const viewport = pageViewportsRef.current[next.pageIndex];
+    let width = Math.max(next.width, next.height * aspect);
+    if (viewport) {
+      width = Math.min(width, viewport.width, viewport.height * aspect);
+    }
+    const height = width / aspect;
+    return {
+      ...next,
+      width,
+      height,
+      x: drag.handle.includes('w') ? drag.draft.x + drag.draft.width - width : next.x,
+      y: drag.handle.includes('n') ? drag.draft.y + drag.draft.height - height : next.y
+    };
+  };
+
+  const handleWidgetPointerDown = (event, box, handle = '') => {
+    if (editingLocked) return;
+    event.preventDefault();
+    event.stopPropagation();
+    setSelectedFieldName(box.fieldName);
+
+    dragStateRef.current = {
+      id: box.id,
+      target: 'widget',
+      startX: event.clientX,
+      startY: event.clientY,
+      draft: box,
+      mode: handle ? 'resize' : 'move',
+      handle
+    };
+
+    window.addEventListener('pointermove', handleDraftPointerMove);
+    window.addEventListener('pointerup', handleDraftPointerUp);
+  };
+
   const handleDraftPointerMove = (event) => {
     const drag = dragStateRef.current;
     if (!drag) return;
 
     const deltaX = event.clientX - drag.startX;
     const deltaY = event.clientY - drag.startY;
-    const minSize = drag.draft.type === TOOL.CHECKBOX ? 18 : 36;
+    // Existing fields are often small, so they only need to stay grabbable.
+    let minSize =
+      drag.draft.type === TOOL.CHECKBOX || drag.draft.type === TOOL.RADIO ? 18 : 36;
+    if (drag.target === 'widget') minSize = 8;
 
     let next = { ...drag.draft };
 
@@ -1007,18 +2448,28 @@ const App = () => {
         next.y = drag.draft.y + (drag.draft.height - newHeight);
         next.height = newHeight;
       }
+      if (drag.draft.aspect) {
+        next = lockAspectRatio(next, drag);
+      }
     }
 
     next = clampDraft(next);
+    if (drag.target === 'widget') {
+      drag.moved = next;
+      setWidgetDrag(next);
+      return;
+    }
     setDrafts((current) =>
       current.map((draft) => (draft.id === drag.id ? next : draft))
     );
   };
 
   const handleDraftPointerUp = () => {
+    const drag = dragStateRef.current;
     dragStateRef.current = null;
     window.removeEventListener('pointermove', handleDraftPointerMove);
     window.removeEventListener('pointerup', handleDraftPointerUp);
+    if (drag?.target === 'widget' && drag.moved) commitWidgetBox(drag.moved);
   };
 
   return (
@@ -1095,6 +2546,34 @@ const App = () => {
               />
             </svg>
           </button>
+          <button
+            className={activeTool === TOOL.RADIO ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.RADIO)}
+            title="Radio Group"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <circle
+                cx="12"
+                cy="12"
+                r="8"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+              />
+              <circle cx="12" cy="12" r="4" fill="currentColor" />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.CHOICE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.CHOICE)}
+            title="Dropdown / List"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect x="3" y="6" width="18" height="12" rx="2" fill="currentColor" />
+              <path d="M14 11l2.5 2.5L19 11" stroke="#111" strokeWidth="2" fill="none" />
+              <rect x="6" y="11" width="6" height="2" fill="#111" />
+            </svg>
+          </button>
           <button
             className={
               activeTool === TOOL.SIGNATURE ? 'icon-button active' : 'icon-button'
@@ -1118,6 +2597,187 @@ const App = () => {
               />
             </svg>
           </button>
+          <button
+            className={
+              activeTool === TOOL.SIGNATURE_FIELD ? 'icon-button active' : 'icon-button'
+            }
+            onClick={() => setActiveTool(TOOL.SIGNATURE_FIELD)}
+            title="Signature Field"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect
+                x="3"
+                y="6"
+                width="18"
+                height="12"
+                rx="2"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeDasharray="3 2"
+                fill="none"
+              />
+              <path
+                d="M7 14c2-3 4-3 5-1s3 1 5-2"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+                strokeLinecap="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.IMAGE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.IMAGE)}
+            title="Image"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect
+                x="3"
+                y="5"
+                width="18"
+                height="14"
+                rx="2"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+              />
+              <circle cx="9" cy="10" r="1.5" fill="currentColor" />
+              <path
+                d="M4 17l5-5 4 4 3-3 4 4"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.RECTANGLE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.RECTANGLE)}
+            title="Rectangle"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect
+                x="4"
+                y="6"
+                width="16"
+                height="12"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.ELLIPSE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.ELLIPSE)}
+            title="Ellipse"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <ellipse
+                cx="12"
+                cy="12"
+                rx="8"
+                ry="6"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.LINE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.LINE)}
+            title="Line"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path
+                d="M4 18L20 6"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.ARROW ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.ARROW)}
+            title="Arrow"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path
+                d="M4 18L20 6M13 6h7v7"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.HIGHLIGHT ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.HIGHLIGHT)}
+            title="Highlight"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect x="3" y="9" width="18" height="7" fill="currentColor" opacity="0.4" />
+              <path
+                d="M3 19h18"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.REDACT ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.REDACT)}
+            title="Redact"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <rect x="3" y="9" width="18" height="6" rx="1" fill="currentColor" />
+              <path
+                d="M3 5h8M3 19h12"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={activeTool === TOOL.NOTE ? 'icon-button active' : 'icon-button'}
+            onClick={() => setActiveTool(TOOL.NOTE)}
+            title="Note"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path
+                d="M4 4h16v12h-7l-5 4v-4H4z"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
+          <button
+            className={
+              activeTool === TOOL.EDIT_TEXT ? 'icon-button active' : 'icon-button'
+            }
+            onClick={() => setActiveTool(TOOL.EDIT_TEXT)}
+            title="Edit text"
+          >
+            <svg viewBox="0 0 24 24" aria-hidden="true">
+              <path
+                d="M4 6V4h12v2M10 4v14M7 18h6M14 20l6-6 2 2-6 6h-2z"
+                stroke="currentColor"
+                strokeWidth="2"
+                fill="none"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+          </button>
         </div>
         {statusMessage && (
           <div className={`status-pill ${statusMessage.tone}`}>
@@ -1152,12 +2812,57 @@ const App = () => {
             onChange={handleFilePick}
             hidden
           />
+          <input
+            ref={insertInputRef}
+            type="file"
+            accept="application/pdf"
+            onChange={handleInsertFilePick}
+            hidden
+          />
+          <input
+            ref={imageInputRef}
+            type="file"
+            accept="image/png,image/jpeg"
+            onChange={handleImageFilePick}
+            hidden
+          />
+          <input
+            ref={fontInputRef}
+            type="file"
+            accept=".ttf,.otf,font/ttf,font/otf"
+            onChange={handleFontFilePick}
+            hidden
+          />
+          <input
+            ref={formDataInputRef}
+            type="file"
+            accept=".fdf,.xfdf,.json,.csv"
+            onChange={handleFormDataFilePick}
+            hidden
+          />
           <button className="ghost" onClick={handleOpenDialog}>
             Open PDF
           </button>
-          <button className="ghost" onClick={handleNewBlank}>
+          <button className="ghost" onClick={() => setShowNewBlankModal(true)}>
             New Blank
           </button>
+          <button
+            className="ghost"
+            onClick={handleInsertFromFile}
+            disabled={!pdfBytes || editingLocked}
+          >
+            Insert from file
+          </button>
+          <button
+            className="ghost"
+            onClick={() => setShowExtractModal(true)}
+            disabled={!pdfBytes}
+          >
+            Extract pages
+          </button>
+          <button className="ghost" onClick={() => setShowMailMerge(true)}>
+            Mail merge
+          </button>
           <button className="primary" onClick={handleExport}>
             Export PDF
           </button>
@@ -1165,26 +2870,21 @@ const App = () => {
       </header>
 
       <main className="workspace">
-        <aside className="thumbrail">
-          <div className="thumbrail-header">
-            <h3>Pages</h3>
-            <span>{pageCount || '—'}</span>
-          </div>
-          <div className="thumbrail-list">
-            {thumbnails.map((thumb) => (
-              <button
-                key={thumb.pageIndex}
-                className={
-                  activePageIndex === thumb.pageIndex ? 'thumb active' : 'thumb'
-                }
-                onClick={() => handleThumbClick(thumb.pageIndex)}
-              >
-                <img src={thumb.url} alt={`Page ${thumb.pageIndex + 1}`} />
-                <span>{thumb.pageIndex + 1}</span>
-              </button>
-            ))}
-          </div>
-        </aside>
+        <PageThumbnails
+          thumbnails={thumbnails}
+          pageCount={pageCount}
+          activePageIndex={activePageIndex}
+          pageSizeId={pageSizeChoiceId}
+          pageSizeOptions={pageSizeChoices}
+          onPageSizeChange={handlePageSizeChoice}
+          onSelect={handleThumbClick}
+          onInsert={handleInsertPage}
+          onRotate={handleRotatePage}
+          onDuplicate={handleDuplicatePage}
+          onDelete={handleDeletePage}
+          onMove={handleMovePage}
+          disabled={editingLocked || isRendering}
+        />
 
         <section
           className="viewer"
@@ -1199,13 +2899,31 @@ const App = () => {
                 <button className="primary" onClick={handleOpenDialog}>
                   Open a PDF
                 </button>
-                <button className="ghost" onClick={handleNewBlank}>
+                <button className="ghost" onClick={() => setShowNewBlankModal(true)}>
                   Create blank PDF
                 </button>
               </div>
             </div>
           )}
           <div className="viewer-scroll" ref={viewerScrollRef}>
+            <div className="viewer-pages" ref={pagesContainerRef} />
+            {marginGuide !== null &&
+              pageOffsetsRef.current.map((offset, index) => {
+                if (!offset) return null;
+                const inset = marginGuide * scale;
+                return (
+                  <div
+                    key={`margin-${index}`}
+                    className="margin-guide"
+                    style={{
+                      left: offset.left + inset,
+                      top: offset.top + inset,
+                      width: Math.max(offset.width - inset * 2, 0),
+                      height: Math.max(offset.height - inset * 2, 0)
+                    }}
+                  />
+                );
+              })}
             {drafts.map((draft) => {
               const offset = pageOffsetsRef.current[draft.pageIndex];
               if (!offset) return null;
@@ -1221,6 +2939,8 @@ const App = () => {
                 <div
                   key={draft.id}
                   className={`draft-overlay ${draft.type === TOOL.TEXT ? 'text-draft' : ''} ${
+                    draft.type === TOOL.EDIT_TEXT ? 'text-edit-draft' : ''
+                  } ${
                     isSelected ? 'selected' : ''
                   }`}
                   style={style}
@@ -1228,128 +2948,128 @@ const App = () => {
                   onPointerDown={(event) => handleDraftPointerDown(event, draft)}
                 >
                   {draft.type === TOOL.TEXT && (
+                    <TextBox
+                      draft={draft}
+                      scale={scale}
+                      cssFont={resolveCssFont(draft.fontFamily)}
+                      customFonts={customFontBytes}
+                      fontOptions={fontOptions}
+                      editing={isSelected && !editingLocked}
+                      onFocus={() => setSelectedDraftId(draft.id)}
+                      onChange={(updates) => updateDraft(draft.id, updates)}
+                    />
+                  )}
+                  {draft.type === TOOL.TEXT_FIELD && (
                     <>
-                      {isSelected && !editingLocked && (
-                        <div
-                          className="text-toolbar"
-                          onPointerDown={(event) => event.stopPropagation()}
-                        >
-                          <button
-                            className={draft.fontWeight === 'bold' ? 'active' : ''}
-                            onClick={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, {
-                                fontWeight:
-                                  draft.fontWeight === 'bold' ? 'normal' : 'bold'
-                              });
-                            }}
-                            type="button"
-                          >
-                            B
-                          </button>
-                          <button
-                            className={draft.fontStyle === 'italic' ? 'active' : ''}
-                            onClick={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, {
-                                fontStyle:
-                                  draft.fontStyle === 'italic' ? 'normal' : 'italic'
-                              });
-                            }}
-                            type="button"
-                          >
-                            I
-                          </button>
-                          <button
-                            className={draft.underline ? 'active' : ''}
-                            onClick={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, {
-                                underline: !draft.underline
-                              });
-                            }}
-                            type="button"
-                          >
-                            U
-                          </button>
-                          <select
-                            value={draft.fontFamily || 'helvetica'}
-                            onChange={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, { fontFamily: event.target.value });
-                            }}
-                          >
-                            {textFontOptions.map((option) => (
-                              <option key={option.value} value={option.value}>
-                                {option.label}
-                              </option>
-                            ))}
-                          </select>
-                          <input
-                            type="number"
-                            min="10"
-                            max="48"
-                            value={draft.size || 16}
-                            onChange={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, {
-                                size: Number(event.target.value) || 16
-                              });
-                            }}
-                          />
-                          <input
-                            type="color"
-                            value={draft.color || '#0d1117'}
-                            onChange={(event) => {
-                              event.stopPropagation();
-                              updateDraft(draft.id, { color: event.target.value });
-                            }}
-                          />
-                        </div>
-                      )}
                       <div
-                        className="draft-text"
-                        contentEditable={!editingLocked}
-                        suppressContentEditableWarning
-                        data-placeholder="Type here"
+                        className="draft-field-preview"
                         style={{
-                          fontSize: draft.size || 16,
-                          fontFamily:
-                            draft.fontFamily === 'times'
-                              ? "'Times New Roman', serif"
-                              : draft.fontFamily === 'courier'
-                                ? "'Courier New', monospace"
-                                : "'Helvetica Neue', Arial, sans-serif",
-                          fontWeight: draft.fontWeight || 'normal',
-                          fontStyle: draft.fontStyle || 'normal',
-                          textDecoration: draft.underline ? 'underline' : 'none',
-                          color: draft.color || '#0d1117'
+                          background: draft.backgroundColor || 'transparent',
+                          borderColor: draft.borderColor || 'transparent',
+                          color: draft.textColor || '#000000',
+                          fontFamily: resolveCssFont(draft.fontFamily),
+                          fontSize: draft.fontSize ? draft.fontSize * scale : undefined,
+                          textAlign: draft.alignment || 'left',
+                          letterSpacing: draft.comb ? '0.4em' : undefined
                         }}
-                        onPointerDown={(event) => event.stopPropagation()}
-                        onFocus={() => setSelectedDraftId(draft.id)}
-                        onInput={(event) =>
-                          updateDraft(draft.id, {
-                            text: event.currentTarget.textContent || ''
-                          })
-                        }
                       >
-                        {draft.text}
+                        {draft.password ? '' : draft.defaultValue}
                       </div>
+                      <span className="draft-label">
+                        {draft.fieldName || 'Text field'}
+                        {draft.required ? ' *' : ''}
+                      </span>
                     </>
                   )}
-                  {draft.type === TOOL.TEXT_FIELD && (
-                    <span className="draft-label">
-                      {draft.fieldName || 'Text field'}
-                    </span>
+                  {draft.type === TOOL.CHECKBOX && (
+                    <div className="draft-checkbox" />
+                  )}
+                  {draft.type === TOOL.CHOICE && draft.choice && (
+                    <div className={`draft-choice ${draft.choice.kind}`}>
+                      {draft.choice.kind === 'dropdown' ? (
+                        <span>
+                          {draft.choice.defaults[0] || draft.choice.options[0] || ''} ▾
+                        </span>
+                      ) : (
+                        draft.choice.options.map((option, index) => (
+                          <span
+                            key={index}
+                            className={
+                              draft.choice.defaults.includes(option) ? 'selected' : ''
+                            }
+                          >
+                            {option}
+                          </span>
+                        ))
+                      )}
+                    </div>
+                  )}
+                  {draft.type === TOOL.RADIO && (
+                    <>
+                      <div
+                        className={`draft-radio ${draft.defaultSelected ? 'checked' : ''}`}
+                      />
+                      <span className="draft-caption">{draft.optionValue}</span>
+                    </>
+                  )}
+                  {draft.type === TOOL.SIGNATURE && draft.dataUrl && (
+                    <img src={draft.dataUrl} alt="Signature" />
+                  )}
+                  {draft.type === TOOL.IMAGE && (
+                    <img
+                      src={draft.dataUrl}
+                      alt=""
+                      style={{
+                        opacity: draft.opacity,
+                        transform: `rotate(${draft.rotation || 0}deg)`
+                      }}
+                    />
+                  )}
+                  {draft.type === TOOL.EDIT_TEXT && (
+                    <input
+                      className="draft-text-edit"
+                      value={draft.text}
+                      onChange={(event) =>
+                        updateDraft(draft.id, { text: event.target.value })
+                      }
+                      onPointerDown={(event) => {
+                        event.stopPropagation();
+                        setSelectedDraftId(draft.id);
+                      }}
+                      style={{
+                        fontFamily: resolveCssFont(draft.fontFamily),
+                        fontWeight: draft.fontWeight,
+                        fontStyle: draft.fontStyle,
+                        fontSize: draft.size * scale,
+                        color: draft.color
+                      }}
+                      disabled={editingLocked}
+                    />
                   )}
-                  {draft.type === TOOL.CHECKBOX && (
-                    <div className="draft-checkbox" />
+                  {draft.type === TOOL.REDACT && (
+                    <div
+                      className="draft-redaction"
+                      style={{ backgroundColor: draft.fillColor }}
+                    />
                   )}
-                  {draft.type === TOOL.SIGNATURE && draft.dataUrl && (
-                    <img src={draft.dataUrl} alt="Signature" />
+                  {SHAPE_TOOLS.includes(draft.type) && (
+                    <ShapePreview
+                      draft={draft}
+                      scale={pageViewportsRef.current[draft.pageIndex]?.scale || 1}
+                    />
+                  )}
+                  {draft.type === TOOL.SIGNATURE_FIELD && (
+                    <>
+                      <div className="draft-signature-field" title={draft.tooltip}>
+                        Sign here
+                      </div>
+                      <span className="draft-label">
+                        {draft.fieldName || 'Signature field'}
+                      </span>
+                    </>
                   )}
 
-                  {isSelected && !editingLocked && (
+                  {isSelected && !editingLocked && draft.type !== TOOL.EDIT_TEXT && (
                     <>
                       <button
                         className="handle handle-nw"
@@ -1380,6 +3100,134 @@ const App = () => {
                 </div>
               );
             })}
+            {activeTool === TOOL.EDIT_TEXT &&
+              textRuns.map((run) => {
+                const offset = pageOffsetsRef.current[run.pageIndex];
+                const viewport = pageViewportsRef.current[run.pageIndex];
+                if (!offset || !viewport) return null;
+                if (drafts.some((draft) => draft.runId === run.id)) return null;
+                const bounds = textRunBounds(run);
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                  bounds.x,
+                  bounds.y,
+                  bounds.x + bounds.width,
+                  bounds.y + bounds.height
+                ]);
+                return (
+                  <div
+                    key={run.id}
+                    className="text-run-overlay"
+                    style={{
+                      left: offset.left + Math.min(x1, x2),
+                      top: offset.top + Math.min(y1, y2),
+                      width: Math.abs(x2 - x1),
+                      height: Math.abs(y2 - y1)
+                    }}
+                    title={run.text}
+                    onPointerDown={(event) => event.stopPropagation()}
+                    onClick={(event) => handleEditTextRun(event, run)}
+                  />
+                );
+              })}
+            {editingFields &&
+              formFields.flatMap((field) =>
+                field.widgets.map((widget) => {
+                  const offset = pageOffsetsRef.current[widget.pageIndex];
+                  const viewport = pageViewportsRef.current[widget.pageIndex];
+                  if (!offset || !viewport || widget.hidden) return null;
+                  const id = `${field.name}#${widget.index}`;
+                  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                    widget.x,
+                    widget.y,
+                    widget.x + widget.width,
+                    widget.y + widget.height
+                  ]);
+                  const box =
+                    widgetDrag?.id === id
+                      ? widgetDrag
+                      : {
+                          id,
+                          type: field.type,
+                          fieldName: field.name,
+                          widgetIndex: widget.index,
+                          pageIndex: widget.pageIndex,
+                          x: Math.min(x1, x2),
+                          y: Math.min(y1, y2),
+                          width: Math.abs(x2 - x1),
+                          height: Math.abs(y2 - y1)
+                        };
+                  const isSelected = field.name === selectedFieldName;
+                  return (
+                    <div
+                      key={id}
+                      className={`field-widget-overlay ${isSelected ? 'selected' : ''}`}
+                      style={{
+                        left: offset.left + box.x,
+                        top: offset.top + box.y,
+                        width: box.width,
+                        height: box.height
+                      }}
+                      title={field.name}
+                      onPointerDown={(event) => handleWidgetPointerDown(event, box)}
+                      onClick={(event) => event.stopPropagation()}
+                    >
+                      {isSelected &&
+                        !editingLocked &&
+                        ['nw', 'ne', 'sw', 'se'].map((handle) => (
+                          <button
+                            key={handle}
+                            className={`handle handle-${handle}`}
+                            onPointerDown={(event) =>
+                              handleWidgetPointerDown(event, box, handle)
+                            }
+                          />
+                        ))}
+                    </div>
+                  );
+                })
+              )}
+            {pendingNote &&
+              (() => {
+                const offset = pageOffsetsRef.current[pendingNote.pageIndex];
+                const viewport = pageViewportsRef.current[pendingNote.pageIndex];
+                if (!offset || !viewport) return null;
+                const [left, top] = viewport.convertToViewportPoint(
+                  pendingNote.x,
+                  pendingNote.y
+                );
+                return (
+                  <div
+                    className="note-marker"
+                    style={{ left: offset.left + left, top: offset.top + top }}
+                  />
+                );
+              })()}
+            {activeCommentId &&
+              (() => {
+                const comment = comments.find((item) => item.id === activeCommentId);
+                if (!comment?.rect) return null;
+                const offset = pageOffsetsRef.current[comment.pageIndex];
+                const viewport = pageViewportsRef.current[comment.pageIndex];
+                if (!offset || !viewport) return null;
+                const { x, y, width, height } = comment.rect;
+                const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                  x,
+                  y,
+                  x + width,
+                  y + height
+                ]);
+                return (
+                  <div
+                    className="comment-focus"
+                    style={{
+                      left: offset.left + Math.min(x1, x2),
+                      top: offset.top + Math.min(y1, y2),
+                      width: Math.abs(x2 - x1),
+                      height: Math.abs(y2 - y1)
+                    }}
+                  />
+                );
+              })()}
             {textFieldDraft && activeTool === TOOL.TEXT_FIELD && (
               (() => {
                 const offset = pageOffsetsRef.current[textFieldDraft.pageIndex];
@@ -1442,6 +3290,40 @@ const App = () => {
               <span>Status</span>
               <strong>{isSigned ? 'Signed' : 'Editable'}</strong>
             </div>
+            {documentProtection && (
+              <div className="panel-row">
+                <span>Protection</span>
+                <strong>
+                  {documentProtection.owner ? 'Password' : 'Password, restricted'}
+                </strong>
+              </div>
+            )}
+            {documentMetadata && (
+              <>
+                <div className="panel-row">
+                  <span>Title</span>
+                  <strong>{documentMetadata.title || '—'}</strong>
+                </div>
+                <button
+                  className="ghost"
+                  onClick={() => setShowDocumentProperties((current) => !current)}
+                >
+                  {showDocumentProperties ? 'Hide properties' : 'Edit properties'}
+                </button>
+                {showDocumentProperties && (
+                  <DocumentPropertiesEditor
+                    value={documentMetadata}
+                    onChange={(metadata) => {
+                      setDocumentMetadata(metadata);
+                      setMetadataEdited(true);
+                    }}
+                    stampModified={stampModifiedDate}
+                    onStampModifiedChange={setStampModifiedDate}
+                    disabled={editingLocked}
+                  />
+                )}
+              </>
+            )}
           </div>
 
           <div className="panel">
@@ -1452,6 +3334,25 @@ const App = () => {
                   Click and drag on the PDF to draw a text box. Edit directly on the
                   page with the floating toolbar.
                 </div>
+                <label>Custom fonts</label>
+                {customFonts.length ? (
+                  <div className="chip-list">
+                    {customFonts.map((font) => (
+                      <span className="chip" key={font.id}>
+                        {font.label}
+                      </span>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="muted">Standard fonts cover Latin text only.</p>
+                )}
+                <button
+                  className="ghost"
+                  onClick={handleAddFont}
+                  disabled={editingLocked}
+                >
+                  Add font (.ttf/.otf)
+                </button>
               </div>
             )}
 
@@ -1485,6 +3386,157 @@ const App = () => {
               </div>
             )}
 
+            {activeTool === TOOL.CHOICE && (
+              <div className="panel-stack">
+                <label>Field name</label>
+                <input
+                  value={fieldNameDraft}
+                  onChange={(event) => setFieldNameDraft(event.target.value)}
+                  placeholder="Auto-generated if blank"
+                  disabled={editingLocked}
+                />
+                <ChoiceOptionsEditor
+                  value={choiceDraft}
+                  onChange={setChoiceDraft}
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  Click the PDF to place. Drag or resize until export.
+                </div>
+              </div>
+            )}
+
+            {activeTool === TOOL.RADIO && (
+              <div className="panel-stack">
+                <label>Group name</label>
+                <input
+                  value={radioGroupDraft}
+                  onChange={(event) => setRadioGroupDraft(event.target.value)}
+                  placeholder="RadioGroup1"
+                  disabled={editingLocked}
+                />
+                <label>Next option value</label>
+                <input
+                  value={radioValueDraft}
+                  onChange={(event) => setRadioValueDraft(event.target.value)}
+                  placeholder="Auto-generated if blank"
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  Click the PDF once per option. Options with the same group name
+                  form one question.
+                </div>
+              </div>
+            )}
+
+            {activeTool === TOOL.SIGNATURE_FIELD && (
+              <div className="panel-stack">
+                <label>Field name</label>
+                <input
+                  value={fieldNameDraft}
+                  onChange={(event) => setFieldNameDraft(event.target.value)}
+                  placeholder="Auto-generated if blank"
+                  disabled={editingLocked}
+                />
+                <label>Tooltip</label>
+                <input
+                  value={signatureTooltipDraft}
+                  onChange={(event) => setSignatureTooltipDraft(event.target.value)}
+                  placeholder="Shown when hovering the field"
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  Click the PDF to place an empty field that another signer can
+                  sign later.
+                </div>
+              </div>
+            )}
+
+            {SHAPE_TOOLS.includes(activeTool) && (
+              <div className="panel-stack">
+                <ShapeStyleEditor
+                  shape={activeTool}
+                  value={shapeStyleDrafts[activeTool]}
+                  onChange={(updates) =>
+                    setShapeStyleDrafts((current) => ({
+                      ...current,
+                      [activeTool]: { ...current[activeTool], ...updates }
+                    }))
+                  }
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  Click the PDF to place, then drag or resize to cover the content.
+                </div>
+              </div>
+            )}
+
+            {activeTool === TOOL.EDIT_TEXT && (
+              <div className="panel-stack">
+                <div className="hint">
+                  Click highlighted text on the page to retype it. On export the
+                  old text is removed and the new text is drawn on the same
+                  baseline in the closest standard font.
+                </div>
+                {pdfBytes && !isRendering && textRuns.length === 0 && (
+                  <p className="muted">
+                    No editable text found. Scanned pages have no text to edit.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {activeTool === TOOL.NOTE && (
+              <div className="panel-stack">
+                <div className="hint">
+                  Click the page where the note belongs, then write it in the
+                  Comments panel. Notes are saved as standard PDF comments.
+                </div>
+              </div>
+            )}
+
+            {activeTool === TOOL.REDACT && (
+              <div className="panel-stack">
+                <label>Fill color</label>
+                <input
+                  type="color"
+                  value={redactFillDraft}
+                  onChange={(event) => setRedactFillDraft(event.target.value)}
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  Mark areas to redact. On export the text, images, and shapes under
+                  them are removed from the page, not just covered. Anything that
+                  cannot be cut along an area is listed for you to confirm first.
+                </div>
+              </div>
+            )}
+
+            {activeTool === TOOL.IMAGE && (
+              <div className="panel-stack">
+                <label>Image</label>
+                {imageDraft ? (
+                  <img src={imageDraft.dataUrl} alt={imageDraft.name} className="image-preview" />
+                ) : (
+                  <div className="placeholder">No image yet.</div>
+                )}
+                <button className="ghost" onClick={handleChooseImage} disabled={editingLocked}>
+                  Choose image
+                </button>
+                <ImageStampControls
+                  value={imageStyleDraft}
+                  onChange={(updates) =>
+                    setImageStyleDraft((current) => ({ ...current, ...updates }))
+                  }
+                  disabled={editingLocked}
+                />
+                <div className="hint">
+                  PNG or JPEG. Click the PDF to stamp it; resizing keeps the
+                  proportions.
+                </div>
+              </div>
+            )}
+
             {activeTool === TOOL.SIGNATURE && (
               <div className="panel-stack">
                 <label>Signature</label>
@@ -1568,6 +3620,19 @@ const App = () => {
                   />
                   Include signature image
                 </label>
+                <label>Sign into</label>
+                <select
+                  value={signTargetField}
+                  onChange={(event) => setSignTargetField(event.target.value)}
+                  disabled={editingLocked}
+                >
+                  <option value="">New signature at placement</option>
+                  {emptySignatureFields.map((field) => (
+                    <option key={field.name} value={field.name}>
+                      {field.name}
+                    </option>
+                  ))}
+                </select>
                 <div className="hint">
                   Export applies the digital signature if a certificate is loaded.
                 </div>
@@ -1590,16 +3655,25 @@ const App = () => {
                 <span>Page</span>
                 <strong>{selectedDraft.pageIndex + 1}</strong>
               </div>
+              {selectedDraft.type === TOOL.EDIT_TEXT && (
+                <TextEditControls
+                  draft={selectedDraft}
+                  fontOptions={fontOptions}
+                  onChange={(updates) => updateDraft(selectedDraft.id, updates)}
+                  disabled={editingLocked}
+                />
+              )}
               {selectedDraft.type === TOOL.TEXT && (
-                <div className="panel-stack">
-                  <p className="hint">
-                    Edit text directly on the page. Use the floating toolbar for
-                    styling.
-                  </p>
-                </div>
+                <TextBoxControls
+                  draft={selectedDraft}
+                  onChange={(updates) => updateDraft(selectedDraft.id, updates)}
+                  disabled={editingLocked}
+                />
               )}
               {(selectedDraft.type === TOOL.TEXT_FIELD ||
-                selectedDraft.type === TOOL.CHECKBOX) && (
+                selectedDraft.type === TOOL.CHECKBOX ||
+                selectedDraft.type === TOOL.CHOICE ||
+                selectedDraft.type === TOOL.SIGNATURE_FIELD) && (
                 <div className="panel-stack">
                   <label>Field name</label>
                   <input
@@ -1609,6 +3683,73 @@ const App = () => {
                     }
                     disabled={editingLocked}
                   />
+                  {selectedDraft.type === TOOL.SIGNATURE_FIELD && (
+                    <>
+                      <label>Tooltip</label>
+                      <input
+                        value={selectedDraft.tooltip || ''}
+                        onChange={(event) =>
+                          updateDraft(selectedDraft.id, { tooltip: event.target.value })
+                        }
+                        disabled={editingLocked}
+                      />
+                    </>
+                  )}
+                  {selectedDraft.type === TOOL.TEXT_FIELD && (
+                    <TextFieldPropertiesEditor
+                      draft={selectedDraft}
+                      fontOptions={fontOptions}
+                      onChange={(updates) => updateDraft(selectedDraft.id, updates)}
+                      onAddFont={async () => {
+                        const font = await handleAddFont();
+                        if (font) {
+                          updateDraft(selectedDraft.id, { fontFamily: font.id });
+                        }
+                      }}
+                      disabled={editingLocked}
+                    />
+                  )}
+                </div>
+              )}
+              {selectedDraft.type === TOOL.CHOICE && selectedDraft.choice && (
+                <ChoiceOptionsEditor
+                  value={selectedDraft.choice}
+                  onChange={(choice) => updateDraft(selectedDraft.id, { choice })}
+                  disabled={editingLocked}
+                />
+              )}
+              {selectedDraft.type === TOOL.RADIO && (
+                <div className="panel-stack">
+                  <label>Group name</label>
+                  <input
+                    value={selectedDraft.groupName || ''}
+                    onChange={(event) =>
+                      updateDraft(selectedDraft.id, {
+                        groupName: event.target.value,
+                        defaultSelected: false
+                      })
+                    }
+                    disabled={editingLocked}
+                  />
+                  <label>Export value</label>
+                  <input
+                    value={selectedDraft.optionValue || ''}
+                    onChange={(event) =>
+                      updateDraft(selectedDraft.id, { optionValue: event.target.value })
+                    }
+                    disabled={editingLocked}
+                  />
+                  <label className="checkbox-row">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selectedDraft.defaultSelected)}
+                      onChange={(event) =>
+                        setDefaultRadioOption(selectedDraft.id, event.target.checked)
+                      }
+                      disabled={editingLocked}
+                    />
+                    Selected by default
+                  </label>
                 </div>
               )}
               {selectedDraft.type === TOOL.SIGNATURE && (
@@ -1625,6 +3766,34 @@ const App = () => {
                   )}
                 </div>
               )}
+              {selectedDraft.type === TOOL.REDACT && (
+                <div className="panel-stack">
+                  <label>Fill color</label>
+                  <input
+                    type="color"
+                    value={selectedDraft.fillColor || '#000000'}
+                    onChange={(event) =>
+                      updateDraft(selectedDraft.id, { fillColor: event.target.value })
+                    }
+                    disabled={editingLocked}
+                  />
+                </div>
+              )}
+              {SHAPE_TOOLS.includes(selectedDraft.type) && (
+                <ShapeStyleEditor
+                  shape={selectedDraft.type}
+                  value={selectedDraft}
+                  onChange={(updates) => updateDraft(selectedDraft.id, updates)}
+                  disabled={editingLocked}
+                />
+              )}
+              {selectedDraft.type === TOOL.IMAGE && (
+                <ImageStampControls
+                  value={selectedDraft}
+                  onChange={(updates) => updateDraft(selectedDraft.id, updates)}
+                  disabled={editingLocked}
+                />
+              )}
               <button
                 className="ghost"
                 onClick={() => removeDraft(selectedDraft.id)}
@@ -1635,14 +3804,52 @@ const App = () => {
             </div>
           )}
 
+          <ExportOptionsPanel
+            options={exportOptions}
+            onChange={setExportOptions}
+            fieldNames={exportFieldNames}
+            hasShapes={drafts.some((draft) => SHAPE_TOOLS.includes(draft.type))}
+            hasRedactions={drafts.some((draft) => draft.type === TOOL.REDACT)}
+            isProtected={Boolean(documentProtection)}
+            isRestricted={Boolean(documentProtection && !documentProtection.owner)}
+            canProtect={Boolean(window.pdfApi?.encryptPdf)}
+            disabled={editingLocked || !pdfBytes}
+          />
+
           <div className="panel">
             <h3>Form fields</h3>
             {formFields.length === 0 ? (
               <p className="muted">No form fields found.</p>
             ) : (
               <div className="field-list">
+                <FormDataControls
+                  format={formDataFormat}
+                  onFormatChange={setFormDataFormat}
+                  onExport={handleExportFormData}
+                  onImport={handleImportFormData}
+                  report={formDataReport}
+                  onDismissReport={() => setFormDataReport(null)}
+                  disabled={editingLocked}
+                />
+                <label className="checkbox-row">
+                  <input
+                    type="checkbox"
+                    checked={editingFields}
+                    onChange={(event) => {
+                      setEditingFields(event.target.checked);
+                      if (!event.target.checked) setSelectedFieldName(null);
+                    }}
+                    disabled={editingLocked}
+                  />
+                  Show fields on the page for editing
+                </label>
                 {formFields.map((field) => (
-                  <div className="field-item" key={field.name}>
+                  <div
+                    className={`field-item ${
+                      field.name === selectedFieldName ? 'active' : ''
+                    }`}
+                    key={field.name}
+                  >
                     <div className="field-header">
                       <strong>{field.name}</strong>
                       <span>{field.type}</span>
@@ -1673,7 +3880,52 @@ const App = () => {
                         Mark checked
                       </label>
                     )}
-                    {(field.type === 'dropdown' || field.type === 'option-list') && (
+                    {field.type === 'dropdown' && field.editable && (
+                      <>
+                        <input
+                          list={`field-options-${field.name}`}
+                          value={fieldDrafts[field.name] ?? ''}
+                          onChange={(event) =>
+                            setFieldDrafts({
+                              ...fieldDrafts,
+                              [field.name]: event.target.value
+                            })
+                          }
+                          onBlur={() => handleFieldCommit(field)}
+                          disabled={editingLocked}
+                        />
+                        <datalist id={`field-options-${field.name}`}>
+                          {field.options.map((option) => (
+                            <option key={option} value={option} />
+                          ))}
+                        </datalist>
+                      </>
+                    )}
+                    {isMultiSelectList(field) && (
+                      <select
+                        multiple
+                        value={fieldDrafts[field.name] ?? []}
+                        onChange={(event) => {
+                          setFieldDrafts({
+                            ...fieldDrafts,
+                            [field.name]: Array.from(
+                              event.target.selectedOptions,
+                              (option) => option.value
+                            )
+                          });
+                        }}
+                        onBlur={() => handleFieldCommit(field)}
+                        disabled={editingLocked}
+                      >
+                        {field.options.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {((field.type === 'dropdown' && !field.editable) ||
+                      (field.type === 'option-list' && !isMultiSelectList(field))) && (
                       <select
                         value={fieldDrafts[field.name] ?? ''}
                         onChange={(event) => {
@@ -1693,27 +3945,73 @@ const App = () => {
                       </select>
                     )}
                     {field.type === 'radio' && (
-                      <input
+                      <select
                         value={fieldDrafts[field.name] ?? ''}
-                        onChange={(event) =>
+                        onChange={(event) => {
                           setFieldDrafts({
                             ...fieldDrafts,
                             [field.name]: event.target.value
-                          })
-                        }
+                          });
+                        }}
                         onBlur={() => handleFieldCommit(field)}
-                        placeholder="Selected value"
                         disabled={editingLocked}
-                      />
+                      >
+                        <option value="">No selection</option>
+                        {field.options.map((option) => (
+                          <option key={option} value={option}>
+                            {option}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {field.type === 'signature' && (
+                      <p className="muted">
+                        {field.value ? 'Signed' : 'Awaiting signature'}
+                      </p>
                     )}
                     {field.type === 'unknown' && (
                       <p className="muted">Unsupported field type.</p>
                     )}
+                    {field.name === selectedFieldName ? (
+                      <FieldPropertiesEditor
+                        key={field.name}
+                        field={field}
+                        onRename={(name) => handleRenameField(field, name)}
+                        onChange={(properties) =>
+                          handleFieldPropertiesChange(field, properties)
+                        }
+                        onDelete={() => handleDeleteField(field)}
+                        disabled={editingLocked}
+                      />
+                    ) : (
+                      <button
+                        className="ghost"
+                        onClick={() => handleSelectField(field)}
+                        disabled={editingLocked}
+                      >
+                        Edit field
+                      </button>
+                    )}
                   </div>
                 ))}
               </div>
             )}
           </div>
+
+          <CommentsPanel
+            comments={comments}
+            author={commentAuthor}
+            onAuthorChange={setCommentAuthor}
+            pendingNote={pendingNote}
+            onAddNote={handleAddNote}
+            onCancelNote={() => setPendingNote(null)}
+            onReply={handleReplyToComment}
+            onStatusChange={handleCommentStatus}
+            onDelete={handleDeleteComment}
+            onJump={handleJumpToComment}
+            activeCommentId={activeCommentId}
+            disabled={editingLocked || !pdfBytes}
+          />
         </aside>
       </main>
 
@@ -1726,6 +4024,47 @@ const App = () => {
         }}
       />
 
+      <InsertPagesModal
+        source={insertSource}
+        pageCount={pageCount}
+        defaultPosition={Math.min(activePageIndex + 1, pageCount)}
+        onClose={() => setInsertSource(null)}
+        onInsert={handleInsertPages}
+      />
+
+      <ExtractPagesModal
+        open={showExtractModal}
+        bytes={pdfBytes}
+        baseName={pdfName.replace(/\.pdf$/i, '')}
+        onClose={() => setShowExtractModal(false)}
+        onExtract={handleExtractPages}
+      />
+
+      <MailMergeModal
+        open={showMailMerge}
+        bytes={pdfBytes}
+        name={pdfName}
+        customFonts={customFontBytes}
+        canChooseFolder={Boolean(window.pdfApi?.chooseMergeDirectory)}
+        onClose={() => setShowMailMerge(false)}
+        onChooseFolder={chooseMergeFolder}
+        onWriteFile={writeMergedFile}
+        onFinish={handleMailMergeFinish}
+      />
+
+      <PasswordModal
+        request={passwordRequest}
+        onSubmit={(password) => passwordRequest?.submit(password)}
+        onCancel={() => passwordRequest?.cancel()}
+      />
+
+      <NewBlankModal
+        open={showNewBlankModal}
+        setup={pageSetup}
+        onClose={() => setShowNewBlankModal(false)}
+        onCreate={handleCreateBlank}
+      />
+
       {showCertModal && (
         <div className="modal-backdrop">
           <div className="modal-card">
@@ -0,0 +1,119 @@
+import React from 'react';
+
+const ChoiceOptionsEditor = ({ value, onChange, disabled }) => {
+  const { kind, options, defaults, editable, multiSelect } = value;
+
+  const update = (updates) => onChange({ ...value, ...updates });
+
+  const renameOption = (index, label) => {
+    const previous = options[index];
+    const nextOptions = options.map((option, i) => (i === index ? label : option));
+    update({
+      options: nextOptions,
+      defaults: defaults.map((item) => (item === previous ? label : item))
+    });
+  };
+
+  const removeOption = (index) => {
+    const removed = options[index];
+    update({
+      options: options.filter((_, i) => i !== index),
+      defaults: defaults.filter((item) => item !== removed)
+    });
+  };
+
+  const addOption = () => {
+    update({ options: [...options, `Option ${options.length + 1}`] });
+  };
+
+  const toggleDefault = (option, checked) => {
+    if (!checked) {
+      update({ defaults: defaults.filter((item) => item !== option) });
+      return;
+    }
+    const allowsMany = kind === 'option-list' && multiSelect;
+    update({ defaults: allowsMany ? [...defaults, option] : [option] });
+  };
+
+  return (
+    <div className="panel-stack">
+      <label>Style</label>
+      <select
+        value={kind}
+        onChange={(event) =>
+          update({
+            kind: event.target.value,
+            defaults: defaults.slice(0, 1),
+            editable: false,
+            multiSelect: false
+          })
+        }
+        disabled={disabled}
+      >
+        <option value="dropdown">Dropdown</option>
+        <option value="option-list">List box</option>
+      </select>
+      {kind === 'dropdown' ? (
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(editable)}
+            onChange={(event) => update({ editable: event.target.checked })}
+            disabled={disabled}
+          />
+          Allow custom values (combo box)
+        </label>
+      ) : (
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(multiSelect)}
+            onChange={(event) =>
+              update({
+                multiSelect: event.target.checked,
+                defaults: event.target.checked ? defaults : defaults.slice(0, 1)
+              })
+            }
+            disabled={disabled}
+          />
+          Allow multiple selections
+        </label>
+      )}
+      <label>Options</label>
+      <div className="option-editor">
+        {options.map((option, index) => (
+          <div className="option-editor-row" key={index}>
+            <input
+              type="checkbox"
+              title="Selected by default"
+              checked={defaults.includes(option)}
+              onChange={(event) => toggleDefault(option, event.target.checked)}
+              disabled={disabled || !option}
+            />
+            <input
+              value={option}
+              onChange={(event) => renameOption(index, event.target.value)}
+              placeholder="Option label"
+              disabled={disabled}
+            />
+            <button
+              className="ghost"
+              type="button"
+              onClick={() => removeOption(index)}
+              disabled={disabled || options.length <= 1}
+              title="Remove option"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      <button className="ghost" type="button" onClick={addOption} disabled={disabled}>
+        Add option
+      </button>
+      <div className="hint">Tick an option to select it by default.</div>
+    </div>
+  );
+};
+
+export default ChoiceOptionsEditor;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { reviewStates } from '../pdf/comments.js';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const CommentsPanel = ({
+  comments,
+  author,
+  onAuthorChange,
+  pendingNote,
+  onAddNote,
+  onCancelNote,
+  onReply,
+  onStatusChange,
+  onDelete,
+  onJump,
+  activeCommentId,
+  disabled
+}) => {
+  const [noteText, setNoteText] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState({});
+
+  const submitNote = async () => {
+    if (!noteText.trim()) return;
+    const added = await onAddNote(noteText.trim());
+    if (added) setNoteText('');
+  };
+
+  const submitReply = async (comment) => {
+    const text = (replyDrafts[comment.id] || '').trim();
+    if (!text) return;
+    const added = await onReply(comment, text);
+    if (added) setReplyDrafts((current) => ({ ...current, [comment.id]: '' }));
+  };
+
+  return (
+    <div className="panel">
+      <h3>Comments</h3>
+      <div className="panel-stack">
+        <label>Your name</label>
+        <input
+          value={author}
+          onChange={(event) => onAuthorChange(event.target.value)}
+          placeholder="Shown as the comment author"
+          disabled={disabled}
+        />
+        {pendingNote && (
+          <div className="comment-composer">
+            <label>New note on page {pendingNote.pageIndex + 1}</label>
+            <textarea
+              value={noteText}
+              onChange={(event) => setNoteText(event.target.value)}
+              placeholder="Write a comment"
+              rows={3}
+              autoFocus
+              disabled={disabled}
+            />
+            <div className="row">
+              <button
+                className="primary"
+                onClick={submitNote}
+                disabled={disabled || !noteText.trim()}
+              >
+                Add note
+              </button>
+              <button className="ghost" onClick={onCancelNote}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+      {comments.length === 0 ? (
+        <p className="muted">No comments yet. Use the Note tool to add one.</p>
+      ) : (
+        <div className="field-list">
+          {comments.map((comment) => (
+            <div
+              className={`field-item comment-item ${
+                comment.id === activeCommentId ? 'active' : ''
+              }`}
+              key={comment.id}
+            >
+              <div className="field-header">
+                <strong>{comment.author || 'Unknown author'}</strong>
+                <span>
+                  {comment.type} · page {comment.pageIndex + 1}
+                </span>
+              </div>
+              {comment.contents && <p className="comment-text">{comment.contents}</p>}
+              <span className="comment-meta">{formatDate(comment.modified)}</span>
+              {comment.replies.map((reply) => (
+                <div className="comment-reply" key={reply.id}>
+                  <div className="field-header">
+                    <strong>{reply.author || 'Unknown author'}</strong>
+                    <span>{formatDate(reply.modified)}</span>
+                  </div>
+                  <p className="comment-text">{reply.contents}</p>
+                </div>
+              ))}
+              <div className="row">
+                <select
+                  value={comment.status}
+                  onChange={(event) => onStatusChange(comment, event.target.value)}
+                  disabled={disabled}
+                  title="Review status"
+                >
+                  {reviewStates.map((state) => (
+                    <option key={state} value={state}>
+                      {state === 'None' ? 'No status' : state}
+                    </option>
+                  ))}
+                </select>
+                <button className="ghost" onClick={() => onJump(comment)}>
+                  Go to page
+                </button>
+              </div>
+              <div className="row">
+                <input
+                  value={replyDrafts[comment.id] || ''}
+                  onChange={(event) =>
+                    setReplyDrafts((current) => ({
+                      ...current,
+                      [comment.id]: event.target.value
+                    }))
+                  }
+                  onKeyDown={(event) => {
+                    if (event.key === 'Enter') submitReply(comment);
+                  }}
+                  placeholder="Reply"
+                  disabled={disabled}
+                />
+                <button
+                  className="ghost"
+                  onClick={() => submitReply(comment)}
+                  disabled={disabled || !(replyDrafts[comment.id] || '').trim()}
+                >
+                  Reply
+                </button>
+              </div>
+              <button
+                className="ghost"
+                onClick={() => onDelete(comment)}
+                disabled={disabled}
+              >
+                Delete thread
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,125 @@
+import React from 'react';
+
+const textProperties = [
+  { key: 'title', label: 'Title' },
+  { key: 'author', label: 'Author' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'keywords', label: 'Keywords', placeholder: 'Separate with commas' },
+  { key: 'creator', label: 'Creator (application)' },
+  { key: 'producer', label: 'Producer' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// datetime-local inputs work in local time without a zone suffix.
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : '');
+
+const DocumentPropertiesEditor = ({
+  value,
+  onChange,
+  stampModified,
+  onStampModifiedChange,
+  disabled
+}) => {
+  const update = (updates) => onChange({ ...value, ...updates });
+
+  const updateCustom = (index, updates) =>
+    update({
+      custom: value.custom.map((entry, i) =>
+        i === index ? { ...entry, ...updates } : entry
+      )
+    });
+
+  return (
+    <div className="panel-stack">
+      {textProperties.map((property) => (
+        <React.Fragment key={property.key}>
+          <label>{property.label}</label>
+          <input
+            value={value[property.key]}
+            onChange={(event) => update({ [property.key]: event.target.value })}
+            placeholder={property.placeholder || 'Not set'}
+            disabled={disabled}
+          />
+        </React.Fragment>
+      ))}
+      <label>Created</label>
+      <input
+        type="datetime-local"
+        value={toLocalInput(value.creationDate)}
+        onChange={(event) => update({ creationDate: fromLocalInput(event.target.value) })}
+        disabled={disabled}
+      />
+      <label>Modified</label>
+      <input
+        type="datetime-local"
+        value={toLocalInput(value.modificationDate)}
+        onChange={(event) =>
+          update({ modificationDate: fromLocalInput(event.target.value) })
+        }
+        disabled={disabled || stampModified}
+      />
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={stampModified}
+          onChange={(event) => onStampModifiedChange(event.target.checked)}
+          disabled={disabled}
+        />
+        Set to the export time
+      </label>
+      <label>Custom properties</label>
+      <div className="option-editor">
+        {value.custom.map((entry, index) => (
+          <div className="option-editor-row" key={index}>
+            <input
+              value={entry.key}
+              onChange={(event) => updateCustom(index, { key: event.target.value })}
+              placeholder="Name"
+              disabled={disabled}
+            />
+            <input
+              value={entry.value}
+              onChange={(event) => updateCustom(index, { value: event.target.value })}
+              placeholder="Value"
+              title={entry.kept ? 'Not a text value; it is saved unchanged.' : undefined}
+              disabled={disabled || entry.kept}
+            />
+            <button
+              className="ghost"
+              type="button"
+              onClick={() =>
+                update({ custom: value.custom.filter((_, i) => i !== index) })
+              }
+              disabled={disabled}
+              title="Remove property"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        className="ghost"
+        type="button"
+        onClick={() => update({ custom: [...value.custom, { key: '', value: '' }] })}
+        disabled={disabled}
+      >
+        Add custom property
+      </button>
+      <div className="hint">
+        Saved on export to both the document info and its XMP metadata.
+      </div>
+    </div>
+  );
+};
+
+export default DocumentPropertiesEditor;
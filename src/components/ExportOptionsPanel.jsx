@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+
+const permissionOptions = [
+  { key: 'print', label: 'Print' },
+  { key: 'copy', label: 'Copy text and images' },
+  { key: 'modify', label: 'Change the document' },
+  { key: 'annotate', label: 'Add comments' },
+  { key: 'fillForms', label: 'Fill in forms' }
+];
+
+const ExportOptionsPanel = ({
+  options,
+  onChange,
+  fieldNames,
+  hasShapes,
+  hasRedactions,
+  isProtected,
+  isRestricted,
+  canProtect,
+  disabled
+}) => {
+  const [showPasswords, setShowPasswords] = useState(false);
+  const update = (updates) => onChange({ ...options, ...updates });
+  const flattenAll = options.flattenScope === 'all';
+  const passwordType = showPasswords ? 'text' : 'password';
+  let protection = options.protection;
+  if (isRestricted || (!isProtected && protection === 'remove')) protection = 'keep';
+
+  const toggleField = (name, checked) => {
+    const current = options.flattenFields;
+    update({
+      flattenFields: checked
+        ? [...current, name]
+        : current.filter((item) => item !== name)
+    });
+  };
+
+  return (
+    <div className="panel">
+      <h3>Export</h3>
+      <div className="panel-stack">
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={options.flatten}
+            onChange={(event) => update({ flatten: event.target.checked })}
+            disabled={disabled}
+          />
+          Flatten form fields
+        </label>
+        {options.flatten && (
+          <>
+            <select
+              value={options.flattenScope}
+              onChange={(event) =>
+                update({
+                  flattenScope: event.target.value,
+                  removeAcroForm:
+                    event.target.value === 'all' ? options.removeAcroForm : false
+                })
+              }
+              disabled={disabled}
+            >
+              <option value="all">All fields</option>
+              <option value="selected">Chosen fields</option>
+            </select>
+            {!flattenAll &&
+              (fieldNames.length ? (
+                <div className="check-list">
+                  {fieldNames.map((name) => (
+                    <label className="checkbox-row" key={name}>
+                      <input
+                        type="checkbox"
+                        checked={options.flattenFields.includes(name)}
+                        onChange={(event) => toggleField(name, event.target.checked)}
+                        disabled={disabled}
+                      />
+                      {name}
+                    </label>
+                  ))}
+                </div>
+              ) : (
+                <p className="muted">No named fields yet.</p>
+              ))}
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={options.removeAcroForm}
+                onChange={(event) => update({ removeAcroForm: event.target.checked })}
+                disabled={disabled || !flattenAll}
+              />
+              Remove the interactive form entirely
+            </label>
+            <div className="hint">
+              Flattened fields keep their current look but can no longer be edited.
+            </div>
+          </>
+        )}
+        {hasShapes && (
+          <>
+            <label>Save shapes as</label>
+            <select
+              value={options.shapeOutput}
+              onChange={(event) => update({ shapeOutput: event.target.value })}
+              disabled={disabled}
+            >
+              <option value="annotations">Annotations (editable in other viewers)</option>
+              <option value="content">Page content (flattened)</option>
+            </select>
+          </>
+        )}
+        {hasRedactions && (
+          <>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={options.scrubRedactedMetadata}
+                onChange={(event) =>
+                  update({ scrubRedactedMetadata: event.target.checked })
+                }
+                disabled={disabled}
+              />
+              Remove redacted text from document metadata
+            </label>
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={options.scrubRedactedFormValues}
+                onChange={(event) =>
+                  update({ scrubRedactedFormValues: event.target.checked })
+                }
+                disabled={disabled}
+              />
+              Remove redacted text from form values
+            </label>
+          </>
+        )}
+        {canProtect && (
+          <>
+            <label>Security</label>
+            <select
+              value={protection}
+              onChange={(event) => update({ protection: event.target.value })}
+              disabled={disabled || isRestricted}
+            >
+              <option value="keep">
+                {isProtected ? 'Keep the original passwords' : 'No password'}
+              </option>
+              {isProtected && <option value="remove">Remove protection</option>}
+              <option value="password">
+                {isProtected ? 'Set new passwords' : 'Protect with a password'}
+              </option>
+            </select>
+            {protection === 'keep' && isProtected && (
+              <div className="hint">
+                The export opens with the same passwords and restrictions.
+                {isRestricted &&
+                  ' Open the file with its owner password to change or remove them.'}
+              </div>
+            )}
+            {protection === 'remove' && (
+              <div className="hint">
+                Anyone will be able to open the export without a password.
+              </div>
+            )}
+          </>
+        )}
+        {canProtect && protection === 'password' && (
+          <>
+            <label>Password to open</label>
+            <input
+              type={passwordType}
+              value={options.userPassword}
+              onChange={(event) => update({ userPassword: event.target.value })}
+              placeholder="None, opens without a password"
+              disabled={disabled}
+            />
+            <label>Owner password</label>
+            <input
+              type={passwordType}
+              value={options.ownerPassword}
+              onChange={(event) => update({ ownerPassword: event.target.value })}
+              placeholder="Random if left empty"
+              disabled={disabled}
+            />
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={showPasswords}
+                onChange={(event) => setShowPasswords(event.target.checked)}
+              />
+              Show passwords
+            </label>
+            <label>Allow recipients to</label>
+            <div className="toggle-grid">
+              {permissionOptions.map((permission) => {
+                // Commenting rights include filling in forms.
+                const implied =
+                  permission.key === 'fillForms' && options.permissions.annotate;
+                return (
+                  <label className="checkbox-row" key={permission.key}>
+                    <input
+                      type="checkbox"
+                      checked={implied || options.permissions[permission.key]}
+                      onChange={(event) =>
+                        update({
+                          permissions: {
+                            ...options.permissions,
+                            [permission.key]: event.target.checked
+                          }
+                        })
+                      }
+                      disabled={disabled || implied}
+                    />
+                    {permission.label}
+                  </label>
+                );
+              })}
+            </div>
+            <label>Encryption</label>
+            <select
+              value={options.encryption}
+              onChange={(event) => update({ encryption: event.target.value })}
+              disabled={disabled}
+            >
+              <option value="aes-256">AES-256 (recommended)</option>
+              <option value="aes-128">AES-128 (for older readers)</option>
+            </select>
+            <div className="hint">
+              Only the password to open keeps the contents private. Readers enforce
+              the restrictions unless the owner password is given.
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportOptionsPanel;
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { planPageSplit } from '../pdf/pdfUtils.js';
+
+const splitModes = [
+  { label: 'Page ranges', value: 'ranges' },
+  { label: 'Every N pages', value: 'every' },
+  { label: 'At bookmarks', value: 'bookmarks' }
+];
+
+const toFileStem = (value) =>
+  value
+    .trim()
+    .replace(/[^\w\- ]+/g, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'pages';
+
+const formatPages = (pageIndices) => {
+  const ranges = [];
+  pageIndices.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && index === last[1] + 1) {
+      last[1] = index;
+    } else {
+      ranges.push([index, index]);
+    }
+  });
+  return ranges
+    .map(([start, end]) => (start === end ? `${start + 1}` : `${start + 1}-${end + 1}`))
+    .join(', ');
+};
+
+const ExtractPagesModal = ({ open, bytes, baseName, onClose, onExtract }) => {
+  const [mode, setMode] = useState('ranges');
+  const [ranges, setRanges] = useState('');
+  const [every, setEvery] = useState(1);
+  const [parts, setParts] = useState([]);
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setError('');
+    setIsWorking(false);
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !bytes) return undefined;
+    let cancelled = false;
+    planPageSplit(bytes, { mode, ranges, every })
+      .then((plan) => {
+        if (cancelled) return;
+        const stem = toFileStem(baseName);
+        setParts(
+          plan.map((part) => ({
+            ...part,
+            name: `${stem}-${toFileStem(part.label)}.pdf`
+          }))
+        );
+        setError('');
+      })
+      .catch((planError) => {
+        if (cancelled) return;
+        setParts([]);
+        setError(planError.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bytes, baseName, mode, ranges, every]);
+
+  if (!open) return null;
+
+  const handleExtract = async () => {
+    setIsWorking(true);
+    const message = await onExtract(parts);
+    setIsWorking(false);
+    if (message) setError(message);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="modal-header">
+          <div>
+            <h3>Extract pages</h3>
+            <p>Save pages to new PDFs without exporting the whole document.</p>
+          </div>
+          <button className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div className="panel-stack">
+          <label>Split by</label>
+          <select value={mode} onChange={(event) => setMode(event.target.value)}>
+            {splitModes.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {mode === 'ranges' && (
+            <>
+              <label>One file per line</label>
+              <textarea
+                rows={4}
+                value={ranges}
+                onChange={(event) => setRanges(event.target.value)}
+                placeholder={'3-5\n9'}
+              />
+            </>
+          )}
+          {mode === 'every' && (
+            <>
+              <label>Pages per file</label>
+              <input
+                type="number"
+                min="1"
+                value={every}
+                onChange={(event) => setEvery(Number(event.target.value) || '')}
+              />
+            </>
+          )}
+          {parts.length > 0 && (
+            <div className="check-list">
+              {parts.map((part, index) => (
+                <div className="panel-row" key={`${part.name}-${index}`}>
+                  <span>{part.name}</span>
+                  <strong>{formatPages(part.pageIndices)}</strong>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="hint">
+            Form fields on the extracted pages are kept. Export first to include
+            elements you placed but have not saved yet.
+          </div>
+          {error && <p className="error-text">{error}</p>}
+        </div>
+        <div className="modal-actions">
+          <button className="ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="primary"
+            onClick={handleExtract}
+            disabled={isWorking || !parts.length}
+          >
+            {parts.length > 1 ? `Save ${parts.length} files` : 'Save file'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExtractPagesModal;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+
+const alignmentOptions = [
+  { label: 'Left', value: 'left' },
+  { label: 'Center', value: 'center' },
+  { label: 'Right', value: 'right' }
+];
+
+// Edits a field that already exists in the document. Text inputs commit on
+// blur so each change is one round trip through the PDF.
+const FieldPropertiesEditor = ({ field, onRename, onChange, onDelete, disabled }) => {
+  const { properties } = field;
+  const partialName = field.name.split('.').pop();
+  const isChoice = field.type === 'dropdown' || field.type === 'option-list';
+  const [name, setName] = useState(partialName);
+  const [tooltip, setTooltip] = useState(properties.tooltip);
+  const [maxLength, setMaxLength] = useState(properties.maxLength ?? '');
+  const [fontSize, setFontSize] = useState(properties.fontSize || '');
+  const [options, setOptions] = useState(field.options.join('\n'));
+
+  const toggle = (key) => (event) => onChange({ [key]: event.target.checked });
+
+  const commitName = async () => {
+    if (name.trim() === partialName) return;
+    const renamed = await onRename(name);
+    if (!renamed) setName(partialName);
+  };
+
+  const commitOptions = () => {
+    const next = options
+      .split('\n')
+      .map((option) => option.trim())
+      .filter(Boolean);
+    if (next.join('\n') !== field.options.join('\n')) onChange({ options: next });
+  };
+
+  return (
+    <div className="panel-stack field-editor">
+      <label>Name</label>
+      <input
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        onBlur={commitName}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') event.currentTarget.blur();
+        }}
+        disabled={disabled}
+      />
+      <label>Tooltip</label>
+      <input
+        value={tooltip}
+        onChange={(event) => setTooltip(event.target.value)}
+        onBlur={() => tooltip !== properties.tooltip && onChange({ tooltip })}
+        placeholder="None"
+        disabled={disabled}
+      />
+      <div className="toggle-grid">
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={properties.required}
+            onChange={toggle('required')}
+            disabled={disabled}
+          />
+          Required
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={properties.readOnly}
+            onChange={toggle('readOnly')}
+            disabled={disabled}
+          />
+          Read-only
+        </label>
+        {field.type === 'text' && (
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={properties.multiline}
+              onChange={toggle('multiline')}
+              disabled={disabled || properties.comb}
+            />
+            Multiline
+          </label>
+        )}
+        {field.type === 'dropdown' && (
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={properties.editable}
+              onChange={toggle('editable')}
+              disabled={disabled}
+            />
+            Custom values
+          </label>
+        )}
+        {field.type === 'option-list' && (
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={properties.multiSelect}
+              onChange={toggle('multiSelect')}
+              disabled={disabled}
+            />
+            Multiple selections
+          </label>
+        )}
+      </div>
+      {field.type === 'text' && (
+        <>
+          <label>Max length</label>
+          <input
+            type="number"
+            min="0"
+            value={maxLength}
+            onChange={(event) => setMaxLength(event.target.value)}
+            onBlur={() =>
+              Number(maxLength || 0) !== Number(properties.maxLength || 0) &&
+              onChange({ maxLength: Math.max(0, Math.floor(Number(maxLength) || 0)) })
+            }
+            placeholder="No limit"
+            disabled={disabled}
+          />
+          <label>Alignment</label>
+          <select
+            value={properties.alignment}
+            onChange={(event) => onChange({ alignment: event.target.value })}
+            disabled={disabled}
+          >
+            {alignmentOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label>Font size</label>
+          <input
+            type="number"
+            min="0"
+            max="72"
+            value={fontSize}
+            onChange={(event) => setFontSize(event.target.value)}
+            onBlur={() =>
+              Number(fontSize || 0) !== properties.fontSize &&
+              onChange({ fontSize: Math.min(Number(fontSize) || 0, 72) })
+            }
+            placeholder="Auto"
+            disabled={disabled}
+          />
+        </>
+      )}
+      {isChoice && (
+        <>
+          <label>Options (one per line)</label>
+          <textarea
+            value={options}
+            onChange={(event) => setOptions(event.target.value)}
+            onBlur={commitOptions}
+            rows={Math.min(Math.max(field.options.length, 3), 8)}
+            disabled={disabled}
+          />
+        </>
+      )}
+      <div className="hint">
+        Drag the highlighted box on the page to move the field, or pull a corner to
+        resize it.
+      </div>
+      <button className="ghost" onClick={onDelete} disabled={disabled}>
+        Delete field
+      </button>
+    </div>
+  );
+};
+
+export default FieldPropertiesEditor;
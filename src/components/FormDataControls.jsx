@@ -0,0 +1,76 @@
+import React from 'react';
+import { formDataFormats } from '../pdf/formData.js';
+
+const FormDataControls = ({
+  format,
+  onFormatChange,
+  onExport,
+  onImport,
+  report,
+  onDismissReport,
+  disabled
+}) => (
+  <div className="panel-stack">
+    <div className="row">
+      <select
+        value={format}
+        onChange={(event) => onFormatChange(event.target.value)}
+        title="Export format"
+      >
+        {formDataFormats.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button className="ghost" onClick={onExport}>
+        Export data
+      </button>
+      <button className="ghost" onClick={onImport} disabled={disabled}>
+        Import data
+      </button>
+    </div>
+    {report && (
+      <div className="import-report">
+        <div className="panel-row">
+          <span>{report.name}</span>
+          <strong>
+            {report.filled.length} field{report.filled.length === 1 ? '' : 's'} filled
+          </strong>
+        </div>
+        {report.unmatched.length > 0 && (
+          <>
+            <label>No field with this name</label>
+            <ul>
+              {report.unmatched.map((name, index) => (
+                <li key={`${name}-${index}`}>{name}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        {report.invalid.length > 0 && (
+          <>
+            <label>Values not accepted</label>
+            <ul>
+              {report.invalid.map((item, index) => (
+                <li key={`${item.name}-${index}`}>
+                  <strong>{item.name}</strong> {item.reason}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        {report.notes.map((note) => (
+          <div className="hint" key={note}>
+            {note}
+          </div>
+        ))}
+        <button className="ghost" onClick={onDismissReport}>
+          Dismiss
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+export default FormDataControls;
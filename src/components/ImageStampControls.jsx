@@ -0,0 +1,35 @@
+import React from 'react';
+
+const ImageStampControls = ({ value, onChange, disabled }) => {
+  const opacity = value.opacity ?? 1;
+  const rotation = value.rotation || 0;
+
+  return (
+    <div className="panel-stack">
+      <label>Opacity ({Math.round(opacity * 100)}%)</label>
+      <input
+        type="range"
+        min="0.1"
+        max="1"
+        step="0.05"
+        value={opacity}
+        onChange={(event) => onChange({ opacity: Number(event.target.value) })}
+        disabled={disabled}
+      />
+      <label>Rotation (degrees)</label>
+      <input
+        type="number"
+        min="-360"
+        max="360"
+        step="15"
+        value={rotation}
+        onChange={(event) =>
+          onChange({ rotation: (Number(event.target.value) || 0) % 360 })
+        }
+        disabled={disabled}
+      />
+    </div>
+  );
+};
+
+export default ImageStampControls;
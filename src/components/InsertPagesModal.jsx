@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { parsePageRanges } from '../pdf/pdfUtils.js';
+
+const InsertPagesModal = ({ source, pageCount, defaultPosition, onClose, onInsert }) => {
+  const [ranges, setRanges] = useState('');
+  const [position, setPosition] = useState(defaultPosition);
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!source) return;
+    setRanges('');
+    setPosition(defaultPosition);
+    setError('');
+    setIsWorking(false);
+  }, [source, defaultPosition]);
+
+  if (!source) return null;
+
+  const handleInsert = async () => {
+    let pageIndices;
+    try {
+      pageIndices = parsePageRanges(ranges, source.pageCount);
+    } catch (parseError) {
+      setError(parseError.message);
+      return;
+    }
+    setError('');
+    setIsWorking(true);
+    const message = await onInsert({ pageIndices, position });
+    setIsWorking(false);
+    if (message) setError(message);
+  };
+
+  const positions = Array.from({ length: pageCount + 1 }, (_, index) => ({
+    value: index,
+    label:
+      index === 0
+        ? 'At the beginning'
+        : index === pageCount
+        ? `At the end (after page ${index})`
+        : `After page ${index}`
+  }));
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="modal-header">
+          <div>
+            <h3>Insert pages</h3>
+            <p>
+              {source.name} · {source.pageCount} page{source.pageCount === 1 ? '' : 's'}
+            </p>
+          </div>
+          <button className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div className="panel-stack">
+          <label>Pages</label>
+          <input
+            value={ranges}
+            onChange={(event) => setRanges(event.target.value)}
+            placeholder={`All pages, or e.g. 1-3, 5 (of ${source.pageCount})`}
+            autoFocus
+          />
+          <label>Insert</label>
+          <select
+            value={position}
+            onChange={(event) => setPosition(Number(event.target.value))}
+          >
+            {positions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="hint">
+            Form fields come along with their pages. Names already used in this
+            document get a numeric suffix.
+          </div>
+          {error && <p className="error-text">{error}</p>}
+        </div>
+        <div className="modal-actions">
+          <button className="ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="primary" onClick={handleInsert} disabled={isWorking}>
+            Insert pages
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InsertPagesModal;
@@ -0,0 +1,458 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getDocument } from 'pdfjs-dist';
+import {
+  mergeRow,
+  parseMergeData,
+  planFileNames,
+  rowEntries,
+  suggestMapping
+} from '../pdf/mailMerge.js';
+import { getFormFields } from '../pdf/pdfUtils.js';
+
+const fillableTypes = ['text', 'checkbox', 'dropdown', 'option-list', 'radio'];
+
+const renderPreviewPages = async (bytes) => {
+  const pdfDoc = await getDocument({ data: bytes.slice() }).promise;
+  const urls = [];
+  for (let pageIndex = 0; pageIndex < pdfDoc.numPages; pageIndex += 1) {
+    const page = await pdfDoc.getPage(pageIndex + 1);
+    const viewport = page.getViewport({ scale: 0.8 });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const context = canvas.getContext('2d');
+    if (context) {
+      await page.render({ canvasContext: context, viewport }).promise;
+    }
+    urls.push(canvas.toDataURL('image/png'));
+  }
+  await pdfDoc.destroy();
+  return urls;
+};
+
+const MailMergeModal = ({
+  open,
+  bytes,
+  name,
+  customFonts,
+  canChooseFolder,
+  onClose,
+  onChooseFolder,
+  onWriteFile,
+  onFinish
+}) => {
+  const [template, setTemplate] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [data, setData] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [pattern, setPattern] = useState('');
+  const [previewRow, setPreviewRow] = useState(1);
+  const [preview, setPreview] = useState(null);
+  const [flatten, setFlatten] = useState(false);
+  const [folder, setFolder] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const cancelRef = useRef(false);
+  const templateInputRef = useRef(null);
+  const dataInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setTemplate(bytes ? { bytes, name } : null);
+    setData(null);
+    setPreview(null);
+    setFolder(null);
+    setProgress(null);
+    setError('');
+  }, [open, bytes, name]);
+
+  useEffect(() => {
+    if (!template) {
+      setFields([]);
+      return undefined;
+    }
+    let cancelled = false;
+    getFormFields(template.bytes)
+      .then((list) => {
+        if (cancelled) return;
+        const fillable = list.filter((field) => fillableTypes.includes(field.type));
+        setFields(fillable);
+        if (!fillable.length) setError(`${template.name} has no fillable form fields.`);
+      })
+      .catch((loadError) => {
+        if (cancelled) return;
+        setFields([]);
+        setError(
+          /encrypted/i.test(loadError.message)
+            ? 'Open a password-protected template in the editor first.'
+            : loadError.message || 'Could not read the template.'
+        );
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [template]);
+
+  useEffect(() => {
+    if (!data) return;
+    setMapping(suggestMapping(fields, data.columns));
+  }, [fields, data]);
+
+  if (!open) return null;
+
+  const rows = data?.rows || [];
+  const rowIndex = Math.min(Math.max(Number(previewRow) || 1, 1), rows.length || 1) - 1;
+  const fileNames = data && pattern.trim() ? planFileNames(pattern, rows) : [];
+  const existing = new Set((folder?.existing || []).map((file) => file.toLowerCase()));
+  const clashes = fileNames.filter((file) => existing.has(file.toLowerCase())).length;
+  const mappedCount = Object.values(mapping).filter(Boolean).length;
+  const isRunning = Boolean(progress && !progress.finished);
+  const canRun =
+    !isRunning &&
+    template &&
+    rows.length > 0 &&
+    mappedCount > 0 &&
+    fileNames.length > 0 &&
+    (folder || !canChooseFolder);
+
+  const readFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return null;
+    return { name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) };
+  };
+
+  const handleTemplatePick = async (event) => {
+    const file = await readFile(event);
+    if (!file) return;
+    setError('');
+    setPreview(null);
+    setTemplate(file);
+  };
+
+  const handleDataPick = async (event) => {
+    const file = await readFile(event);
+    if (!file) return;
+    try {
+      const parsed = parseMergeData(file.bytes, file.name);
+      setData({ name: file.name, ...parsed });
+      setPreviewRow(1);
+      setPreview(null);
+      setError('');
+      if (!pattern) {
+        const column = parsed.columns[0];
+        setPattern(column ? `{${column}}` : 'row-{row}');
+      }
+    } catch (parseError) {
+      setData(null);
+      setError(parseError.message);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const result = await mergeRow(template.bytes, rows[rowIndex], mapping, {
+        flatten,
+        customFonts
+      });
+      setPreview({
+        row: rowIndex,
+        pages: await renderPreviewPages(result.bytes),
+        invalid: result.report.invalid
+      });
+      setError('');
+    } catch (previewError) {
+      setError(previewError.message || 'Could not fill this row.');
+    }
+  };
+
+  const handleChooseFolder = async () => {
+    try {
+      const result = await onChooseFolder();
+      if (result) setFolder(result);
+    } catch (folderError) {
+      setError(folderError.message || 'Could not use that folder.');
+    }
+  };
+
+  const handleRun = async () => {
+    cancelRef.current = false;
+    setError('');
+    const problems = [];
+    let written = 0;
+    setProgress({ done: 0, total: rows.length });
+    for (let index = 0; index < rows.length; index += 1) {
+      if (cancelRef.current) break;
+      let result;
+      try {
+        result = await mergeRow(template.bytes, rows[index], mapping, {
+          flatten,
+          customFonts
+        });
+      } catch (fillError) {
+        problems.push({ row: index, name: fileNames[index], reason: fillError.message });
+        setProgress({ done: index + 1, total: rows.length });
+        continue;
+      }
+      result.report.invalid.forEach((item) => problems.push({ row: index, ...item }));
+      // A failed write usually means every later one fails too.
+      try {
+        await onWriteFile(folder?.path, fileNames[index], result.bytes, { replace });
+      } catch (writeError) {
+        setError(writeError.message || `Could not save ${fileNames[index]}.`);
+        break;
+      }
+      written += 1;
+      setProgress({ done: index + 1, total: rows.length });
+    }
+    setProgress({
+      done: written,
+      total: rows.length,
+      finished: true,
+      cancelled: cancelRef.current,
+      problems
+    });
+    onFinish(written, rows.length);
+  };
+
+  const updateMapping = (fieldName, column) => {
+    setMapping((current) => ({ ...current, [fieldName]: column }));
+    setPreview(null);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card merge-card">
+        <div className="modal-header">
+          <div>
+            <h3>Mail merge</h3>
+            <p>Fill the template once per data row and save each copy as its own PDF.</p>
+          </div>
+          <button className="ghost" onClick={onClose} disabled={isRunning}>
+            Close
+          </button>
+        </div>
+        <div className="panel-stack">
+          <label>Template</label>
+          <div className="row">
+            <span className="muted">
+              {template
+                ? `${template.name} · ${fields.length} fillable field${
+                    fields.length === 1 ? '' : 's'
+                  }`
+                : 'No template loaded'}
+            </span>
+            <button
+              className="ghost"
+              onClick={() => templateInputRef.current?.click()}
+              disabled={isRunning}
+            >
+              Choose template
+            </button>
+          </div>
+          <label>Data</label>
+          <div className="row">
+            <span className="muted">
+              {data
+                ? `${data.name} · ${rows.length} row${rows.length === 1 ? '' : 's'}`
+                : 'CSV with a header row, or a JSON array of objects'}
+            </span>
+            <button
+              className="ghost"
+              onClick={() => dataInputRef.current?.click()}
+              disabled={isRunning || !fields.length}
+            >
+              Choose data
+            </button>
+          </div>
+          <input
+            ref={templateInputRef}
+            type="file"
+            accept="application/pdf,.pdf"
+            onChange={handleTemplatePick}
+            hidden
+          />
+          <input
+            ref={dataInputRef}
+            type="file"
+            accept=".csv,.json"
+            onChange={handleDataPick}
+            hidden
+          />
+          {data && fields.length > 0 && (
+            <>
+              <label>
+                Columns for each field ({mappedCount} of {fields.length} mapped)
+              </label>
+              <div className="check-list merge-mapping">
+                {fields.map((field) => (
+                  <div className="panel-row" key={field.name}>
+                    <span>{field.name}</span>
+                    <select
+                      value={mapping[field.name] || ''}
+                      onChange={(event) => updateMapping(field.name, event.target.value)}
+                      disabled={isRunning}
+                    >
+                      <option value="">Leave as is</option>
+                      {data.columns.map((column) => (
+                        <option key={column} value={column}>
+                          {column}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <label>File name pattern</label>
+              <input
+                value={pattern}
+                onChange={(event) => setPattern(event.target.value)}
+                placeholder="{last}_{first}.pdf"
+                disabled={isRunning}
+              />
+              <div className="hint">
+                Use column names in braces, or {'{row}'} for the row number.
+                {fileNames.length > 0 && ` Row ${rowIndex + 1}: ${fileNames[rowIndex]}`}
+              </div>
+              <label>Preview row</label>
+              <div className="row">
+                <input
+                  type="number"
+                  min="1"
+                  max={rows.length}
+                  value={previewRow}
+                  onChange={(event) => {
+                    setPreviewRow(event.target.value);
+                    setPreview(null);
+                  }}
+                  disabled={isRunning}
+                />
+                <button
+                  className="ghost"
+                  onClick={handlePreview}
+                  disabled={isRunning || !mappedCount}
+                >
+                  Preview
+                </button>
+              </div>
+              <div className="check-list">
+                {rowEntries(rows[rowIndex], mapping).map((entry) => (
+                  <div className="panel-row" key={entry.name}>
+                    <span>{entry.name}</span>
+                    <strong>{String(entry.value)}</strong>
+                  </div>
+                ))}
+              </div>
+              {preview && (
+                <>
+                  {preview.invalid.map((item) => (
+                    <p className="error-text" key={item.name}>
+                      {item.name} {item.reason}
+                    </p>
+                  ))}
+                  <div className="merge-preview">
+                    {preview.pages.map((url, index) => (
+                      <img key={index} src={url} alt={`Page ${index + 1}`} />
+                    ))}
+                  </div>
+                </>
+              )}
+              <label className="checkbox-row">
+                <input
+                  type="checkbox"
+                  checked={flatten}
+                  onChange={(event) => {
+                    setFlatten(event.target.checked);
+                    setPreview(null);
+                  }}
+                  disabled={isRunning}
+                />
+                Flatten fields so copies cannot be edited
+              </label>
+              {canChooseFolder ? (
+                <>
+                  <label>Output folder</label>
+                  <div className="row">
+                    <span className="muted">{folder ? folder.path : 'Not chosen'}</span>
+                    <button
+                      className="ghost"
+                      onClick={handleChooseFolder}
+                      disabled={isRunning}
+                    >
+                      Choose folder
+                    </button>
+                  </div>
+                  {clashes > 0 && (
+                    <label className="checkbox-row">
+                      <input
+                        type="checkbox"
+                        checked={replace}
+                        onChange={(event) => setReplace(event.target.checked)}
+                        disabled={isRunning}
+                      />
+                      Replace {clashes} existing file{clashes === 1 ? '' : 's'} instead
+                      of adding numbered copies
+                    </label>
+                  )}
+                </>
+              ) : (
+                <div className="hint">Each PDF is downloaded as it is created.</div>
+              )}
+            </>
+          )}
+          {progress && (
+            <>
+              <progress value={progress.done} max={progress.total} />
+              <div className="hint">
+                {progress.finished && progress.cancelled && 'Cancelled. '}
+                {progress.finished
+                  ? `Saved ${progress.done} of ${progress.total} PDFs.`
+                  : `Creating ${progress.done + 1} of ${progress.total}…`}
+              </div>
+              {progress.finished && progress.problems.length > 0 && (
+                <div className="import-report">
+                  <label>Problems</label>
+                  <ul>
+                    {progress.problems.slice(0, 20).map((item, index) => (
+                      <li key={index}>
+                        Row {item.row + 1}: <strong>{item.name}</strong> {item.reason}
+                      </li>
+                    ))}
+                  </ul>
+                  {progress.problems.length > 20 && (
+                    <div className="hint">
+                      And {progress.problems.length - 20} more.
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+          {error && <p className="error-text">{error}</p>}
+        </div>
+        <div className="modal-actions">
+          {isRunning ? (
+            <button
+              className="ghost"
+              onClick={() => {
+                cancelRef.current = true;
+              }}
+            >
+              Cancel
+            </button>
+          ) : (
+            <button className="ghost" onClick={onClose}>
+              Close
+            </button>
+          )}
+          <button className="primary" onClick={handleRun} disabled={!canRun}>
+            {rows.length > 1 ? `Create ${rows.length} PDFs` : 'Create PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MailMergeModal;
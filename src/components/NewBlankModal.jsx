@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { pageSizePresets, pageUnits, resolvePageSize } from '../pdf/pdfUtils.js';
+
+const defaultMargins = { mm: 15, in: 0.5 };
+
+const roundTo = (value, digits) => Number(value.toFixed(digits));
+
+const NewBlankModal = ({ open, setup, onClose, onCreate }) => {
+  const [draft, setDraft] = useState(setup);
+  const [pageCount, setPageCount] = useState(1);
+  const [showMargin, setShowMargin] = useState(false);
+  const [margin, setMargin] = useState(defaultMargins[setup.unit] || 15);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(setup);
+    setError('');
+  }, [open, setup]);
+
+  if (!open) return null;
+
+  const update = (updates) => setDraft((current) => ({ ...current, ...updates }));
+  const unitPoints = pageUnits[draft.unit]?.points || 1;
+  const digits = draft.unit === 'in' ? 2 : 1;
+
+  let size = null;
+  try {
+    size = resolvePageSize(draft);
+  } catch {
+    size = null;
+  }
+
+  const changeUnit = (unit) => {
+    const ratio = unitPoints / pageUnits[unit].points;
+    const nextDigits = unit === 'in' ? 2 : 1;
+    update({
+      unit,
+      width: roundTo(Number(draft.width) * ratio, nextDigits),
+      height: roundTo(Number(draft.height) * ratio, nextDigits)
+    });
+    setMargin((current) => roundTo(Number(current) * ratio, nextDigits));
+  };
+
+  const handleCreate = async () => {
+    let marginPoints = null;
+    if (showMargin) {
+      marginPoints = Number(margin) * unitPoints;
+      if (!size || !(marginPoints > 0) || marginPoints * 2 >= Math.min(...size)) {
+        setError('The margin must be larger than zero and fit on the page.');
+        return;
+      }
+    }
+    const message = await onCreate({
+      setup: draft,
+      pageCount: Number(pageCount),
+      margin: marginPoints
+    });
+    if (message) setError(message);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card">
+        <div className="modal-header">
+          <div>
+            <h3>New blank PDF</h3>
+            <p>
+              {size
+                ? `${roundTo(size[0] / unitPoints, digits)} × ${roundTo(
+                    size[1] / unitPoints,
+                    digits
+                  )} ${draft.unit}`
+                : 'Enter a valid page size.'}
+            </p>
+          </div>
+          <button className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+        <div className="panel-stack">
+          <label>Page size</label>
+          <select
+            value={draft.preset}
+            onChange={(event) => update({ preset: event.target.value })}
+          >
+            {pageSizePresets.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {preset.label}
+              </option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+          {draft.preset === 'custom' ? (
+            <div className="row">
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={draft.width}
+                onChange={(event) => update({ width: event.target.value })}
+                title="Width"
+              />
+              <span>×</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={draft.height}
+                onChange={(event) => update({ height: event.target.value })}
+                title="Height"
+              />
+            </div>
+          ) : (
+            <>
+              <label>Orientation</label>
+              <select
+                value={draft.orientation}
+                onChange={(event) => update({ orientation: event.target.value })}
+              >
+                <option value="portrait">Portrait</option>
+                <option value="landscape">Landscape</option>
+              </select>
+            </>
+          )}
+          <label>Units</label>
+          <select value={draft.unit} onChange={(event) => changeUnit(event.target.value)}>
+            {Object.entries(pageUnits).map(([value, unit]) => (
+              <option key={value} value={value}>
+                {unit.label}
+              </option>
+            ))}
+          </select>
+          <label>Pages</label>
+          <input
+            type="number"
+            min="1"
+            max="1000"
+            value={pageCount}
+            onChange={(event) => setPageCount(event.target.value)}
+          />
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={showMargin}
+              onChange={(event) => setShowMargin(event.target.checked)}
+            />
+            Show a margin guide
+          </label>
+          {showMargin && (
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={margin}
+              onChange={(event) => setMargin(event.target.value)}
+              title={`Margin in ${draft.unit}`}
+            />
+          )}
+          <div className="hint">
+            The margin guide only shows while editing and is not exported.
+          </div>
+          {error && <p className="error-text">{error}</p>}
+        </div>
+        <div className="modal-actions">
+          <button className="ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="primary" onClick={handleCreate} disabled={!size}>
+            Create PDF
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewBlankModal;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+
+const PageThumbnails = ({
+  thumbnails,
+  pageCount,
+  activePageIndex,
+  pageSizeId,
+  pageSizeOptions,
+  onPageSizeChange,
+  onSelect,
+  onInsert,
+  onRotate,
+  onDuplicate,
+  onDelete,
+  onMove,
+  disabled
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const resetDrag = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (event, pageIndex) => {
+    event.preventDefault();
+    if (dragIndex !== null && dragIndex !== pageIndex) {
+      onMove(dragIndex, pageIndex);
+    }
+    resetDrag();
+  };
+
+  return (
+    <aside className="thumbrail">
+      <div className="thumbrail-header">
+        <h3>Pages</h3>
+        <span>{pageCount || '—'}</span>
+      </div>
+      {pageCount > 0 && (
+        <select
+          className="thumbrail-size"
+          value={pageSizeId}
+          onChange={(event) => onPageSizeChange(event.target.value)}
+          title="Size of inserted blank pages"
+          disabled={disabled}
+        >
+          {pageSizeOptions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+      <div className="thumbrail-list">
+        {thumbnails.map((thumb) => {
+          const classes = ['thumb'];
+          if (activePageIndex === thumb.pageIndex) classes.push('active');
+          if (dropIndex === thumb.pageIndex && dragIndex !== thumb.pageIndex) {
+            classes.push('drop-target');
+          }
+
+          return (
+            <div
+              key={thumb.pageIndex}
+              className={classes.join(' ')}
+              draggable={!disabled}
+              onDragStart={(event) => {
+                event.dataTransfer.effectAllowed = 'move';
+                setDragIndex(thumb.pageIndex);
+              }}
+              onDragOver={(event) => {
+                if (dragIndex === null) return;
+                event.preventDefault();
+                setDropIndex(thumb.pageIndex);
+              }}
+              onDrop={(event) => handleDrop(event, thumb.pageIndex)}
+              onDragEnd={resetDrag}
+            >
+              <button className="thumb-page" onClick={() => onSelect(thumb.pageIndex)}>
+                <img src={thumb.url} alt={`Page ${thumb.pageIndex + 1}`} />
+                <span>{thumb.pageIndex + 1}</span>
+              </button>
+              <div className="thumb-actions">
+                <button
+                  onClick={() => onInsert(thumb.pageIndex)}
+                  title="Insert blank page before"
+                  disabled={disabled}
+                >
+                  +↑
+                </button>
+                <button
+                  onClick={() => onInsert(thumb.pageIndex + 1)}
+                  title="Insert blank page after"
+                  disabled={disabled}
+                >
+                  +↓
+                </button>
+                <button
+                  onClick={() => onRotate(thumb.pageIndex)}
+                  title="Rotate 90°"
+                  disabled={disabled}
+                >
+                  ⟳
+                </button>
+                <button
+                  onClick={() => onDuplicate(thumb.pageIndex)}
+                  title="Duplicate page"
+                  disabled={disabled}
+                >
+                  ⧉
+                </button>
+                <button
+                  onClick={() => onDelete(thumb.pageIndex)}
+                  title="Delete page"
+                  disabled={disabled || pageCount <= 1}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+};
+
+export default PageThumbnails;
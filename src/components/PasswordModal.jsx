@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+
+const PasswordModal = ({ request, onSubmit, onCancel }) => {
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    setPassword('');
+  }, [request]);
+
+  if (!request) return null;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (password) onSubmit(password);
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <form className="modal-card" onSubmit={handleSubmit}>
+        <div className="modal-header">
+          <div>
+            <h3>Password required</h3>
+            <p>{request.name} is protected. Enter its password to open it.</p>
+          </div>
+        </div>
+        <div className="panel-stack">
+          <label>Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoFocus
+          />
+          {request.incorrect && (
+            <p className="error-text">That password is incorrect. Try again.</p>
+          )}
+        </div>
+        <div className="modal-actions">
+          <button className="ghost" type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="primary" type="submit" disabled={!password}>
+            Open
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordModal;
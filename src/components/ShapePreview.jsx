@@ -0,0 +1,105 @@
+import React from 'react';
+import { arrowHeadPoints } from '../pdf/pdfUtils.js';
+
+// Line endpoints inside the draft box, in screen pixels from its top-left corner.
+export const shapeLinePoints = ({ width, height }, direction, reversed) => {
+  const points = {
+    horizontal: [0, height / 2, width, height / 2],
+    vertical: [width / 2, 0, width / 2, height],
+    'diagonal-down': [0, 0, width, height],
+    'diagonal-up': [0, height, width, 0]
+  }[direction || 'horizontal'];
+  const [x1, y1, x2, y2] = reversed
+    ? [points[2], points[3], points[0], points[1]]
+    : points;
+  return { x1, y1, x2, y2 };
+};
+
+const ShapePreview = ({ draft, scale }) => {
+  const { width, height } = draft;
+  const strokeWidth = (draft.strokeWidth || 0) * scale;
+  const stroke = draft.strokeColor || 'none';
+  const fill = draft.fillColor || 'none';
+  let shape = null;
+
+  if (draft.type === 'highlight') {
+    shape = (
+      <rect
+        width={width}
+        height={height}
+        fill={draft.fillColor || '#ffd33d'}
+        style={{ mixBlendMode: 'multiply' }}
+      />
+    );
+  } else if (draft.type === 'rectangle') {
+    shape = (
+      <rect
+        x={strokeWidth / 2}
+        y={strokeWidth / 2}
+        width={Math.max(width - strokeWidth, 0)}
+        height={Math.max(height - strokeWidth, 0)}
+        fill={fill}
+        stroke={stroke}
+        strokeWidth={strokeWidth}
+      />
+    );
+  } else if (draft.type === 'ellipse') {
+    shape = (
+      <ellipse
+        cx={width / 2}
+        cy={height / 2}
+        rx={Math.max(width - strokeWidth, 0) / 2}
+        ry={Math.max(height - strokeWidth, 0) / 2}
+        fill={fill}
+        stroke={stroke}
+        strokeWidth={strokeWidth}
+      />
+    );
+  } else {
+    const points = shapeLinePoints(draft, draft.lineDirection, draft.reversed);
+    const head =
+      draft.type === 'arrow'
+        ? arrowHeadPoints(
+            {
+              x1: points.x1 / scale,
+              y1: points.y1 / scale,
+              x2: points.x2 / scale,
+              y2: points.y2 / scale
+            },
+            draft.strokeWidth || 1
+          )
+        : [];
+    shape = (
+      <g
+        stroke={draft.strokeColor || '#000000'}
+        strokeWidth={strokeWidth || scale}
+        strokeLinecap="round"
+        fill="none"
+      >
+        <line x1={points.x1} y1={points.y1} x2={points.x2} y2={points.y2} />
+        {head.map((point, index) => (
+          <line
+            key={index}
+            x1={point.x * scale}
+            y1={point.y * scale}
+            x2={points.x2}
+            y2={points.y2}
+          />
+        ))}
+      </g>
+    );
+  }
+
+  return (
+    <svg
+      className="draft-shape"
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ opacity: draft.opacity ?? 1 }}
+      aria-hidden="true"
+    >
+      {shape}
+    </svg>
+  );
+};
+
+export default ShapePreview;
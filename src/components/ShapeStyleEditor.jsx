@@ -0,0 +1,125 @@
+import React from 'react';
+
+const directionOptions = [
+  { label: 'Horizontal', value: 'horizontal' },
+  { label: 'Vertical', value: 'vertical' },
+  { label: 'Diagonal ↘', value: 'diagonal-down' },
+  { label: 'Diagonal ↗', value: 'diagonal-up' }
+];
+
+const ShapeStyleEditor = ({ shape, value, onChange, disabled }) => {
+  const opacity = value.opacity ?? 1;
+  const isLine = shape === 'line' || shape === 'arrow';
+
+  if (shape === 'highlight') {
+    return (
+      <div className="panel-stack">
+        <label>Color</label>
+        <input
+          type="color"
+          value={value.fillColor || '#ffd33d'}
+          onChange={(event) => onChange({ fillColor: event.target.value })}
+          disabled={disabled}
+        />
+        <label>Opacity ({Math.round(opacity * 100)}%)</label>
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={opacity}
+          onChange={(event) => onChange({ opacity: Number(event.target.value) })}
+          disabled={disabled}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="panel-stack">
+      <label>Stroke</label>
+      <div className="row">
+        <input
+          type="color"
+          value={value.strokeColor || '#000000'}
+          onChange={(event) => onChange({ strokeColor: event.target.value })}
+          title="Stroke color"
+          disabled={disabled}
+        />
+        <input
+          type="number"
+          min="0.5"
+          max="20"
+          step="0.5"
+          value={value.strokeWidth || ''}
+          onChange={(event) =>
+            onChange({ strokeWidth: Math.min(Number(event.target.value) || 0, 20) })
+          }
+          title="Stroke width (pt)"
+          disabled={disabled}
+        />
+      </div>
+      {!isLine && (
+        <>
+          <label>Fill</label>
+          <div className="row">
+            <input
+              type="color"
+              value={value.fillColor || '#ffffff'}
+              onChange={(event) => onChange({ fillColor: event.target.value })}
+              disabled={disabled || !value.fillColor}
+            />
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={!value.fillColor}
+                onChange={(event) =>
+                  onChange({ fillColor: event.target.checked ? '' : '#ffffff' })
+                }
+                disabled={disabled}
+              />
+              None
+            </label>
+          </div>
+        </>
+      )}
+      {isLine && (
+        <>
+          <label>Direction</label>
+          <select
+            value={value.lineDirection || 'horizontal'}
+            onChange={(event) => onChange({ lineDirection: event.target.value })}
+            disabled={disabled}
+          >
+            {directionOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={Boolean(value.reversed)}
+              onChange={(event) => onChange({ reversed: event.target.checked })}
+              disabled={disabled}
+            />
+            Reverse direction
+          </label>
+        </>
+      )}
+      <label>Opacity ({Math.round(opacity * 100)}%)</label>
+      <input
+        type="range"
+        min="0.1"
+        max="1"
+        step="0.05"
+        value={opacity}
+        onChange={(event) => onChange({ opacity: Number(event.target.value) })}
+        disabled={disabled}
+      />
+    </div>
+  );
+};
+
+export default ShapeStyleEditor;
@@ -0,0 +1,575 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { createTextMeasure } from '../pdf/pdfUtils.js';
+import {
+  DEFAULT_LINE_SPACING,
+  applyRunStyle,
+  layoutText,
+  normalizeRuns,
+  runStyleKeys,
+  runsText,
+  styleAtOffset,
+  textBorderStyles,
+  textBoxContentWidth,
+  textBoxDashArray,
+  textBoxFramePath,
+  textBoxStyle,
+  textDraftRuns,
+  withBaseStyle
+} from '../pdf/textLayout.js';
+
+// CSS puts the baseline of a 1em line box about 0.85em from its top.
+const CSS_BASELINE = 0.85;
+
+const measures = new Map();
+
+const loadMeasure = (family, weight, style, customFonts) => {
+  const key = `${family}:${weight}:${style}`;
+  if (!measures.has(key)) {
+    measures.set(
+      key,
+      createTextMeasure(family, weight, style, customFonts).catch((error) => {
+        measures.delete(key);
+        throw error;
+      })
+    );
+  }
+  return measures.get(key);
+};
+
+const fontKey = ({ fontWeight, fontStyle }) =>
+  `${fontWeight || 'normal'}:${fontStyle || 'normal'}`;
+
+const runCss = (run, scale) => ({
+  fontWeight: run.fontWeight,
+  fontStyle: run.fontStyle,
+  fontSize: `${run.size * scale}px`,
+  color: run.color,
+  textDecoration:
+    [run.underline && 'underline', run.strike && 'line-through']
+      .filter(Boolean)
+      .join(' ') || 'none'
+});
+
+// Character offset of a DOM position inside the editor.
+const offsetWithin = (root, node, offset) => {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+};
+
+const positionAt = (root, offset) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let last = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (remaining <= node.textContent.length) return { node, offset: remaining };
+    remaining -= node.textContent.length;
+    last = node;
+  }
+  if (!last) return { node: root, offset: 0 };
+  return { node: last, offset: last.textContent.length };
+};
+
+// Reads runs back from the editor. Spans carry their run's style; text the
+// browser puts elsewhere takes the style around it.
+const readRuns = (root, fallback) => {
+  const runs = [];
+  const walk = (parent, style) => {
+    parent.childNodes.forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        runs.push({ ...style, text: child.textContent });
+      } else if (child.nodeName === 'BR') {
+        runs.push({ ...style, text: '\n' });
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        if ((child.nodeName === 'DIV' || child.nodeName === 'P') && runs.length) {
+          runs.push({ ...style, text: '\n' });
+        }
+        walk(child, child.dataset.run ? JSON.parse(child.dataset.run) : style);
+      }
+    });
+  };
+  walk(root, fallback);
+  return normalizeRuns(runs.length ? runs : [{ ...fallback, text: '' }]);
+};
+
+const RichTextEditor = ({
+  runs,
+  baseStyle,
+  scale,
+  style,
+  onFocus,
+  onSelect,
+  onChange
+}) => {
+  const ref = useRef(null);
+  const emittedRef = useRef(null);
+  const scaleRef = useRef(scale);
+  const runsKey = JSON.stringify(runs);
+
+  const emit = () => {
+    const next = readRuns(ref.current, baseStyle);
+    emittedRef.current = JSON.stringify(next);
+    onChange(next);
+  };
+
+  // The browser owns the editor while typing; runs are written back into it
+  // only when they change from outside, such as from the toolbar.
+  useLayoutEffect(() => {
+    const root = ref.current;
+    if (!root || (emittedRef.current === runsKey && scaleRef.current === scale)) return;
+    const selection = window.getSelection();
+    let saved = null;
+    if (root.contains(document.activeElement) && root.contains(selection.anchorNode)) {
+      saved = [
+        offsetWithin(root, selection.anchorNode, selection.anchorOffset),
+        offsetWithin(root, selection.focusNode, selection.focusOffset)
+      ];
+    }
+    root.replaceChildren(
+      ...runs.map((run) => {
+        const span = document.createElement('span');
+        span.dataset.run = JSON.stringify(
+          Object.fromEntries(runStyleKeys.map((key) => [key, run[key]]))
+        );
+        Object.assign(span.style, runCss(withBaseStyle(run, baseStyle), scale));
+        span.textContent = run.text;
+        return span;
+      })
+    );
+    emittedRef.current = runsKey;
+    scaleRef.current = scale;
+    if (saved) {
+      const anchor = positionAt(root, saved[0]);
+      const focus = positionAt(root, saved[1]);
+      selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+    }
+  }, [runsKey, scale]);
+
+  // Selecting the box starts editing right away, with the caret at the end.
+  useEffect(() => {
+    const root = ref.current;
+    if (!root) return undefined;
+    if (!root.contains(document.activeElement)) {
+      root.focus();
+      window.getSelection().selectAllChildren(root);
+      window.getSelection().collapseToEnd();
+    }
+
+    const handleSelection = () => {
+      const current = window.getSelection();
+      if (!current.rangeCount || !root.contains(current.anchorNode)) return;
+      const anchor = offsetWithin(root, current.anchorNode, current.anchorOffset);
+      const focus = offsetWithin(root, current.focusNode, current.focusOffset);
+      onSelect({ start: Math.min(anchor, focus), end: Math.max(anchor, focus) });
+    };
+    document.addEventListener('selectionchange', handleSelection);
+    return () => document.removeEventListener('selectionchange', handleSelection);
+  }, []);
+
+  // Line breaks and pasted text go in as plain characters, so the editor
+  // only ever holds styled spans of text.
+  const insertText = (text) => {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    emit();
+  };
+
+  return (
+    <div
+      ref={ref}
+      className="draft-text"
+      contentEditable
+      suppressContentEditableWarning
+      data-placeholder="Type here"
+      style={style}
+      onPointerDown={(event) => event.stopPropagation()}
+      onFocus={onFocus}
+      onInput={emit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          insertText('\n');
+        }
+      }}
+      onPaste={(event) => {
+        event.preventDefault();
+        insertText(event.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n'));
+      }}
+    />
+  );
+};
+
+const TextBox = ({
+  draft,
+  scale,
+  cssFont,
+  customFonts,
+  fontOptions,
+  editing,
+  onFocus,
+  onChange
+}) => {
+  const [fontMeasures, setFontMeasures] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [showBoxStyle, setShowBoxStyle] = useState(false);
+  const family = draft.fontFamily || 'helvetica';
+  const size = draft.size || 16;
+  const baseStyle = {
+    fontWeight: draft.fontWeight || 'normal',
+    fontStyle: draft.fontStyle || 'normal',
+    underline: Boolean(draft.underline),
+    strike: Boolean(draft.strike),
+    color: draft.color || '#0d1117',
+    size
+  };
+  const runs = textDraftRuns(draft);
+  const styledRuns = runs.map((run) => withBaseStyle(run, baseStyle));
+  const lineSpacing = draft.lineSpacing || DEFAULT_LINE_SPACING;
+  const letterSpacing = draft.letterSpacing || 0;
+  const align = draft.align || 'left';
+  const box = textBoxStyle(draft);
+  const width = draft.width / scale;
+  const height = draft.height / scale;
+  const fontKeys = [...new Set([baseStyle, ...runs].map(fontKey))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const keys = fontKeys.split(',');
+    Promise.all(
+      keys.map((key) => {
+        const [weight, style] = key.split(':');
+        return loadMeasure(family, weight, style, customFonts);
+      })
+    )
+      .then((loaded) => {
+        if (cancelled) return;
+        setFontMeasures(new Map(keys.map((key, index) => [key, loaded[index]])));
+      })
+      .catch(() => {
+        if (!cancelled) setFontMeasures(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [family, fontKeys, customFonts]);
+
+  const layoutKey = JSON.stringify([
+    styledRuns,
+    size,
+    width,
+    height,
+    lineSpacing,
+    letterSpacing,
+    align,
+    box.padding
+  ]);
+  const layout = useMemo(() => {
+    if (!fontMeasures || styledRuns.some((run) => !fontMeasures.has(fontKey(run)))) {
+      return null;
+    }
+    // Characters the font cannot encode fail on export; estimate them here.
+    const measure = (run, value) => {
+      try {
+        return fontMeasures.get(fontKey(run))(value, run.size);
+      } catch {
+        return value.length * run.size * 0.5;
+      }
+    };
+    return layoutText(styledRuns, {
+      measure,
+      size,
+      maxWidth: textBoxContentWidth(width, box.padding),
+      maxHeight: height - box.padding * 2,
+      lineSpacing,
+      letterSpacing,
+      align
+    });
+  }, [fontMeasures, layoutKey]);
+
+  // Styles go to the selected characters, or to the whole box when nothing
+  // is selected.
+  const hasRange = Boolean(selection && selection.end > selection.start);
+  const active = hasRange ? styleAtOffset(styledRuns, selection.start) : baseStyle;
+  const applyStyle = (updates) => {
+    if (hasRange) {
+      onChange({ runs: applyRunStyle(runs, selection.start, selection.end, updates) });
+      return;
+    }
+    onChange({
+      ...updates,
+      runs: normalizeRuns(runs.map((run) => ({ ...run, ...updates })))
+    });
+  };
+  const keepFocus = (event) => event.preventDefault();
+  const updateBox = (updates) => onChange({ box: { ...box, ...updates } });
+
+  const firstBaseline = Math.min(box.padding + size, height);
+  const boxCss = { fontFamily: cssFont, letterSpacing: letterSpacing * scale };
+
+  return (
+    <>
+      {editing && (
+        <div className="text-toolbar" onPointerDown={(event) => event.stopPropagation()}>
+          <button
+            className={active.fontWeight === 'bold' ? 'active' : ''}
+            onMouseDown={keepFocus}
+            onClick={() =>
+              applyStyle({ fontWeight: active.fontWeight === 'bold' ? 'normal' : 'bold' })
+            }
+            type="button"
+          >
+            B
+          </button>
+          <button
+            className={active.fontStyle === 'italic' ? 'active' : ''}
+            onMouseDown={keepFocus}
+            onClick={() =>
+              applyStyle({
+                fontStyle: active.fontStyle === 'italic' ? 'normal' : 'italic'
+              })
+            }
+            type="button"
+          >
+            I
+          </button>
+          <button
+            className={active.underline ? 'active' : ''}
+            onMouseDown={keepFocus}
+            onClick={() => applyStyle({ underline: !active.underline })}
+            type="button"
+          >
+            U
+          </button>
+          <button
+            className={active.strike ? 'active' : ''}
+            onMouseDown={keepFocus}
+            onClick={() => applyStyle({ strike: !active.strike })}
+            type="button"
+          >
+            S
+          </button>
+          <select
+            value={family}
+            onChange={(event) => onChange({ fontFamily: event.target.value })}
+            title="Font for the whole box"
+          >
+            {fontOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="10"
+            max="48"
+            value={active.size}
+            onChange={(event) => applyStyle({ size: Number(event.target.value) || 16 })}
+          />
+          <input
+            type="color"
+            value={active.color}
+            onChange={(event) => applyStyle({ color: event.target.value })}
+          />
+          <button
+            className={showBoxStyle ? 'active' : ''}
+            onMouseDown={keepFocus}
+            onClick={() => setShowBoxStyle((value) => !value)}
+            title="Background, border and padding"
+            type="button"
+          >
+            Box
+          </button>
+        </div>
+      )}
+      {editing && showBoxStyle && (
+        <div
+          className="text-toolbar text-box-toolbar"
+          onPointerDown={(event) => event.stopPropagation()}
+        >
+          <span>Fill</span>
+          <input
+            type="color"
+            value={box.fill || '#ffffff'}
+            onChange={(event) => updateBox({ fill: event.target.value })}
+          />
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="5"
+            value={Math.round(box.fillOpacity * 100)}
+            onChange={(event) =>
+              updateBox({
+                fillOpacity:
+                  Math.min(Math.max(Number(event.target.value) || 0, 0), 100) / 100
+              })
+            }
+            disabled={!box.fill}
+            title="Fill opacity (%)"
+          />
+          <button
+            className={box.fill ? '' : 'active'}
+            onMouseDown={keepFocus}
+            onClick={() => updateBox({ fill: '' })}
+            title="No fill"
+            type="button"
+          >
+            None
+          </button>
+          <span>Border</span>
+          <input
+            type="color"
+            value={box.borderColor}
+            onChange={(event) => updateBox({ borderColor: event.target.value })}
+          />
+          <input
+            type="number"
+            min="0"
+            max="12"
+            step="0.5"
+            value={box.borderWidth}
+            onChange={(event) =>
+              updateBox({ borderWidth: Math.max(Number(event.target.value) || 0, 0) })
+            }
+            title="Border width (pt)"
+          />
+          <select
+            value={box.borderStyle}
+            onChange={(event) => updateBox({ borderStyle: event.target.value })}
+            title="Border style"
+          >
+            {textBorderStyles.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <span>Radius</span>
+          <input
+            type="number"
+            min="0"
+            max="48"
+            value={box.radius}
+            onChange={(event) =>
+              updateBox({ radius: Math.max(Number(event.target.value) || 0, 0) })
+            }
+            title="Corner radius (pt)"
+          />
+          <span>Padding</span>
+          <input
+            type="number"
+            min="0"
+            max="48"
+            value={box.padding}
+            onChange={(event) =>
+              updateBox({ padding: Math.max(Number(event.target.value) || 0, 0) })
+            }
+            title="Inner padding (pt)"
+          />
+        </div>
+      )}
+      {(box.fill || box.borderWidth > 0) && (
+        <svg
+          className="text-box-frame"
+          viewBox={`0 0 ${width} ${height}`}
+          preserveAspectRatio="none"
+        >
+          <path
+            d={textBoxFramePath(width, height, box)}
+            fill={box.fill || 'none'}
+            fillOpacity={box.fillOpacity}
+            stroke={box.borderWidth > 0 ? box.borderColor : 'none'}
+            strokeWidth={box.borderWidth}
+            strokeDasharray={
+              box.borderWidth > 0 && box.borderStyle === 'dashed'
+                ? textBoxDashArray(box.borderWidth).join(' ')
+                : undefined
+            }
+          />
+        </svg>
+      )}
+      {editing ? (
+        <RichTextEditor
+          runs={runs}
+          baseStyle={baseStyle}
+          scale={scale}
+          style={{
+            ...boxCss,
+            padding: box.padding * scale,
+            lineHeight: lineSpacing,
+            textAlign: align
+          }}
+          onFocus={onFocus}
+          onSelect={setSelection}
+          onChange={(next) => onChange({ runs: next, text: runsText(next) })}
+        />
+      ) : !layout ? (
+        <div className="draft-text" style={boxCss}>
+          {styledRuns.map((run, index) => (
+            <span key={index} style={runCss(run, scale)}>
+              {run.text}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <div className="text-box-layout" style={boxCss}>
+          {layout.lines.flatMap((line, lineIndex) =>
+            line.pieces.map((piece, pieceIndex) => {
+              const { run } = piece;
+              const baseline = (firstBaseline + line.baseline) * scale;
+              const left = (box.padding + piece.x) * scale;
+              const thickness = Math.max(run.size / 16, 0.8) * scale;
+              const offsets = [];
+              if (run.underline) offsets.push(-2);
+              if (run.strike) offsets.push(run.size * 0.3);
+              return (
+                <React.Fragment key={`${lineIndex}-${pieceIndex}`}>
+                  <span
+                    className="text-piece"
+                    style={{
+                      ...runCss({ ...run, underline: false, strike: false }, scale),
+                      left,
+                      top: baseline - run.size * CSS_BASELINE * scale
+                    }}
+                  >
+                    {piece.text}
+                  </span>
+                  {offsets.map((offset) => (
+                    <span
+                      key={offset}
+                      className="text-underline"
+                      style={{
+                        left,
+                        top: baseline - offset * scale - thickness / 2,
+                        width: piece.width * scale,
+                        height: thickness,
+                        color: run.color
+                      }}
+                    />
+                  ))}
+                </React.Fragment>
+              );
+            })
+          )}
+        </div>
+      )}
+      {layout?.overflow && (
+        <span className="text-overflow" title="The text runs past the bottom of the box.">
+          Overflow
+        </span>
+      )}
+    </>
+  );
+};
+
+export default TextBox;
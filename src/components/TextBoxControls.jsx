@@ -0,0 +1,49 @@
+import React from 'react';
+import { DEFAULT_LINE_SPACING, textAlignOptions } from '../pdf/textLayout.js';
+
+const TextBoxControls = ({ draft, onChange, disabled }) => (
+  <div className="panel-stack">
+    <label>Alignment</label>
+    <div className="signature-mode">
+      {textAlignOptions.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          className={(draft.align || 'left') === option.value ? 'active' : ''}
+          onClick={() => onChange({ align: option.value })}
+          disabled={disabled}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+    <label>Letter spacing (pt)</label>
+    <input
+      type="number"
+      min="-2"
+      max="20"
+      step="0.1"
+      value={draft.letterSpacing || 0}
+      onChange={(event) => onChange({ letterSpacing: Number(event.target.value) || 0 })}
+      disabled={disabled}
+    />
+    <label>Line spacing</label>
+    <input
+      type="number"
+      min="0.8"
+      max="4"
+      step="0.1"
+      value={draft.lineSpacing || DEFAULT_LINE_SPACING}
+      onChange={(event) =>
+        onChange({ lineSpacing: Number(event.target.value) || DEFAULT_LINE_SPACING })
+      }
+      disabled={disabled}
+    />
+    <p className="hint">
+      Edit text directly on the page and style it from the floating toolbar.
+      Words too long for a line are broken between characters.
+    </p>
+  </div>
+);
+
+export default TextBoxControls;
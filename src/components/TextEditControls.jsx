@@ -0,0 +1,74 @@
+import React from 'react';
+
+const TextEditControls = ({ draft, fontOptions, onChange, disabled }) => (
+  <div className="panel-stack">
+    <label>Replacement text</label>
+    <input
+      value={draft.text}
+      onChange={(event) => onChange({ text: event.target.value })}
+      placeholder="Leave empty to delete the text"
+      disabled={disabled}
+    />
+    <label>Font</label>
+    <select
+      value={draft.fontFamily}
+      onChange={(event) => onChange({ fontFamily: event.target.value })}
+      disabled={disabled}
+    >
+      {fontOptions.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+    <div className="row">
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={draft.fontWeight === 'bold'}
+          onChange={(event) =>
+            onChange({ fontWeight: event.target.checked ? 'bold' : 'normal' })
+          }
+          disabled={disabled}
+        />
+        Bold
+      </label>
+      <label className="checkbox-row">
+        <input
+          type="checkbox"
+          checked={draft.fontStyle === 'italic'}
+          onChange={(event) =>
+            onChange({ fontStyle: event.target.checked ? 'italic' : 'normal' })
+          }
+          disabled={disabled}
+        />
+        Italic
+      </label>
+    </div>
+    <label>Size and color</label>
+    <div className="row">
+      <input
+        type="number"
+        min="4"
+        max="144"
+        step="0.5"
+        value={draft.size}
+        onChange={(event) => onChange({ size: Number(event.target.value) || 1 })}
+        disabled={disabled}
+      />
+      <input
+        type="color"
+        value={draft.color}
+        onChange={(event) => onChange({ color: event.target.value })}
+        title="Text color"
+        disabled={disabled}
+      />
+    </div>
+    <div className="hint">
+      The font and size were matched from the original text. PDFs do not say
+      which color text uses, so check it against the page.
+    </div>
+  </div>
+);
+
+export default TextEditControls;
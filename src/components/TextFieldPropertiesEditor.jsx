@@ -0,0 +1,202 @@
+import React from 'react';
+
+const alignmentOptions = [
+  { label: 'Left', value: 'left' },
+  { label: 'Center', value: 'center' },
+  { label: 'Right', value: 'right' }
+];
+
+const TextFieldPropertiesEditor = ({
+  draft,
+  fontOptions,
+  onChange,
+  onAddFont,
+  disabled
+}) => {
+  const maxLength = draft.maxLength || '';
+  const isComb = Boolean(draft.comb);
+
+  const toggle = (key) => (event) => onChange({ [key]: event.target.checked });
+
+  return (
+    <div className="panel-stack">
+      <div className="toggle-grid">
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.required)}
+            onChange={toggle('required')}
+            disabled={disabled}
+          />
+          Required
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.readOnly)}
+            onChange={toggle('readOnly')}
+            disabled={disabled}
+          />
+          Read-only
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.multiline)}
+            onChange={toggle('multiline')}
+            disabled={disabled || isComb}
+          />
+          Multiline
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={draft.scroll !== false}
+            onChange={toggle('scroll')}
+            disabled={disabled}
+          />
+          Scroll long text
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.password)}
+            onChange={(event) =>
+              onChange({
+                password: event.target.checked,
+                defaultValue: event.target.checked ? '' : draft.defaultValue
+              })
+            }
+            disabled={disabled || isComb}
+          />
+          Password
+        </label>
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={isComb}
+            onChange={(event) =>
+              onChange({
+                comb: event.target.checked,
+                multiline: event.target.checked ? false : draft.multiline,
+                password: event.target.checked ? false : draft.password
+              })
+            }
+            disabled={disabled || !maxLength}
+          />
+          Comb cells
+        </label>
+      </div>
+      <label>Max length</label>
+      <input
+        type="number"
+        min="0"
+        value={maxLength}
+        onChange={(event) => {
+          const value = Math.max(0, Math.floor(Number(event.target.value) || 0));
+          onChange({ maxLength: value || '', comb: value ? draft.comb : false });
+        }}
+        placeholder="No limit"
+        disabled={disabled}
+      />
+      <label>Default value</label>
+      <input
+        value={draft.defaultValue || ''}
+        maxLength={maxLength || undefined}
+        onChange={(event) => onChange({ defaultValue: event.target.value })}
+        placeholder={draft.password ? 'Not available for passwords' : 'Empty'}
+        disabled={disabled || draft.password}
+      />
+      <label>Alignment</label>
+      <select
+        value={draft.alignment || 'left'}
+        onChange={(event) => onChange({ alignment: event.target.value })}
+        disabled={disabled}
+      >
+        {alignmentOptions.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <label>Font</label>
+      <div className="row">
+        <select
+          value={draft.fontFamily || 'helvetica'}
+          onChange={(event) => onChange({ fontFamily: event.target.value })}
+          disabled={disabled}
+        >
+          {fontOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button className="ghost" onClick={onAddFont} disabled={disabled}>
+          Add font
+        </button>
+      </div>
+      <label>Font size</label>
+      <div className="row">
+        <input
+          type="number"
+          min="4"
+          max="72"
+          value={draft.fontSize || ''}
+          onChange={(event) => onChange({ fontSize: Number(event.target.value) || 0 })}
+          placeholder="Auto"
+          disabled={disabled}
+        />
+        <input
+          type="color"
+          value={draft.textColor || '#000000'}
+          onChange={(event) => onChange({ textColor: event.target.value })}
+          title="Text color"
+          disabled={disabled}
+        />
+      </div>
+      <label>Border</label>
+      <div className="row">
+        <input
+          type="color"
+          value={draft.borderColor || '#000000'}
+          onChange={(event) => onChange({ borderColor: event.target.value })}
+          disabled={disabled || !draft.borderColor}
+        />
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={!draft.borderColor}
+            onChange={(event) =>
+              onChange({ borderColor: event.target.checked ? '' : '#000000' })
+            }
+            disabled={disabled}
+          />
+          None
+        </label>
+      </div>
+      <label>Background</label>
+      <div className="row">
+        <input
+          type="color"
+          value={draft.backgroundColor || '#ffffff'}
+          onChange={(event) => onChange({ backgroundColor: event.target.value })}
+          disabled={disabled || !draft.backgroundColor}
+        />
+        <label className="checkbox-row">
+          <input
+            type="checkbox"
+            checked={!draft.backgroundColor}
+            onChange={(event) =>
+              onChange({ backgroundColor: event.target.checked ? '' : '#ffffff' })
+            }
+            disabled={disabled}
+          />
+          Transparent
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default TextFieldPropertiesEditor;
@@ -0,0 +1,282 @@
+import {
+  AnnotationFlags,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFRef,
+  PDFString,
+  degrees,
+  drawLine,
+  drawRectangle,
+  rgb
+} from 'pdf-lib';
+
+export const reviewStates = ['None', 'Accepted', 'Rejected', 'Cancelled', 'Completed'];
+
+// Annotations that are part of forms, links or popups are not comments.
+const IGNORED_SUBTYPES = new Set(['Widget', 'Popup', 'Link']);
+const NOTE_SIZE = 20;
+const NOTE_FLAGS =
+  AnnotationFlags.Print | AnnotationFlags.NoZoom | AnnotationFlags.NoRotate;
+
+const commentId = (ref) => `${ref.objectNumber}-${ref.generationNumber}`;
+
+const readText = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    return value.decodeText();
+  }
+  if (value instanceof PDFName) return value.decodeText();
+  return '';
+};
+
+const readDate = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  if (!(value instanceof PDFString || value instanceof PDFHexString)) return null;
+  try {
+    const date = value.decodeDate();
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  } catch {
+    return null;
+  }
+};
+
+const readRect = (dict) => {
+  const rect = dict.lookup(PDFName.of('Rect'));
+  const [x1, y1, x2, y2] = rect?.asArray?.().map((value) => value.asNumber()) || [];
+  if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+  return {
+    x: Math.min(x1, x2),
+    y: Math.min(y1, y2),
+    width: Math.abs(x2 - x1),
+    height: Math.abs(y2 - y1)
+  };
+};
+
+const listAnnotations = (pdfDoc) =>
+  pdfDoc.getPages().flatMap((page, pageIndex) => {
+    const annots = page.node.Annots();
+    if (!annots) return [];
+    return annots
+      .asArray()
+      .filter((ref) => ref instanceof PDFRef)
+      .map((ref) => ({ ref, page, pageIndex, dict: pdfDoc.context.lookup(ref) }))
+      .filter(({ dict }) => dict instanceof PDFDict);
+  });
+
+const findAnnotation = (pdfDoc, id) => {
+  const annotation = listAnnotations(pdfDoc).find(({ ref }) => commentId(ref) === id);
+  if (!annotation) {
+    throw new Error('That comment no longer exists.');
+  }
+  return annotation;
+};
+
+const byDate = (a, b) => (a.modified || '').localeCompare(b.modified || '');
+
+export const getComments = async (bytes) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const annotations = listAnnotations(pdfDoc).filter(
+    ({ dict }) => !IGNORED_SUBTYPES.has(readText(dict, 'Subtype'))
+  );
+  const parents = new Map();
+  annotations.forEach(({ ref, dict }) => {
+    const irt = dict.get(PDFName.of('IRT'));
+    if (irt instanceof PDFRef) parents.set(commentId(ref), commentId(irt));
+  });
+
+  // Replies to replies belong to the thread of the first comment.
+  const threadOf = (id) => {
+    const seen = new Set();
+    let current = id;
+    while (parents.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = parents.get(current);
+    }
+    return current;
+  };
+
+  const threads = new Map();
+  const replies = [];
+  const statuses = [];
+  annotations.forEach(({ ref, dict, pageIndex }) => {
+    const id = commentId(ref);
+    const entry = {
+      id,
+      pageIndex,
+      type: readText(dict, 'Subtype'),
+      author: readText(dict, 'T'),
+      contents: readText(dict, 'Contents'),
+      modified: readDate(dict, 'M') || readDate(dict, 'CreationDate'),
+      rect: readRect(dict)
+    };
+    if (!parents.has(id)) {
+      threads.set(id, { ...entry, replies: [], status: 'None' });
+    } else if (dict.has(PDFName.of('State'))) {
+      statuses.push({
+        ...entry,
+        threadId: parents.get(id),
+        model: readText(dict, 'StateModel') || 'Marked',
+        state: readText(dict, 'State')
+      });
+    } else {
+      replies.push({ ...entry, threadId: threadOf(id) });
+    }
+  });
+
+  replies.sort(byDate).forEach((reply) => {
+    threads.get(reply.threadId)?.replies.push(reply);
+  });
+  statuses
+    .filter((status) => status.model === 'Review')
+    .sort(byDate)
+    .forEach((status) => {
+      const thread = threads.get(status.threadId);
+      if (thread) thread.status = status.state || 'None';
+    });
+
+  // Page order, then top to bottom.
+  const top = (comment) => (comment.rect ? comment.rect.y + comment.rect.height : 0);
+  return Array.from(threads.values()).sort(
+    (a, b) => a.pageIndex - b.pageIndex || top(b) - top(a)
+  );
+};
+
+const createNoteAppearance = (pdfDoc, color) => {
+  const ink = rgb(0.2, 0.2, 0.2);
+  const line = (y) =>
+    drawLine({ start: { x: 5, y }, end: { x: 15, y }, thickness: 1.2, color: ink });
+  const operators = [
+    ...drawRectangle({
+      x: 1,
+      y: 1,
+      width: NOTE_SIZE - 2,
+      height: NOTE_SIZE - 2,
+      color,
+      borderColor: ink,
+      borderWidth: 1,
+      rotate: degrees(0),
+      xSkew: degrees(0),
+      ySkew: degrees(0)
+    }),
+    ...line(14),
+    ...line(10),
+    ...line(6)
+  ];
+  return pdfDoc.context.register(
+    pdfDoc.context.formXObject(operators, { BBox: [0, 0, NOTE_SIZE, NOTE_SIZE] })
+  );
+};
+
+const hexToColor = (hex) => {
+  const clean = (hex || '#ffd33d').replace('#', '');
+  const [red, green, blue] = [0, 2, 4].map(
+    (offset) => parseInt(clean.slice(offset, offset + 2), 16) / 255
+  );
+  return rgb(red || 0, green || 0, blue || 0);
+};
+
+const createCommentDict = (pdfDoc, page, entries) => {
+  const now = PDFString.fromDate(new Date());
+  return pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Text',
+    F: NOTE_FLAGS,
+    P: page.ref,
+    M: now,
+    CreationDate: now,
+    NM: PDFHexString.fromText(
+      `fillforge-${Date.now()}-${Math.random().toString(16).slice(2)}`
+    ),
+    ...entries
+  });
+};
+
+const saveWithAnnotation = async (pdfDoc, page, dict) => {
+  page.node.addAnnot(pdfDoc.context.register(dict));
+  return pdfDoc.save();
+};
+
+export const addComment = async (bytes, { pageIndex, x, y, contents, author, color }) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const page = pdfDoc.getPages()[pageIndex];
+  if (!page) {
+    throw new Error(`Page ${pageIndex + 1} does not exist.`);
+  }
+  const fill = hexToColor(color);
+  // The note icon hangs from the clicked point, like a pinned sticky note.
+  const dict = createCommentDict(pdfDoc, page, {
+    Rect: [x, y - NOTE_SIZE, x + NOTE_SIZE, y],
+    Name: 'Comment',
+    Open: false,
+    C: [fill.red, fill.green, fill.blue],
+    Contents: PDFHexString.fromText(contents || ''),
+    T: PDFHexString.fromText(author || ''),
+    AP: { N: createNoteAppearance(pdfDoc, fill) }
+  });
+  return saveWithAnnotation(pdfDoc, page, dict);
+};
+
+export const replyToComment = async (bytes, id, { contents, author }) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const parent = findAnnotation(pdfDoc, id);
+  const dict = createCommentDict(pdfDoc, parent.page, {
+    Rect: parent.dict.lookup(PDFName.of('Rect')),
+    IRT: parent.ref,
+    Name: 'Comment',
+    Open: false,
+    Contents: PDFHexString.fromText(contents || ''),
+    T: PDFHexString.fromText(author || '')
+  });
+  const color = parent.dict.lookup(PDFName.of('C'));
+  if (color) dict.set(PDFName.of('C'), color);
+  return saveWithAnnotation(pdfDoc, parent.page, dict);
+};
+
+// Review status follows the Acrobat convention: a hidden reply carrying
+// State/StateModel, where the newest one wins.
+export const setCommentStatus = async (bytes, id, { state, author }) => {
+  if (!reviewStates.includes(state)) {
+    throw new Error(`"${state}" is not a review status.`);
+  }
+  const pdfDoc = await PDFDocument.load(bytes);
+  const parent = findAnnotation(pdfDoc, id);
+  const dict = createCommentDict(pdfDoc, parent.page, {
+    Rect: parent.dict.lookup(PDFName.of('Rect')),
+    F: NOTE_FLAGS | AnnotationFlags.Hidden,
+    IRT: parent.ref,
+    State: PDFHexString.fromText(state),
+    StateModel: PDFHexString.fromText('Review'),
+    Contents: PDFHexString.fromText(`${state} set by ${author || 'Unknown'}`),
+    T: PDFHexString.fromText(author || '')
+  });
+  return saveWithAnnotation(pdfDoc, parent.page, dict);
+};
+
+// Deletes a comment together with its popup, replies and status updates.
+export const deleteComment = async (bytes, id) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  findAnnotation(pdfDoc, id);
+  const annotations = listAnnotations(pdfDoc);
+  const doomed = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    annotations.forEach(({ ref, dict }) => {
+      const irt = dict.get(PDFName.of('IRT'));
+      const parent = dict.get(PDFName.of('Parent'));
+      const linked = [irt, parent].some(
+        (target) => target instanceof PDFRef && doomed.has(commentId(target))
+      );
+      if (linked && !doomed.has(commentId(ref))) {
+        doomed.add(commentId(ref));
+        grew = true;
+      }
+    });
+  }
+  annotations.forEach(({ ref, page }) => {
+    if (doomed.has(commentId(ref))) page.node.removeAnnot(ref);
+  });
+  return pdfDoc.save();
+};
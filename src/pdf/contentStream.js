@@ -0,0 +1,290 @@
+import { PDFRawStream, decodePDFRawStream } from 'pdf-lib';
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// Content streams are handled as binary strings (one char per byte) so string
+// operands and inline image data survive a parse/serialize round trip.
+export const bytesToBinary = (bytes) => {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return binary;
+};
+
+export const binaryToBytes = (binary) => {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+};
+
+export const readStreamBytes = (stream) =>
+  stream instanceof PDFRawStream
+    ? decodePDFRawStream(stream).decode()
+    : stream.getUnencodedContents();
+
+const literalEscapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+const parseLiteralString = (source, start) => {
+  let depth = 1;
+  let value = '';
+  let i = start + 1;
+  while (i < source.length && depth > 0) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (literalEscapes[next]) {
+        value += literalEscapes[next];
+        i += 2;
+      } else if (next >= '0' && next <= '7') {
+        const digits = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(digits, 8) & 0xff);
+        i += 1 + digits.length;
+      } else if (next === '\r' || next === '\n') {
+        i += next === '\r' && source[i + 2] === '\n' ? 3 : 2;
+      } else {
+        value += next ?? '';
+        i += 2;
+      }
+      continue;
+    }
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (depth > 0) value += char;
+    i += 1;
+  }
+  return { token: { type: 'string', value }, end: i };
+};
+
+const parseHexString = (source, start) => {
+  const end = source.indexOf('>', start);
+  if (end === -1) throw new Error('Unterminated hex string in content stream.');
+  let hex = source.slice(start + 1, end).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  let value = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    value += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+  }
+  return { token: { type: 'string', value }, end: end + 1 };
+};
+
+const skipWhitespace = (source, start) => {
+  let i = start;
+  while (i < source.length) {
+    if (WHITESPACE.includes(source[i])) {
+      i += 1;
+    } else if (source[i] === '%') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i += 1;
+    } else {
+      break;
+    }
+  }
+  return i;
+};
+
+const readToken = (source, start) => {
+  const char = source[start];
+  if (char === '(') return parseLiteralString(source, start);
+  if (char === '<' && source[start + 1] === '<') {
+    const entries = [];
+    let i = skipWhitespace(source, start + 2);
+    while (i < source.length && !(source[i] === '>' && source[i + 1] === '>')) {
+      const { token, end } = readToken(source, i);
+      entries.push(token);
+      i = skipWhitespace(source, end);
+    }
+    return { token: { type: 'dict', entries }, end: i + 2 };
+  }
+  if (char === '<') return parseHexString(source, start);
+  if (char === '[') {
+    const items = [];
+    let i = skipWhitespace(source, start + 1);
+    while (i < source.length && source[i] !== ']') {
+      const { token, end } = readToken(source, i);
+      items.push(token);
+      i = skipWhitespace(source, end);
+    }
+    return { token: { type: 'array', items }, end: i + 1 };
+  }
+
+  let end = start + 1;
+  while (
+    end < source.length &&
+    !WHITESPACE.includes(source[end]) &&
+    !DELIMITERS.includes(source[end])
+  ) {
+    end += 1;
+  }
+  const text = source.slice(start, end);
+  if (char === '/') {
+    const value = text
+      .slice(1)
+      .replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      );
+    return { token: { type: 'name', value }, end };
+  }
+  if (NUMBER_PATTERN.test(text)) {
+    return { token: { type: 'number', value: Number(text) }, end };
+  }
+  if (text === 'true' || text === 'false' || text === 'null') {
+    return { token: { type: 'keyword', value: text }, end };
+  }
+  if (char === ')' || char === ']' || char === '>' || char === '{' || char === '}') {
+    return { token: { type: 'operator', value: char }, end: start + 1 };
+  }
+  return { token: { type: 'operator', value: text }, end };
+};
+
+// Inline image data runs from the byte after ID up to an EI surrounded by
+// whitespace; the data itself is binary and never tokenised.
+const findInlineImageEnd = (source, start) => {
+  let i = start;
+  while (i < source.length) {
+    const found = source.indexOf('EI', i);
+    if (found === -1) return source.length;
+    const before = source[found - 1];
+    const after = source[found + 2];
+    const delimited = after === undefined || WHITESPACE.includes(after);
+    if (WHITESPACE.includes(before) && delimited) return found + 2;
+    i = found + 2;
+  }
+  return source.length;
+};
+
+// Splits a content stream into operations. Each operation keeps its original
+// source text in `raw`, so untouched operations serialize byte for byte.
+export const parseContentStream = (bytes) => {
+  const source = typeof bytes === 'string' ? bytes : bytesToBinary(bytes);
+  const operations = [];
+  let operands = [];
+  let operandStart = null;
+  let i = skipWhitespace(source, 0);
+
+  while (i < source.length) {
+    const { token, end } = readToken(source, i);
+    if (operandStart === null) operandStart = i;
+    if (token.type !== 'operator') {
+      operands.push(token);
+      i = skipWhitespace(source, end);
+      continue;
+    }
+
+    let operationEnd = end;
+    if (token.value === 'BI') {
+      const dictionary = [];
+      let cursor = skipWhitespace(source, end);
+      while (cursor < source.length) {
+        const next = readToken(source, cursor);
+        cursor = next.end;
+        if (next.token.type === 'operator' && next.token.value === 'ID') break;
+        dictionary.push(next.token);
+        cursor = skipWhitespace(source, cursor);
+      }
+      operationEnd = findInlineImageEnd(source, cursor + 1);
+      operations.push({
+        operator: 'BI',
+        operands: dictionary,
+        raw: source.slice(operandStart, operationEnd)
+      });
+    } else {
+      operations.push({
+        operator: token.value,
+        operands,
+        raw: source.slice(operandStart, operationEnd)
+      });
+    }
+    operands = [];
+    operandStart = null;
+    i = skipWhitespace(source, operationEnd);
+  }
+
+  return operations;
+};
+
+const formatNumber = (value) => {
+  if (Number.isInteger(value)) return String(value);
+  return String(Number(value.toFixed(4)));
+};
+
+export const formatHexString = (value) => {
+  let hex = '';
+  for (let i = 0; i < value.length; i += 1) {
+    hex += value.charCodeAt(i).toString(16).padStart(2, '0');
+  }
+  return `<${hex}>`;
+};
+
+export const formatOperand = (token) => {
+  if (token.type === 'number') return formatNumber(token.value);
+  if (token.type === 'string') return formatHexString(token.value);
+  if (token.type === 'name') {
+    return `/${token.value.replace(/[^!-~]|[#()<>[\]{}/%]/g, (char) =>
+      `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`
+    )}`;
+  }
+  if (token.type === 'array') return `[${token.items.map(formatOperand).join(' ')}]`;
+  if (token.type === 'dict') return `<<${token.entries.map(formatOperand).join(' ')}>>`;
+  return token.value;
+};
+
+export const createOperation = (operator, operands = []) => ({
+  operator,
+  operands,
+  raw: [...operands.map(formatOperand), operator].join(' ')
+});
+
+export const serializeOperations = (operations) =>
+  binaryToBytes(operations.map((operation) => operation.raw).join('\n'));
+
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Applies `first`, then `second`, matching the PDF operand order of cm.
+export const multiplyMatrices = (first, second) => [
+  first[0] * second[0] + first[1] * second[2],
+  first[0] * second[1] + first[1] * second[3],
+  first[2] * second[0] + first[3] * second[2],
+  first[2] * second[1] + first[3] * second[3],
+  first[4] * second[0] + first[5] * second[2] + second[4],
+  first[4] * second[1] + first[5] * second[3] + second[5]
+];
+
+export const transformPoint = (matrix, x, y) => ({
+  x: matrix[0] * x + matrix[2] * y + matrix[4],
+  y: matrix[1] * x + matrix[3] * y + matrix[5]
+});
+
+export const invertMatrix = (matrix) => {
+  const [a, b, c, d, e, f] = matrix;
+  const determinant = a * d - b * c;
+  if (!determinant) return null;
+  return [
+    d / determinant,
+    -b / determinant,
+    -c / determinant,
+    a / determinant,
+    (c * f - d * e) / determinant,
+    (b * e - a * f) / determinant
+  ];
+};
+
+export const boundsOfPoints = (points) => {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return {
+    x1: Math.min(...xs),
+    y1: Math.min(...ys),
+    x2: Math.max(...xs),
+    y2: Math.max(...ys)
+  };
+};
+
+export const transformBounds = (matrix, { x1, y1, x2, y2 }) =>
+  boundsOfPoints([
+    transformPoint(matrix, x1, y1),
+    transformPoint(matrix, x2, y1),
+    transformPoint(matrix, x1, y2),
+    transformPoint(matrix, x2, y2)
+  ]);
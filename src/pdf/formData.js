@@ -0,0 +1,338 @@
+import {
+  PDFArray,
+  PDFContext,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFParser,
+  PDFString
+} from 'pdf-lib';
+
+// Reads and writes form values as FDF, XFDF, JSON and CSV. Entries are
+// `{ name, value }` with fully qualified field names; checkboxes export their
+// on value (or Off) except in JSON, which uses booleans. Multi-select list
+// boxes export every selected value as a list (lines of text in CSV).
+
+export const formDataFormats = [
+  { value: 'fdf', label: 'FDF', mimeType: 'application/vnd.fdf' },
+  { value: 'xfdf', label: 'XFDF', mimeType: 'application/vnd.adobe.xfdf' },
+  { value: 'json', label: 'JSON', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', mimeType: 'text/csv' }
+];
+
+const fillableTypes = ['text', 'checkbox', 'dropdown', 'option-list', 'radio'];
+
+export const formatFromFileName = (name = '') => {
+  const extension = name.split('.').pop().toLowerCase();
+  return formDataFormats.some((format) => format.value === extension) ? extension : null;
+};
+
+const fieldEntries = (fields, { booleans = false } = {}) =>
+  fields
+    .filter((field) => fillableTypes.includes(field.type))
+    .map((field) => {
+      if (field.type === 'option-list' && field.properties?.multiSelect) {
+        return { name: field.name, value: field.values || [] };
+      }
+      if (field.type !== 'checkbox' || booleans) {
+        return { name: field.name, value: field.value };
+      }
+      const value = field.value ? field.exportValue || 'Yes' : 'Off';
+      return { name: field.name, value };
+    });
+
+// Dotted names become nested nodes, as FDF and XFDF expect.
+const buildTree = (entries, fields) => {
+  const root = { children: new Map() };
+  entries.forEach((entry) => {
+    let node = root;
+    entry.name.split('.').forEach((part) => {
+      if (!node.children.has(part)) node.children.set(part, { children: new Map() });
+      node = node.children.get(part);
+    });
+    node.entry = entry;
+    node.type = fields.find((field) => field.name === entry.name)?.type;
+  });
+  return root;
+};
+
+const escapeLiteral = (value) => value.replace(/[\\()]/g, (char) => `\\${char}`);
+
+const toFdf = (fields, fileName) => {
+  const context = PDFContext.create();
+  const toDict = (name, node) => {
+    const dict = context.obj({ T: PDFHexString.fromText(name) });
+    if (node.children.size) {
+      dict.set(
+        PDFName.of('Kids'),
+        context.obj([...node.children].map(([child, kid]) => toDict(child, kid)))
+      );
+    }
+    if (node.entry) {
+      // Checkbox and radio states are names; everything else is text.
+      const isState = node.type === 'checkbox' || node.type === 'radio';
+      const { value } = node.entry;
+      if (Array.isArray(value)) {
+        dict.set(
+          PDFName.of('V'),
+          context.obj(value.map((item) => PDFHexString.fromText(String(item))))
+        );
+      } else {
+        const text = String(value ?? '');
+        dict.set(
+          PDFName.of('V'),
+          isState ? PDFName.of(text || 'Off') : PDFHexString.fromText(text)
+        );
+      }
+    }
+    return dict;
+  };
+
+  const tree = buildTree(fieldEntries(fields), fields);
+  const fdf = context.obj({
+    Fields: context.obj([...tree.children].map(([name, node]) => toDict(name, node)))
+  });
+  if (fileName) fdf.set(PDFName.of('F'), PDFString.of(escapeLiteral(fileName)));
+  return [
+    '%FDF-1.2',
+    '1 0 obj',
+    context.obj({ FDF: fdf }).toString(),
+    'endobj',
+    'trailer',
+    '<< /Root 1 0 R >>',
+    '%%EOF',
+    ''
+  ].join('\n');
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toXfdf = (fields, fileName) => {
+  const writeNode = (name, node, indent) => {
+    const pad = '  '.repeat(indent);
+    const lines = [`${pad}<field name="${escapeXml(name)}">`];
+    [...node.children].forEach(([child, kid]) => {
+      lines.push(...writeNode(child, kid, indent + 1));
+    });
+    if (node.entry) {
+      const { value } = node.entry;
+      // An empty selection still writes one value, so importing clears it.
+      const values = Array.isArray(value) ? value : [value ?? ''];
+      (values.length ? values : ['']).forEach((item) => {
+        lines.push(`${pad}  <value>${escapeXml(item)}</value>`);
+      });
+    }
+    lines.push(`${pad}</field>`);
+    return lines;
+  };
+
+  const tree = buildTree(fieldEntries(fields), fields);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+    fileName ? `  <f href="${escapeXml(fileName)}"/>` : '',
+    '  <fields>',
+    ...[...tree.children].flatMap(([name, node]) => writeNode(name, node, 2)),
+    '  </fields>',
+    '</xfdf>',
+    ''
+  ]
+    .filter((line) => line !== '')
+    .join('\n');
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+// RFC 4180 with a little leniency: either line ending, and a trailing
+// newline does not produce an empty row.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('The CSV file has an unclosed quote.');
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+};
+
+export const serializeFormData = (fields, format, { fileName = '' } = {}) => {
+  let text;
+  if (format === 'fdf') {
+    text = toFdf(fields, fileName);
+  } else if (format === 'xfdf') {
+    text = toXfdf(fields, fileName);
+  } else if (format === 'json') {
+    const values = Object.fromEntries(
+      fieldEntries(fields, { booleans: true }).map(({ name, value }) => [name, value])
+    );
+    text = `${JSON.stringify(values, null, 2)}\n`;
+  } else if (format === 'csv') {
+    const entries = fieldEntries(fields);
+    text = toCsv([
+      entries.map((entry) => entry.name),
+      entries.map((entry) =>
+        Array.isArray(entry.value) ? entry.value.join('\n') : entry.value
+      )
+    ]);
+  } else {
+    throw new Error(`Unknown form data format "${format}".`);
+  }
+  return new TextEncoder().encode(text);
+};
+
+const fdfValue = (value) => {
+  if (value instanceof PDFName || value instanceof PDFString) return value.decodeText();
+  if (value instanceof PDFHexString) return value.decodeText();
+  if (value instanceof PDFNumber) return String(value.asNumber());
+  if (value instanceof PDFArray) return value.asArray().map(fdfValue);
+  return '';
+};
+
+// FDF shares PDF syntax, so pdf-lib parses it once the header says PDF.
+const parseFdf = async (bytes) => {
+  const copy = bytes.slice();
+  const start = new TextDecoder('latin1').decode(copy.subarray(0, 1024));
+  const header = start.indexOf('%FDF-');
+  if (header === -1) throw new Error('The file is not an FDF file.');
+  copy[header + 1] = 'P'.charCodeAt(0);
+
+  const context = await PDFParser.forBytesWithOptions(copy).parseDocument();
+  const root = context.lookup(context.trailerInfo.Root);
+  const fdf = root instanceof PDFDict ? root.lookup(PDFName.of('FDF')) : null;
+  const fields = fdf instanceof PDFDict ? fdf.lookup(PDFName.of('Fields')) : null;
+  if (!(fields instanceof PDFArray)) throw new Error('The FDF file has no fields.');
+
+  const entries = [];
+  const readFields = (array, prefix) => {
+    array.asArray().forEach((item) => {
+      const dict = context.lookup(item);
+      if (!(dict instanceof PDFDict)) return;
+      const partial = fdfValue(dict.lookup(PDFName.of('T')));
+      const name = [prefix, partial].filter(Boolean).join('.');
+      const kids = dict.lookup(PDFName.of('Kids'));
+      if (kids instanceof PDFArray) readFields(kids, name);
+      if (dict.has(PDFName.of('V'))) {
+        entries.push({ name, value: fdfValue(dict.lookup(PDFName.of('V'))) });
+      }
+    });
+  };
+  readFields(fields, '');
+  return entries;
+};
+
+const parseXfdf = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length) {
+    throw new Error('The XFDF file is not valid XML.');
+  }
+  const fields = document.getElementsByTagName('fields')[0];
+  if (!fields) throw new Error('The XFDF file has no fields.');
+
+  const entries = [];
+  const readFields = (parent, prefix) => {
+    [...parent.children]
+      .filter((element) => element.localName === 'field')
+      .forEach((element) => {
+        const name = [prefix, element.getAttribute('name')].filter(Boolean).join('.');
+        readFields(element, name);
+        const values = [...element.children]
+          .filter((child) => child.localName === 'value')
+          .map((child) => child.textContent);
+        if (values.length) {
+          entries.push({ name, value: values.length === 1 ? values[0] : values });
+        }
+      });
+  };
+  readFields(fields, '');
+  return entries;
+};
+
+// Nested objects are read as dotted names so either shape round-trips.
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The JSON file could not be read.');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The JSON file must hold an object of field names and values.');
+  }
+  const entries = [];
+  const readObject = (object, prefix) => {
+    Object.entries(object).forEach(([key, value]) => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        readObject(value, name);
+      } else {
+        entries.push({ name, value });
+      }
+    });
+  };
+  readObject(data, '');
+  return entries;
+};
+
+export const parseFormData = async (bytes, format) => {
+  if (format === 'fdf') return { entries: await parseFdf(bytes), notes: [] };
+
+  const text = new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+  if (format === 'xfdf') return { entries: parseXfdf(text), notes: [] };
+  if (format === 'json') return { entries: parseJson(text), notes: [] };
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !rows.length) {
+      throw new Error('The CSV file needs a header row and a row of values.');
+    }
+    const notes =
+      rows.length > 1
+        ? [`Only the first of ${rows.length} rows was imported.`]
+        : [];
+    return {
+      entries: header.map((name, index) => ({ name, value: rows[0][index] ?? '' })),
+      notes
+    };
+  }
+  throw new Error('Choose an FDF, XFDF, JSON or CSV file.');
+};
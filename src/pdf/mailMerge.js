@@ -0,0 +1,129 @@
+import { parseCsv } from './formData.js';
+import { applyFormData, flattenFormFields } from './pdfUtils.js';
+
+// Rows for mail merge come from a CSV file with a header row or a JSON array
+// of objects. Each row is an object keyed by column name.
+
+const flattenRow = (object, prefix = '', row = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRow(value, name, row);
+    } else {
+      row[name] = value ?? '';
+    }
+  });
+  return row;
+};
+
+export const parseMergeData = (bytes, name = '') => {
+  const text = new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+  const extension = name.split('.').pop().toLowerCase();
+
+  if (extension === 'csv') {
+    const [header, ...lines] = parseCsv(text);
+    if (!header || !lines.length) {
+      throw new Error('The CSV file needs a header row and at least one row of values.');
+    }
+    const columns = header.map((column) => column.trim());
+    const rows = lines.map((cells) =>
+      Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+    );
+    return { columns: columns.filter(Boolean), rows };
+  }
+
+  if (extension === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The JSON file could not be read.');
+    }
+    if (!Array.isArray(data) || !data.length) {
+      throw new Error('The JSON file must hold an array with one object per row.');
+    }
+    if (data.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error('Every row in the JSON file must be an object.');
+    }
+    const rows = data.map((item) => flattenRow(item));
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    return { columns, rows };
+  }
+
+  throw new Error('Choose a CSV or JSON file.');
+};
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// A column maps to a field when their names match ignoring case and
+// punctuation, either in full or by the field's last name part.
+export const suggestMapping = (fields, columns) => {
+  const byName = new Map(columns.map((column) => [normalizeName(column), column]));
+  return Object.fromEntries(
+    fields.map((field) => {
+      const partial = field.name.split('.').pop();
+      const column =
+        byName.get(normalizeName(field.name)) || byName.get(normalizeName(partial)) || '';
+      return [field.name, column];
+    })
+  );
+};
+
+export const rowEntries = (row, mapping) =>
+  Object.entries(mapping)
+    .filter(([, column]) => column)
+    .map(([name, column]) => ({ name, value: row[column] ?? '' }));
+
+const unsafeFileChars = /[\\/:*?"<>|\u0000-\u001f]+/g;
+
+// `{column}` placeholders take the row's value; `{row}` is the 1-based row
+// number. Unknown placeholders are left as typed so mistakes are visible.
+export const fileNameFromPattern = (pattern, row, index) => {
+  const filled = pattern.replace(/\{([^{}]+)\}/g, (match, key) => {
+    const column = key.trim();
+    if (column === 'row') return String(index + 1);
+    return Object.prototype.hasOwnProperty.call(row, column)
+      ? String(row[column] ?? '')
+      : match;
+  });
+  const stem = filled
+    .replace(/\.pdf$/i, '')
+    .replace(unsafeFileChars, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+  return `${stem || `row-${index + 1}`}.pdf`;
+};
+
+// Rows that produce the same name get a numbered suffix so none overwrite
+// another in the same run.
+export const planFileNames = (pattern, rows) => {
+  const used = new Set();
+  return rows.map((row, index) => {
+    const name = fileNameFromPattern(pattern, row, index);
+    const stem = name.slice(0, -4);
+    let candidate = name;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy += 1) {
+      candidate = `${stem} (${copy}).pdf`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+export const mergeRow = async (
+  templateBytes,
+  row,
+  mapping,
+  { flatten = false, customFonts } = {}
+) => {
+  const filled = await applyFormData(templateBytes, rowEntries(row, mapping), {
+    customFonts
+  });
+  if (!flatten) return filled;
+  const flattened = await flattenFormFields(filled.bytes, {
+    removeAcroForm: true,
+    customFonts
+  });
+  return { bytes: flattened.bytes, report: filled.report };
+};
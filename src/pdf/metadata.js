@@ -0,0 +1,332 @@
+import {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRef,
+  PDFStream,
+  PDFString
+} from 'pdf-lib';
+import { readStreamBytes } from './contentStream.js';
+
+const STANDARD_KEYS = [
+  'Title',
+  'Author',
+  'Subject',
+  'Keywords',
+  'Creator',
+  'Producer',
+  'CreationDate',
+  'ModDate',
+  'Trapped'
+];
+
+const textFields = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer'
+};
+
+const dateFields = {
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate'
+};
+
+// Loading with `updateMetadata` would stamp pdf-lib as the producer before
+// anything is read or written.
+const loadDocument = (bytes) => PDFDocument.load(bytes, { updateMetadata: false });
+
+const readInfoText = (info, key) => {
+  const value = info.lookup(PDFName.of(key));
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    return value.decodeText();
+  }
+  if (value instanceof PDFName) return value.decodeText();
+  return '';
+};
+
+const isText = (value) => value instanceof PDFString || value instanceof PDFHexString;
+
+// Custom entries that are not strings are shown read-only and written back
+// exactly as they were.
+const describeInfoValue = (value) => {
+  if (value instanceof PDFName) return value.decodeText();
+  if (value instanceof PDFNumber || value instanceof PDFBool) return value.toString();
+  if (value instanceof PDFArray) return 'List';
+  if (value instanceof PDFDict) return 'Dictionary';
+  return 'Other value';
+};
+
+const readInfoDate = (info, key) => {
+  const value = info.lookup(PDFName.of(key));
+  if (!(value instanceof PDFString || value instanceof PDFHexString)) return '';
+  try {
+    const date = value.decodeDate();
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+  } catch {
+    return '';
+  }
+};
+
+const readXmp = (pdfDoc) => {
+  const stream = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+  if (!stream) return '';
+  try {
+    return new TextDecoder('utf-8').decode(readStreamBytes(stream));
+  } catch {
+    return '';
+  }
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Reads a simple or first-item XMP property; enough to fill gaps in /Info.
+const readXmpProperty = (xmp, name) => {
+  const match = xmp.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  if (!match) {
+    const attribute = xmp.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return attribute ? decodeXml(attribute[1]) : '';
+  }
+  const item = match[1].match(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/);
+  return decodeXml((item ? item[1] : match[1]).trim());
+};
+
+const xmpFallbacks = {
+  title: 'dc:title',
+  author: 'dc:creator',
+  subject: 'dc:description',
+  keywords: 'pdf:Keywords',
+  creator: 'xmp:CreatorTool',
+  producer: 'pdf:Producer',
+  creationDate: 'xmp:CreateDate',
+  modificationDate: 'xmp:ModifyDate'
+};
+
+export const readDocumentMetadata = async (bytes) => {
+  const pdfDoc = await loadDocument(bytes);
+  const info = pdfDoc.getInfoDict();
+  const metadata = {};
+  Object.entries(textFields).forEach(([field, key]) => {
+    metadata[field] = readInfoText(info, key);
+  });
+  Object.entries(dateFields).forEach(([field, key]) => {
+    metadata[field] = readInfoDate(info, key);
+  });
+
+  const xmp = readXmp(pdfDoc);
+  Object.entries(xmpFallbacks).forEach(([field, property]) => {
+    if (metadata[field] || !xmp) return;
+    const value = readXmpProperty(xmp, property);
+    if (field in dateFields) {
+      const date = new Date(value);
+      metadata[field] = value && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+    } else {
+      metadata[field] = value;
+    }
+  });
+
+  metadata.custom = info
+    .keys()
+    .map((name) => name.decodeText())
+    .filter((key) => !STANDARD_KEYS.includes(key))
+    .map((key) => {
+      const value = info.lookup(PDFName.of(key));
+      return isText(value)
+        ? { key, value: value.decodeText(), original: key }
+        : { key, value: describeInfoValue(value), original: key, kept: true };
+    });
+  return metadata;
+};
+
+const xmlNamePattern = /^[A-Za-z_][\w.-]*$/;
+
+const xmpDate = (iso) => (iso ? new Date(iso).toISOString() : '');
+
+const keywordList = (keywords) =>
+  keywords
+    .split(/[,;]/)
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+
+const createUuid = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+
+// Builds a fresh XMP packet from the Info values. PDF/A identification and
+// the document ID are carried over from the old packet so conformance and
+// version tracking survive the rewrite.
+const buildXmp = (metadata, previousXmp) => {
+  const property = (name, value) =>
+    value ? `<${name}>${escapeXml(value)}</${name}>` : '';
+  const container = (name, type, values, language) => {
+    if (!values.length) return '';
+    const lang = language ? ' xml:lang="x-default"' : '';
+    const items = values.map((value) => `<rdf:li${lang}>${escapeXml(value)}</rdf:li>`);
+    return `<${name}><rdf:${type}>${items.join('')}</rdf:${type}></${name}>`;
+  };
+  const keep = (name) => {
+    const value = previousXmp && readXmpProperty(previousXmp, name);
+    return value ? property(name, value) : '';
+  };
+  const documentId =
+    (previousXmp && readXmpProperty(previousXmp, 'xmpMM:DocumentID')) ||
+    `uuid:${createUuid()}`;
+
+  const lines = [
+    '<dc:format>application/pdf</dc:format>',
+    container('dc:title', 'Alt', metadata.title ? [metadata.title] : [], true),
+    container('dc:creator', 'Seq', metadata.author ? [metadata.author] : []),
+    container('dc:description', 'Alt', metadata.subject ? [metadata.subject] : [], true),
+    container('dc:subject', 'Bag', keywordList(metadata.keywords || '')),
+    property('pdf:Keywords', metadata.keywords),
+    property('pdf:Producer', metadata.producer),
+    property('xmp:CreatorTool', metadata.creator),
+    property('xmp:CreateDate', xmpDate(metadata.creationDate)),
+    property('xmp:ModifyDate', xmpDate(metadata.modificationDate)),
+    property('xmp:MetadataDate', new Date().toISOString()),
+    property('xmpMM:DocumentID', documentId),
+    property('xmpMM:InstanceID', `uuid:${createUuid()}`),
+    keep('pdfaid:part'),
+    keep('pdfaid:conformance'),
+    // Acrobat mirrors custom Info entries in the pdfx namespace; keys that are
+    // not valid XML names only live in /Info.
+    ...metadata.custom
+      .filter(({ key, kept }) => !kept && xmlNamePattern.test(key))
+      .map(({ key, value }) => property(`pdfx:${key}`, value))
+  ].filter(Boolean);
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"',
+    ' xmlns:pdfx="http://ns.adobe.com/pdfx/1.3/"',
+    ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+    ...lines,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+};
+
+// Values stored as separate objects would still be written once unlinked, so
+// an edited or removed property could be read back out of the file.
+const dropInfoValue = (info, name) => {
+  const value = info.get(name);
+  if (value instanceof PDFRef) info.context.delete(value);
+  info.delete(name);
+};
+
+const validateCustomKeys = (custom) => {
+  const seen = new Set();
+  custom.forEach(({ key }) => {
+    if (!key) {
+      throw new Error('Custom properties need a name.');
+    }
+    if (STANDARD_KEYS.includes(key)) {
+      throw new Error(`"${key}" is a standard property; edit it above instead.`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`The custom property "${key}" is listed twice.`);
+    }
+    seen.add(key);
+  });
+};
+
+// Writes the Info dictionary and a matching XMP packet. Empty values remove
+// their entry; custom keys missing from `metadata.custom` are dropped.
+export const writeDocumentMetadata = async (bytes, metadata) => {
+  const custom = (metadata.custom || []).map((entry) => ({
+    ...entry,
+    key: String(entry.key ?? '').trim(),
+    value: String(entry.value ?? '')
+  }));
+  validateCustomKeys(custom);
+
+  const pdfDoc = await loadDocument(bytes);
+  const info = pdfDoc.getInfoDict();
+  const previousXmp = readXmp(pdfDoc);
+
+  Object.entries(textFields).forEach(([field, key]) => {
+    const value = String(metadata[field] ?? '').trim();
+    dropInfoValue(info, PDFName.of(key));
+    if (value) info.set(PDFName.of(key), PDFHexString.fromText(value));
+  });
+  Object.entries(dateFields).forEach(([field, key]) => {
+    const date = metadata[field] ? new Date(metadata[field]) : null;
+    if (date && Number.isNaN(date.getTime())) {
+      throw new Error(`"${metadata[field]}" is not a valid date.`);
+    }
+    dropInfoValue(info, PDFName.of(key));
+    if (date) info.set(PDFName.of(key), PDFString.fromDate(date));
+  });
+
+  // Entries that were not edited keep their original object, so strings in
+  // other encodings and values that are not text survive untouched.
+  const previousCustom = new Map(
+    info
+      .keys()
+      .filter((name) => !STANDARD_KEYS.includes(name.decodeText()))
+      .map((name) => [name.decodeText(), info.get(name)])
+  );
+  const reused = new Map();
+  custom.forEach((entry) => {
+    const original = previousCustom.get(entry.original);
+    if (original === undefined) return;
+    const object = pdfDoc.context.lookup(original);
+    if (entry.kept || (isText(object) && object.decodeText() === entry.value)) {
+      reused.set(entry, original);
+    }
+  });
+  const kept = new Set(reused.values());
+  previousCustom.forEach((value, key) => {
+    if (kept.has(value)) info.delete(PDFName.of(key));
+    else dropInfoValue(info, PDFName.of(key));
+  });
+  custom.forEach((entry) => {
+    info.set(
+      PDFName.of(entry.key),
+      reused.get(entry) || PDFHexString.fromText(entry.value)
+    );
+  });
+
+  const xmp = buildXmp({ ...metadata, custom }, previousXmp);
+  const stream = pdfDoc.context.stream(new TextEncoder().encode(xmp), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  // The new packet takes the old one's place, so no stale copy is saved.
+  const previous = pdfDoc.catalog.get(PDFName.of('Metadata'));
+  if (previous instanceof PDFRef) {
+    pdfDoc.context.assign(previous, stream);
+  } else {
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+  }
+  return pdfDoc.save();
+};
@@ -1,16 +1,83 @@
+import fontkit from '@pdf-lib/fontkit';
 import {
+  AnnotationFlags,
+  CustomFontEmbedder,
+  LineCapStyle,
+  PDFArray,
   PDFCheckBox,
+  PDFDict,
   PDFDocument,
   PDFDropdown,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFObjectCopier,
   PDFOptionList,
   PDFRadioGroup,
+  PDFRef,
+  PDFSignature,
+  PDFStream,
+  PDFString,
   PDFTextField,
+  StandardFontEmbedder,
   StandardFonts,
-  rgb
+  TextAlignment,
+  concatTransformationMatrix,
+  degrees,
+  drawEllipse,
+  drawLine,
+  drawObject,
+  drawRectangle,
+  popGraphicsState,
+  pushGraphicsState,
+  rgb,
+  setCharacterSpacing,
+  setGraphicsState
 } from 'pdf-lib';
+import { layoutText, textBoxDashArray, textBoxFramePath } from './textLayout.js';
 
 const LETTER_PAGE = [612, 792];
 
+export const pageSizePresets = [
+  { id: 'letter', label: 'Letter', size: LETTER_PAGE },
+  { id: 'a4', label: 'A4', size: [595.28, 841.89] },
+  { id: 'legal', label: 'Legal', size: [612, 1008] }
+];
+
+export const pageUnits = {
+  mm: { label: 'mm', points: 72 / 25.4 },
+  in: { label: 'in', points: 72 }
+};
+
+const MIN_PAGE_SIDE = 36;
+const MAX_PAGE_SIDE = 14400;
+
+// Page size in points. Presets are turned to the orientation; custom sizes
+// are used exactly as entered.
+export const resolvePageSize = ({
+  preset: presetId = 'letter',
+  orientation = 'portrait',
+  width,
+  height,
+  unit = 'mm'
+} = {}) => {
+  if (presetId === 'custom') {
+    const factor = pageUnits[unit]?.points;
+    if (!factor) throw new Error(`Unknown unit "${unit}".`);
+    const size = [Number(width) * factor, Number(height) * factor];
+    if (size.some((side) => !(side >= MIN_PAGE_SIDE && side <= MAX_PAGE_SIDE))) {
+      throw new Error('Custom pages must be between 0.5 and 200 inches on each side.');
+    }
+    return size;
+  }
+
+  const preset =
+    pageSizePresets.find((item) => item.id === presetId) || pageSizePresets[0];
+  const [first, second] = preset.size;
+  const isLandscape = orientation === 'landscape';
+  return isLandscape === first > second ? [first, second] : [second, first];
+};
+
 const decodeBase64 = (base64) => {
   const binary = atob(base64);
   const bytes = new Uint8Array(binary.length);
@@ -36,31 +103,100 @@ const describeField = (field) => {
     return { type: 'text', value: field.getText() || '' };
   }
   if (field instanceof PDFCheckBox) {
-    return { type: 'checkbox', value: field.isChecked() };
+    return {
+      type: 'checkbox',
+      value: field.isChecked(),
+      exportValue: field.acroField.getOnValue()?.decodeText() || 'Yes'
+    };
   }
   if (field instanceof PDFDropdown) {
     return {
       type: 'dropdown',
       value: (field.getSelected() || [])[0] || '',
-      options: field.getOptions()
+      options: field.getOptions(),
+      editable: field.isEditable()
     };
   }
   if (field instanceof PDFOptionList) {
+    const selected = field.getSelected() || [];
     return {
       type: 'option-list',
-      value: (field.getSelected() || [])[0] || '',
+      value: selected[0] || '',
+      values: selected,
+      multiSelect: field.isMultiselect(),
       options: field.getOptions()
     };
   }
   if (field instanceof PDFRadioGroup) {
     return {
       type: 'radio',
-      value: field.getSelected() || ''
+      value: field.getSelected() || '',
+      options: field.getOptions()
     };
   }
+  if (field instanceof PDFSignature) {
+    const signed = field.acroField.dict.has(PDFName.of('V'));
+    return { type: 'signature', value: signed ? 'Signed' : '' };
+  }
   return { type: 'unknown', value: '' };
 };
 
+const alignmentNames = {
+  [TextAlignment.Left]: 'left',
+  [TextAlignment.Center]: 'center',
+  [TextAlignment.Right]: 'right'
+};
+
+// Settings that the field editor can change, grouped by field type.
+const describeFieldProperties = (field) => {
+  const tooltip = field.acroField.dict.lookupMaybe(
+    PDFName.of('TU'),
+    PDFString,
+    PDFHexString
+  );
+  const properties = {
+    required: field.isRequired(),
+    readOnly: field.isReadOnly(),
+    tooltip: tooltip?.decodeText() || ''
+  };
+  if (field instanceof PDFTextField) {
+    const match = (field.acroField.getDefaultAppearance() || '').match(fontSizePattern);
+    return {
+      ...properties,
+      multiline: field.isMultiline(),
+      maxLength: field.getMaxLength() ?? '',
+      comb: field.isCombed(),
+      password: field.isPassword(),
+      alignment: alignmentNames[field.getAlignment()] || 'left',
+      fontSize: match ? Number(match[2]) : 0
+    };
+  }
+  if (field instanceof PDFDropdown) {
+    return { ...properties, editable: field.isEditable() };
+  }
+  if (field instanceof PDFOptionList) {
+    return { ...properties, multiSelect: field.isMultiselect() };
+  }
+  return properties;
+};
+
+const normalizeRectangle = ({ x, y, width, height }) => ({
+  x: Math.min(x, x + width),
+  y: Math.min(y, y + height),
+  width: Math.abs(width),
+  height: Math.abs(height)
+});
+
+const describeWidgets = (pdfDoc, field) => {
+  const pages = pdfDoc.getPages();
+  return field.acroField.getWidgets().map((widget, index) => ({
+    index,
+    pageIndex: pages.indexOf(findWidgetPage(pdfDoc, widget)),
+    hidden: widget.hasFlag(AnnotationFlags.Hidden),
+    ...normalizeRectangle(widget.getRectangle())
+  }));
+};
+
 const resolveFontName = (family, weight, style) => {
   const isBold = weight === 'bold';
   const isItalic = style === 'italic';
@@ -85,6 +221,59 @@ const resolveFontName = (family, weight, style) => {
   return StandardFonts.Helvetica;
 };
 
+const findUnsupportedCharacter = (font, text) => {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(text || '').find(
+    (char) => char !== '\n' && !supported.has(char.codePointAt(0))
+  );
+};
+
+const assertFontCovers = (font, text) => {
+  const missing = findUnsupportedCharacter(font, text);
+  if (missing) {
+    throw new Error(
+      `"${missing}" is not available in ${font.name}. Choose a custom font that includes it.`
+    );
+  }
+};
+
+const fontSizePattern = /(\/\S+)\s+(\d*\.?\d+)\s+Tf/;
+
+const hasFixedFontSize = (field) => {
+  const match = (field.acroField.getDefaultAppearance() || '').match(fontSizePattern);
+  return Boolean(match && Number(match[2]) > 0);
+};
+
+// Appearance generation pins the fitted size into /DA; a size of 0 asks
+// viewers to keep auto-sizing as the value changes.
+const restoreAutoFontSize = (field) => {
+  const da = field.acroField.getDefaultAppearance() || '';
+  field.acroField.setDefaultAppearance(da.replace(fontSizePattern, '$1 0 Tf'));
+};
+
+const standardFontNames = new Set(Object.values(StandardFonts));
+
+const fontNameAliases = {
+  Helv: StandardFonts.Helvetica,
+  HeBo: StandardFonts.HelveticaBold,
+  TiRo: StandardFonts.TimesRoman,
+  TiBo: StandardFonts.TimesRomanBold,
+  Cour: StandardFonts.Courier,
+  CoBo: StandardFonts.CourierBold
+};
+
+const registerFieldFont = (form, font) => {
+  const { acroForm } = form;
+  const resources =
+    acroForm.dict.lookupMaybe(PDFName.of('DR'), PDFDict) ||
+    form.doc.context.obj({});
+  const fonts =
+    resources.lookupMaybe(PDFName.of('Font'), PDFDict) || form.doc.context.obj({});
+  fonts.set(PDFName.of(font.name), font.ref);
+  resources.set(PDFName.of('Font'), fonts);
+  acroForm.dict.set(PDFName.of('DR'), resources);
+};
+
 const hexToRgb = (hex) => {
   if (!hex) return rgb(0.08, 0.1, 0.14);
   const clean = hex.replace('#', '');
@@ -95,39 +284,36 @@ const hexToRgb = (hex) => {
   return rgb(r, g, b);
 };
 
-const wrapText = (text, font, size, maxWidth) => {
-  if (!text) return [''];
-  if (!maxWidth) return text.split('\n');
-  const lines = [];
-  const paragraphs = text.split('\n');
-
-  paragraphs.forEach((paragraph, index) => {
-    const words = paragraph.split(/\s+/).filter(Boolean);
-    let line = '';
-    words.forEach((word) => {
-      const testLine = line ? `${line} ${word}` : word;
-      const lineWidth = font.widthOfTextAtSize(testLine, size);
-      if (lineWidth > maxWidth && line) {
-        lines.push(line);
-        line = word;
-      } else {
-        line = testLine;
-      }
-    });
-    if (line || paragraph === '') {
-      lines.push(line);
-    }
-    if (index < paragraphs.length - 1) {
-      lines.push('');
-    }
-  });
+// Glyph widths without a document, so the editor can lay out text exactly
+// as the export will.
+export const createTextMeasure = async (family, weight, style, customFonts = {}) => {
+  const customBytes = customFonts[family];
+  const embedder = customBytes
+    ? await CustomFontEmbedder.for(fontkit, customBytes)
+    : StandardFontEmbedder.for(resolveFontName(family, weight, style));
+  return (text, size) => embedder.widthOfTextAtSize(text, size);
+};
 
-  return lines;
+export const describeFontFile = (bytes) => {
+  const font = fontkit.create(bytes);
+  if (!font || font.type === 'TTC' || !font.characterSet) {
+    throw new Error('Font collections are not supported. Pick a single .ttf or .otf file.');
+  }
+  return {
+    familyName: font.familyName || font.postscriptName || 'Custom font',
+    postscriptName: font.postscriptName || ''
+  };
 };
 
-export const createBlankPdf = async () => {
+export const createBlankPdf = async ({ size = LETTER_PAGE, pageCount = 1 } = {}) => {
+  const count = Number(pageCount);
+  if (!Number.isInteger(count) || count < 1 || count > 1000) {
+    throw new Error('Page count must be between 1 and 1000.');
+  }
   const pdfDoc = await PDFDocument.create();
-  pdfDoc.addPage(LETTER_PAGE);
+  for (let i = 0; i < count; i += 1) {
+    pdfDoc.addPage(size);
+  }
   pdfDoc.setTitle('Untitled FillForge PDF');
   return pdfDoc.save();
 };
@@ -142,18 +328,49 @@ export const getFormFields = async (bytes) => {
       name: field.getName(),
       type: info.type,
       value: info.value,
-      options: info.options || []
+      values: info.values,
+      multiSelect: Boolean(info.multiSelect),
+      options: info.options || [],
+      editable: Boolean(info.editable),
+      exportValue: info.exportValue || '',
+      properties: describeFieldProperties(field),
+      widgets: describeWidgets(pdfDoc, field)
     };
   });
 };
 
-export const addTextToPdf = async (
-  bytes,
+// The box behind a text element. Fill opacity leaves the border solid, the
+// same as the editor's SVG preview.
+const drawTextBoxFrame = (page, frame) => {
+  const borderWidth = Math.max(Number(frame.borderWidth) || 0, 0);
+  if (!frame.fill && !borderWidth) return;
+  const path = textBoxFramePath(frame.width, frame.height, {
+    borderWidth,
+    radius: Number(frame.radius) || 0
+  });
+  page.drawSvgPath(path, {
+    x: frame.x,
+    y: frame.y + frame.height,
+    color: frame.fill ? hexToRgb(frame.fill) : undefined,
+    opacity: frame.fill ? (frame.fillOpacity ?? 1) : undefined,
+    borderColor: borderWidth ? hexToRgb(frame.borderColor) : undefined,
+    borderWidth,
+    borderDashArray:
+      borderWidth && frame.borderStyle === 'dashed'
+        ? textBoxDashArray(borderWidth)
+        : undefined
+  });
+};
+
+const drawTextElement = async (
+  context,
   {
     pageIndex,
     x,
     y,
+    frame,
     text,
+    runs,
     size,
     fontFamily,
     fontWeight,
@@ -161,123 +378,591 @@ export const addTextToPdf = async (
     underline,
     color,
     maxWidth,
-    lineHeight
+    lineSpacing,
+    letterSpacing = 0,
+    align = 'left'
   }
 ) => {
-  const pdfDoc = await PDFDocument.load(bytes);
-  const page = resolvePage(pdfDoc, pageIndex);
-  const fontName = resolveFontName(fontFamily, fontWeight, fontStyle);
-  const font = await pdfDoc.embedFont(fontName);
-  const ink = hexToRgb(color);
-
+  const page = resolvePage(context.pdfDoc, pageIndex);
   const effectiveSize = size || 12;
-  const effectiveLineHeight = lineHeight || effectiveSize * 1.2;
-  const lines = wrapText(text || '', font, effectiveSize, maxWidth);
+  const styledRuns = runs?.length
+    ? runs
+    : [{ text: text || '', fontWeight, fontStyle, underline, color }];
 
-  lines.forEach((line, index) => {
-    const lineY = y - index * effectiveLineHeight;
-    page.drawText(line, {
-      x,
-      y: lineY,
-      size: effectiveSize,
-      font,
-      color: ink
-    });
+  const fonts = new Map();
+  for (const run of styledRuns) {
+    const font = await context.resolveFont(
+      fontFamily,
+      run.fontWeight || fontWeight,
+      run.fontStyle || fontStyle
+    );
+    assertFontCovers(font, run.text);
+    fonts.set(run, font);
+  }
+  const sizeOf = (run) => run.size || effectiveSize;
+
+  // A text box is laid out upright on screen, so on a page with /Rotate it
+  // is drawn in its own frame, turned with the page and moved onto the box.
+  let originX = 0;
+  let originY = 0;
+  if (frame) {
+    const angle = (page.getRotation().angle * Math.PI) / 180;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+    const [width, height] = sin
+      ? [frame.height, frame.width]
+      : [frame.width, frame.height];
+    const xs = [0, width * cos, -height * sin, width * cos - height * sin];
+    const ys = [0, width * sin, height * cos, width * sin + height * cos];
+    originX = frame.x;
+    originY = frame.y;
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(
+        cos,
+        sin,
+        -sin,
+        cos,
+        frame.x - Math.min(...xs),
+        frame.y - Math.min(...ys)
+      )
+    );
+    drawTextBoxFrame(page, { ...frame, x: 0, y: 0, width, height });
+  }
+  const { lines } = layoutText(styledRuns, {
+    measure: (run, value) => fonts.get(run).widthOfTextAtSize(value, sizeOf(run)),
+    size: effectiveSize,
+    maxWidth,
+    lineSpacing,
+    letterSpacing,
+    align
+  });
 
-    if (underline) {
-      const width = font.widthOfTextAtSize(line || '', effectiveSize);
-      const thickness = Math.max(effectiveSize / 16, 0.8);
-      page.drawLine({
-        start: { x, y: lineY - 2 },
-        end: { x: x + width, y: lineY - 2 },
-        thickness,
+  // Character spacing is text state, so it carries into every drawText below
+  // and is undone by the closing Q.
+  if (letterSpacing) {
+    page.pushOperators(pushGraphicsState(), setCharacterSpacing(letterSpacing));
+  }
+  const left = x - originX;
+  lines.forEach((line) => {
+    const lineY = y - originY - line.baseline;
+    line.pieces.forEach((piece) => {
+      const pieceSize = sizeOf(piece.run);
+      const ink = hexToRgb(piece.run.color || color);
+      page.drawText(piece.text, {
+        x: left + piece.x,
+        y: lineY,
+        size: pieceSize,
+        font: fonts.get(piece.run),
         color: ink
       });
-    }
+
+      const offsets = [];
+      if (piece.run.underline ?? underline) offsets.push(-2);
+      if (piece.run.strike) offsets.push(pieceSize * 0.3);
+      offsets.forEach((offset) => {
+        page.drawLine({
+          start: { x: left + piece.x, y: lineY + offset },
+          end: { x: left + piece.x + piece.width, y: lineY + offset },
+          thickness: Math.max(pieceSize / 16, 0.8),
+          color: ink
+        });
+      });
+    });
   });
+  if (letterSpacing) page.pushOperators(popGraphicsState());
+  if (frame) page.pushOperators(popGraphicsState());
+};
 
-  return pdfDoc.save();
+const textAlignments = {
+  left: TextAlignment.Left,
+  center: TextAlignment.Center,
+  right: TextAlignment.Right
 };
 
-export const addTextFieldToPdf = async (
-  bytes,
-  { pageIndex, x, y, width, height, name }
+const drawTextFieldElement = async (
+  context,
+  {
+    pageIndex,
+    x,
+    y,
+    width,
+    height,
+    name,
+    fontFamily,
+    fontSize,
+    textColor,
+    borderColor,
+    backgroundColor,
+    alignment,
+    required,
+    readOnly,
+    multiline,
+    scroll = true,
+    maxLength,
+    comb,
+    password,
+    defaultValue
+  }
 ) => {
-  const pdfDoc = await PDFDocument.load(bytes);
-  const form = pdfDoc.getForm();
-  const page = resolvePage(pdfDoc, pageIndex);
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const limit = Number(maxLength) || undefined;
+  if (comb && !limit) {
+    throw new Error('Comb fields need a max length.');
+  }
+  if (comb && (multiline || password)) {
+    throw new Error('Comb fields cannot be multiline or password fields.');
+  }
+  if (defaultValue && limit && defaultValue.length > limit) {
+    throw new Error(`Default value is longer than the ${limit} character limit.`);
+  }
+  if (defaultValue && password) {
+    throw new Error('Password fields cannot have a default value.');
+  }
 
+  const page = resolvePage(context.pdfDoc, pageIndex);
   const fieldName = name || `TextField-${Date.now()}`;
-  const textField = form.createTextField(fieldName);
-  textField.addToPage(page, { x, y, width, height });
-  form.updateFieldAppearances(font);
+  const font = fontFamily
+    ? await context.resolveFont(fontFamily, 'normal', 'normal', { subset: false })
+    : null;
+  if (font && defaultValue) assertFontCovers(font, defaultValue);
 
-  return pdfDoc.save();
-};
+  const textField = context.getForm().createTextField(fieldName);
+  if (limit) textField.setMaxLength(limit);
+  if (multiline) textField.enableMultiline();
+  if (!scroll) textField.disableScrolling();
+  if (comb) textField.enableCombing();
+  if (password) textField.enablePassword();
+  if (required) textField.enableRequired();
+  if (readOnly) textField.enableReadOnly();
+  textField.setAlignment(textAlignments[alignment] ?? TextAlignment.Left);
+  if (defaultValue) {
+    textField.setText(defaultValue);
+    textField.acroField.dict.set(PDFName.of('DV'), PDFHexString.fromText(defaultValue));
+  }
 
-export const addCheckBoxToPdf = async (
-  bytes,
-  { pageIndex, x, y, size, name }
-) => {
-  const pdfDoc = await PDFDocument.load(bytes);
-  const form = pdfDoc.getForm();
-  const page = resolvePage(pdfDoc, pageIndex);
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  textField.addToPage(page, {
+    x,
+    y,
+    width,
+    height,
+    font: font || undefined,
+    textColor: textColor ? hexToRgb(textColor) : rgb(0, 0, 0),
+    borderColor: borderColor ? hexToRgb(borderColor) : undefined,
+    borderWidth: borderColor ? 1 : 0,
+    backgroundColor: backgroundColor ? hexToRgb(backgroundColor) : undefined
+  });
+  if (fontSize) {
+    textField.setFontSize(fontSize);
+  } else {
+    restoreAutoFontSize(textField);
+    textField.markAsDirty();
+  }
+  if (font) context.setFieldFont(textField, font);
+};
 
+const drawCheckBoxElement = async (context, { pageIndex, x, y, size, name }) => {
+  const page = resolvePage(context.pdfDoc, pageIndex);
   const fieldName = name || `Checkbox-${Date.now()}`;
-  const checkBox = form.createCheckBox(fieldName);
+  const checkBox = context.getForm().createCheckBox(fieldName);
   checkBox.addToPage(page, { x, y, width: size, height: size });
-  form.updateFieldAppearances(font);
+};
 
-  return pdfDoc.save();
+const drawRadioGroupElement = async (context, { name, options, selected }) => {
+  if (!options?.length) {
+    throw new Error('Radio group has no options.');
+  }
+  const values = options.map((option) => String(option.value ?? '').trim());
+  if (values.some((value) => !value)) {
+    throw new Error('Every radio option needs an export value.');
+  }
+  if (new Set(values).size !== values.length) {
+    throw new Error('Radio option export values must be unique within a group.');
+  }
+
+  const fieldName = name || `RadioGroup-${Date.now()}`;
+  const radioGroup = context.getForm().createRadioGroup(fieldName);
+  options.forEach((option, index) => {
+    const page = resolvePage(context.pdfDoc, option.pageIndex);
+    radioGroup.addOptionToPage(values[index], page, {
+      x: option.x,
+      y: option.y,
+      width: option.size,
+      height: option.size
+    });
+  });
+  const selectedValue = String(selected ?? '').trim();
+  if (selectedValue && values.includes(selectedValue)) {
+    radioGroup.select(selectedValue);
+  }
 };
 
-export const setFormFieldValue = async (bytes, fieldName, value) => {
-  const pdfDoc = await PDFDocument.load(bytes);
-  const form = pdfDoc.getForm();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+const normalizeChoiceOptions = (options) => {
+  const values = (options || []).map((option) => String(option ?? '').trim());
+  if (!values.length || values.some((value) => !value)) {
+    throw new Error('Choice fields need at least one non-empty option.');
+  }
+  if (new Set(values).size !== values.length) {
+    throw new Error('Choice field options must be unique.');
+  }
+  return values;
+};
 
-  let field = null;
-  try {
-    field = form.getField(fieldName);
-  } catch (error) {
-    return bytes;
+const setChoiceDefaults = (field, values) => {
+  if (!values.length) return;
+  const { context } = field.doc;
+  const entries = values.map((value) => PDFHexString.fromText(value));
+  field.acroField.dict.set(
+    PDFName.of('DV'),
+    entries.length === 1 ? entries[0] : context.obj(entries)
+  );
+  field.select(values.length === 1 ? values[0] : values);
+};
+
+const drawDropdownElement = async (
+  context,
+  { pageIndex, x, y, width, height, name, options, selected, editable }
+) => {
+  const values = normalizeChoiceOptions(options);
+  const page = resolvePage(context.pdfDoc, pageIndex);
+  const fieldName = name || `Dropdown-${Date.now()}`;
+  const dropdown = context.getForm().createDropdown(fieldName);
+  dropdown.addOptions(values);
+  if (editable) dropdown.enableEditing();
+  dropdown.addToPage(page, { x, y, width, height });
+  // pdf-lib turns editing on when selecting a value that is not an option.
+  const defaults = (selected || [])
+    .map((value) => String(value ?? '').trim())
+    .filter((value) => value && (editable || values.includes(value)));
+  setChoiceDefaults(dropdown, defaults.slice(0, 1));
+};
+
+const drawOptionListElement = async (
+  context,
+  { pageIndex, x, y, width, height, name, options, selected, multiSelect }
+) => {
+  const values = normalizeChoiceOptions(options);
+  const page = resolvePage(context.pdfDoc, pageIndex);
+  const fieldName = name || `ListBox-${Date.now()}`;
+  const optionList = context.getForm().createOptionList(fieldName);
+  optionList.addOptions(values);
+  if (multiSelect) optionList.enableMultiselect();
+  optionList.addToPage(page, { x, y, width, height });
+  const defaults = (selected || [])
+    .map((value) => String(value ?? '').trim())
+    .filter((value) => values.includes(value));
+  setChoiceDefaults(optionList, multiSelect ? defaults : defaults.slice(0, 1));
+};
+
+export const detectImageType = (bytes) => {
+  if (!bytes || bytes.length < 4) return null;
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+    return 'image/png';
   }
-  if (!field) return bytes;
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  return null;
+};
 
-  if (field instanceof PDFTextField) {
-    field.setText(String(value ?? ''));
-  } else if (field instanceof PDFCheckBox) {
-    if (value) {
-      field.check();
-    } else {
-      field.uncheck();
-    }
-  } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
-    if (value) {
-      field.select(String(value));
+// Reads the EXIF orientation tag (1-8) from a JPEG; 1 when absent.
+const readJpegOrientation = (bytes) => {
+  let offset = 2;
+  while (offset + 4 < bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker === 0xda) break;
+    const header = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (marker === 0xe1 && header === 'Exif') {
+      const tiff = offset + 10;
+      const little = bytes[tiff] === 0x49;
+      const read16 = (at) =>
+        little ? bytes[at] | (bytes[at + 1] << 8) : (bytes[at] << 8) | bytes[at + 1];
+      const read32 = (at) =>
+        little
+          ? (read16(at) | (read16(at + 2) << 16)) >>> 0
+          : ((read16(at) << 16) | read16(at + 2)) >>> 0;
+      const ifd = tiff + read32(tiff + 4);
+      const count = ifd + 2 <= bytes.length ? read16(ifd) : 0;
+      for (let i = 0; i < count; i += 1) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 10 > bytes.length) break;
+        if (read16(entry) === 0x0112) {
+          const value = read16(entry + 8);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      break;
     }
-  } else if (field instanceof PDFRadioGroup) {
-    if (value) {
-      field.select(String(value));
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+// Maps the stored JPEG onto the unit square the way EXIF says it is shown.
+const exifOrientationMatrices = {
+  1: [1, 0, 0, 1, 0, 0],
+  2: [-1, 0, 0, 1, 1, 0],
+  3: [-1, 0, 0, -1, 1, 1],
+  4: [1, 0, 0, -1, 0, 1],
+  5: [0, -1, -1, 0, 1, 1],
+  6: [0, -1, 1, 0, 0, 1],
+  7: [0, 1, 1, 0, 0, 0],
+  8: [0, 1, -1, 0, 1, 0]
+};
+
+const drawImageElement = async (
+  context,
+  { pageIndex, x, y, width, height, dataUrl, opacity = 1, rotation = 0 }
+) => {
+  const imageBytes = dataUrlToBytes(dataUrl);
+  const imageType = detectImageType(imageBytes);
+  if (!imageType) {
+    throw new Error('Only PNG and JPEG images are supported.');
+  }
+
+  const { pdfDoc } = context;
+  const page = resolvePage(pdfDoc, pageIndex);
+  const image =
+    imageType === 'image/png'
+      ? await pdfDoc.embedPng(imageBytes)
+      : await pdfDoc.embedJpg(imageBytes);
+  const orientation = imageType === 'image/jpeg' ? readJpegOrientation(imageBytes) : 1;
+
+  // The box is measured on screen, so undo the page's own /Rotate.
+  const pageRotation = page.getRotation().angle;
+  const [drawWidth, drawHeight] = pageRotation % 180 ? [height, width] : [width, height];
+  const angle = ((Number(rotation) - pageRotation) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const alpha = Math.min(Math.max(Number(opacity), 0), 1);
+
+  const operators = [pushGraphicsState()];
+  if (Number.isFinite(alpha) && alpha < 1) {
+    const state = pdfDoc.context.obj({ Type: 'ExtGState', ca: alpha, CA: alpha });
+    operators.push(
+      setGraphicsState(page.node.newExtGState('GS', pdfDoc.context.register(state)))
+    );
+  }
+  operators.push(
+    concatTransformationMatrix(1, 0, 0, 1, x + width / 2, y + height / 2),
+    concatTransformationMatrix(cos, -sin, sin, cos, 0, 0),
+    concatTransformationMatrix(
+      drawWidth,
+      0,
+      0,
+      drawHeight,
+      -drawWidth / 2,
+      -drawHeight / 2
+    ),
+    concatTransformationMatrix(...exifOrientationMatrices[orientation]),
+    drawObject(page.node.newXObject('Image', image.ref)),
+    popGraphicsState()
+  );
+  page.pushOperators(...operators);
+};
+
+// Open arrowhead at the end of the line, shared with the on-screen preview.
+export const arrowHeadPoints = ({ x1, y1, x2, y2 }, strokeWidth = 1) => {
+  const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+  const size = Math.min(strokeWidth * 3 + 6, length / 2);
+  const ux = (x2 - x1) / length;
+  const uy = (y2 - y1) / length;
+  return [Math.PI / 6, -Math.PI / 6].map((angle) => ({
+    x: x2 - size * (ux * Math.cos(angle) - uy * Math.sin(angle)),
+    y: y2 - size * (uy * Math.cos(angle) + ux * Math.sin(angle))
+  }));
+};
+
+const shapeAnnotationTypes = {
+  rectangle: 'Square',
+  ellipse: 'Circle',
+  line: 'Line',
+  arrow: 'Line',
+  highlight: 'Highlight'
+};
+
+const colorComponents = (color) => [color.red, color.green, color.blue];
+
+const shapeOperators = (element, graphicsState) => {
+  const { shape, x, y, width, height } = element;
+  const strokeWidth = Math.max(Number(element.strokeWidth) || 0, 0);
+  const fill = element.fillColor ? hexToRgb(element.fillColor) : undefined;
+  const stroke = element.strokeColor ? hexToRgb(element.strokeColor) : undefined;
+  const borderWidth = stroke ? strokeWidth : 0;
+
+  if (shape === 'highlight') {
+    return drawRectangle({
+      x,
+      y,
+      width,
+      height,
+      color: fill || hexToRgb('#ffd33d'),
+      borderWidth: 0,
+      rotate: degrees(0),
+      xSkew: degrees(0),
+      ySkew: degrees(0),
+      graphicsState
+    });
+  }
+
+  if (shape === 'rectangle') {
+    // Keep the stroke inside the box, like the on-screen draft.
+    return drawRectangle({
+      x: x + borderWidth / 2,
+      y: y + borderWidth / 2,
+      width: Math.max(width - borderWidth, 0),
+      height: Math.max(height - borderWidth, 0),
+      color: fill,
+      borderColor: borderWidth ? stroke : undefined,
+      borderWidth,
+      rotate: degrees(0),
+      xSkew: degrees(0),
+      ySkew: degrees(0),
+      graphicsState
+    });
+  }
+
+  if (shape === 'ellipse') {
+    return drawEllipse({
+      x: x + width / 2,
+      y: y + height / 2,
+      xScale: Math.max(width - borderWidth, 0) / 2,
+      yScale: Math.max(height - borderWidth, 0) / 2,
+      color: fill,
+      borderColor: borderWidth ? stroke : undefined,
+      borderWidth,
+      graphicsState
+    });
+  }
+
+  const { points } = element;
+  const line = {
+    thickness: strokeWidth || 1,
+    color: stroke || rgb(0, 0, 0),
+    lineCap: LineCapStyle.Round,
+    graphicsState
+  };
+  const end = { x: points.x2, y: points.y2 };
+  const operators = drawLine({ ...line, start: { x: points.x1, y: points.y1 }, end });
+  if (shape === 'arrow') {
+    arrowHeadPoints(points, line.thickness).forEach((start) => {
+      operators.push(...drawLine({ ...line, start, end }));
+    });
+  }
+  return operators;
+};
+
+const shapeBounds = (element) => {
+  if (element.shape !== 'line' && element.shape !== 'arrow') {
+    const { x, y, width, height } = element;
+    return [x, y, x + width, y + height];
+  }
+  const { points } = element;
+  const strokeWidth = Math.max(Number(element.strokeWidth) || 0, 1);
+  const corners = [
+    { x: points.x1, y: points.y1 },
+    { x: points.x2, y: points.y2 },
+    ...(element.shape === 'arrow' ? arrowHeadPoints(points, strokeWidth) : [])
+  ];
+  const xs = corners.map((point) => point.x);
+  const ys = corners.map((point) => point.y);
+  return [
+    Math.min(...xs) - strokeWidth,
+    Math.min(...ys) - strokeWidth,
+    Math.max(...xs) + strokeWidth,
+    Math.max(...ys) + strokeWidth
+  ];
+};
+
+const drawShapeElement = async (context, element) => {
+  const subtype = shapeAnnotationTypes[element.shape];
+  if (!subtype) {
+    throw new Error(`Unsupported shape "${element.shape}".`);
+  }
+
+  const { pdfDoc } = context;
+  const page = resolvePage(pdfDoc, element.pageIndex);
+  const opacity = Math.min(Math.max(Number(element.opacity ?? 1), 0), 1);
+  const state = { Type: 'ExtGState', ca: opacity, CA: opacity };
+  if (element.shape === 'highlight') state.BM = 'Multiply';
+  const stateRef = pdfDoc.context.register(pdfDoc.context.obj(state));
+
+  if (!element.asAnnotation) {
+    const graphicsState = page.node.newExtGState('GS', stateRef);
+    page.pushOperators(...shapeOperators(element, graphicsState));
+    return;
+  }
+
+  const bounds = shapeBounds(element);
+  const appearance = pdfDoc.context.formXObject(shapeOperators(element, 'GS0'), {
+    BBox: bounds,
+    Resources: { ExtGState: { GS0: stateRef } }
+  });
+  const annot = pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: subtype,
+    Rect: bounds,
+    F: AnnotationFlags.Print,
+    P: page.ref,
+    CA: opacity,
+    M: PDFString.fromDate(new Date()),
+    AP: { N: pdfDoc.context.register(appearance) }
+  });
+
+  const strokeWidth = Math.max(Number(element.strokeWidth) || 0, 0);
+  if (element.shape === 'highlight') {
+    const [x1, y1, x2, y2] = bounds;
+    const fill = hexToRgb(element.fillColor || '#ffd33d');
+    annot.set(PDFName.of('C'), pdfDoc.context.obj(colorComponents(fill)));
+    annot.set(
+      PDFName.of('QuadPoints'),
+      pdfDoc.context.obj([x1, y2, x2, y2, x1, y1, x2, y1])
+    );
+  } else if (subtype === 'Line') {
+    // Lines are always drawn, in black at 1pt unless set, like the appearance.
+    const stroke = hexToRgb(element.strokeColor || '#000000');
+    annot.set(PDFName.of('C'), pdfDoc.context.obj(colorComponents(stroke)));
+    annot.set(
+      PDFName.of('BS'),
+      pdfDoc.context.obj({ Type: 'Border', W: strokeWidth || 1 })
+    );
+  } else {
+    const stroke = element.strokeColor && hexToRgb(element.strokeColor);
+    annot.set(
+      PDFName.of('C'),
+      pdfDoc.context.obj(stroke ? colorComponents(stroke) : [])
+    );
+    annot.set(
+      PDFName.of('BS'),
+      pdfDoc.context.obj({ Type: 'Border', W: stroke ? strokeWidth : 0 })
+    );
+  }
+  if (element.fillColor && (subtype === 'Square' || subtype === 'Circle')) {
+    annot.set(
+      PDFName.of('IC'),
+      pdfDoc.context.obj(colorComponents(hexToRgb(element.fillColor)))
+    );
+  }
+  if (subtype === 'Line') {
+    const { x1, y1, x2, y2 } = element.points;
+    annot.set(PDFName.of('L'), pdfDoc.context.obj([x1, y1, x2, y2]));
+    if (element.shape === 'arrow') {
+      annot.set(PDFName.of('LE'), pdfDoc.context.obj(['None', 'OpenArrow']));
     }
   }
 
-  form.updateFieldAppearances(font);
-  return pdfDoc.save();
+  page.node.addAnnot(pdfDoc.context.register(annot));
 };
 
-export const addSignatureToPdf = async (
-  bytes,
+const drawSignatureElement = async (
+  context,
   { pageIndex, x, y, width, height, dataUrl }
 ) => {
-  const pdfDoc = await PDFDocument.load(bytes);
-  const page = resolvePage(pdfDoc, pageIndex);
+  const page = resolvePage(context.pdfDoc, pageIndex);
   const imageBytes = dataUrlToBytes(dataUrl);
-  if (!imageBytes) return bytes;
+  if (!imageBytes) {
+    throw new Error('Signature image is missing.');
+  }
 
-  const pngImage = await pdfDoc.embedPng(imageBytes);
+  const pngImage = await context.pdfDoc.embedPng(imageBytes);
   let targetWidth = width;
   let targetHeight = height;
 
@@ -295,6 +980,1068 @@ export const addSignatureToPdf = async (
     width: targetWidth,
     height: targetHeight
   });
+};
+
+const drawSignatureFieldElement = async (
+  context,
+  { pageIndex, x, y, width, height, name, tooltip }
+) => {
+  const fieldName = name?.trim() || `Signature-${Date.now()}`;
+  if (fieldName.includes('.')) {
+    throw new Error('Signature field names cannot contain periods.');
+  }
+  const form = context.getForm();
+  if (form.getFieldMaybe(fieldName)) {
+    throw new Error(`A field named "${fieldName}" already exists.`);
+  }
+
+  const { pdfDoc } = context;
+  const page = resolvePage(pdfDoc, pageIndex);
+  const appearance = pdfDoc.context.formXObject([], {
+    BBox: [0, 0, width, height],
+    Resources: {}
+  });
+  const widget = pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(fieldName),
+    Rect: [x, y, x + width, y + height],
+    F: AnnotationFlags.Print,
+    P: page.ref,
+    AP: { N: pdfDoc.context.register(appearance) }
+  });
+  if (tooltip?.trim()) {
+    widget.set(PDFName.of('TU'), PDFHexString.fromText(tooltip.trim()));
+  }
+
+  const widgetRef = pdfDoc.context.register(widget);
+  page.node.addAnnot(widgetRef);
+  form.acroForm.addField(widgetRef);
+};
+
+const elementWriters = {
+  text: drawTextElement,
+  'text-field': drawTextFieldElement,
+  checkbox: drawCheckBoxElement,
+  'radio-group': drawRadioGroupElement,
+  dropdown: drawDropdownElement,
+  'option-list': drawOptionListElement,
+  signature: drawSignatureElement,
+  'signature-field': drawSignatureFieldElement,
+  image: drawImageElement,
+  shape: drawShapeElement
+};
+
+const createDocumentContext = (pdfDoc, { customFonts = {} } = {}) => {
+  const fonts = new Map();
+  const fieldFonts = new Map();
+  let form = null;
+
+  pdfDoc.registerFontkit(fontkit);
+
+  const getFont = (fontName) => {
+    if (!fonts.has(fontName)) {
+      fonts.set(fontName, pdfDoc.embedFont(fontName));
+    }
+    return fonts.get(fontName);
+  };
+
+  const resolveFont = (family, weight, style, { subset = true } = {}) => {
+    const customBytes = customFonts[family];
+    if (!customBytes) {
+      return getFont(resolveFontName(family, weight, style));
+    }
+    const key = `${family}:${subset ? 'subset' : 'full'}`;
+    if (!fonts.has(key)) {
+      fonts.set(key, pdfDoc.embedFont(customBytes, { subset }));
+    }
+    return fonts.get(key);
+  };
+
+  const getForm = () => {
+    if (!form) form = pdfDoc.getForm();
+    return form;
+  };
 
+  // Keeps the font named in a field's /DA when its appearance is rebuilt.
+  const resolveFieldFont = (field) => {
+    const match = (field.acroField.getDefaultAppearance() || '').match(fontSizePattern);
+    if (!match) return null;
+    const fontName = match[1].slice(1);
+    const standardName = fontNameAliases[fontName] || fontName;
+    if (standardFontNames.has(standardName)) return getFont(standardName);
+    const family = Object.keys(customFonts).find(
+      (id) => fontkit.create(customFonts[id]).postscriptName === fontName
+    );
+    return family ? resolveFont(family, 'normal', 'normal', { subset: false }) : null;
+  };
+
+  const setFieldFont = (field, font) => {
+    fieldFonts.set(field.ref, { field, font });
+  };
+
+  const finalize = async () => {
+    if (!form) return;
+    const autoSizedFields = form
+      .getFields()
+      .filter(
+        (field) =>
+          field instanceof PDFTextField &&
+          form.fieldIsDirty(field.ref) &&
+          !hasFixedFontSize(field)
+      );
+    for (const field of form.getFields()) {
+      const hasTextAppearance =
+        field instanceof PDFTextField ||
+        field instanceof PDFDropdown ||
+        field instanceof PDFOptionList;
+      const needsFont =
+        hasTextAppearance && !fieldFonts.has(field.ref) && form.fieldIsDirty(field.ref);
+      if (!needsFont) continue;
+      const font = await resolveFieldFont(field);
+      if (font) setFieldFont(field, font);
+    }
+    fieldFonts.forEach(({ field, font }) => {
+      registerFieldFont(form, font);
+      field.updateAppearances(font);
+    });
+    form.updateFieldAppearances(await getFont(StandardFonts.Helvetica));
+    autoSizedFields.forEach(restoreAutoFontSize);
+  };
+
+  return {
+    pdfDoc,
+    getFont,
+    resolveFont,
+    getForm,
+    resolveFieldFont,
+    setFieldFont,
+    finalize
+  };
+};
+
+const applyElement = async (bytes, type, options, documentOptions) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, documentOptions);
+  await elementWriters[type](context, options);
+  await context.finalize();
   return pdfDoc.save();
 };
+
+// Applies every element to one loaded document and saves once. Failures are
+// reported per element so one bad draft does not abort the export.
+// `customFonts` maps font family ids used by elements to .ttf/.otf bytes.
+export const applyElementsToPdf = async (bytes, elements, { customFonts } = {}) => {
+  const errors = new Map();
+  elements.forEach((element) => {
+    if (!elementWriters[element.type]) {
+      errors.set(element, `Unsupported element type "${element.type}".`);
+    }
+  });
+
+  // A writer that throws may already have drawn part of its element, so after
+  // a failure the document is loaded again and only the rest are reapplied.
+  let pdfDoc;
+  let context;
+  let failed = true;
+  while (failed) {
+    failed = false;
+    pdfDoc = await PDFDocument.load(bytes);
+    context = createDocumentContext(pdfDoc, { customFonts });
+    for (const element of elements) {
+      if (errors.has(element)) continue;
+      try {
+        await elementWriters[element.type](context, element);
+      } catch (error) {
+        errors.set(element, error?.message || 'Failed to apply element.');
+        failed = true;
+      }
+    }
+  }
+
+  await context.finalize();
+  const results = elements.map((element) => {
+    const { id, type } = element;
+    return errors.has(element)
+      ? { id, type, ok: false, error: errors.get(element) }
+      : { id, type, ok: true };
+  });
+  return { bytes: await pdfDoc.save(), results };
+};
+
+export const addTextToPdf = (bytes, options, documentOptions) =>
+  applyElement(bytes, 'text', options, documentOptions);
+
+export const addTextFieldToPdf = (bytes, options, documentOptions) =>
+  applyElement(bytes, 'text-field', options, documentOptions);
+
+export const addCheckBoxToPdf = (bytes, options) =>
+  applyElement(bytes, 'checkbox', options);
+
+export const addRadioGroupToPdf = (bytes, options) =>
+  applyElement(bytes, 'radio-group', options);
+
+export const addDropdownToPdf = (bytes, options) =>
+  applyElement(bytes, 'dropdown', options);
+
+export const addOptionListToPdf = (bytes, options) =>
+  applyElement(bytes, 'option-list', options);
+
+// The font is settled before the value changes, so a value the font cannot
+// draw leaves the field untouched.
+const assignFieldValue = async (context, field, value, customFonts) => {
+  let text = typeof value === 'string' ? value : '';
+  if (Array.isArray(value)) text = value.join('\n');
+  const hasTextAppearance =
+    field instanceof PDFTextField ||
+    field instanceof PDFDropdown ||
+    field instanceof PDFOptionList;
+  // Values outside WinAnsi need an embedded font for the field appearance.
+  const fieldFont =
+    (hasTextAppearance && (await context.resolveFieldFont(field))) ||
+    (await context.getFont(StandardFonts.Helvetica));
+  let fallback;
+  if (hasTextAppearance && findUnsupportedCharacter(fieldFont, text)) {
+    fallback = null;
+    for (const family of Object.keys(customFonts)) {
+      const font = await context.resolveFont(family, 'normal', 'normal', { subset: false });
+      if (!findUnsupportedCharacter(font, text)) {
+        fallback = font;
+        break;
+      }
+    }
+    if (!fallback) assertFontCovers(fieldFont, text);
+  }
+
+  if (field instanceof PDFTextField) {
+    field.setText(String(value ?? ''));
+  } else if (field instanceof PDFCheckBox) {
+    if (value) {
+      field.check();
+    } else {
+      field.uncheck();
+    }
+  } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const selected = (Array.isArray(value) ? value : [value]).filter(Boolean).map(String);
+    if (selected.length) {
+      field.select(selected);
+    } else {
+      field.clear();
+    }
+  } else if (field instanceof PDFRadioGroup) {
+    if (value) {
+      field.select(String(value));
+    } else {
+      field.clear();
+    }
+  }
+  if (fallback !== undefined) context.setFieldFont(field, fallback);
+};
+
+export const setFormFieldValue = async (
+  bytes,
+  fieldName,
+  value,
+  { customFonts = {} } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, { customFonts });
+  const form = context.getForm();
+
+  let field = null;
+  try {
+    field = form.getField(fieldName);
+  } catch (error) {
+    return bytes;
+  }
+  if (!field) return bytes;
+
+  await assignFieldValue(context, field, value, customFonts);
+  await context.finalize();
+  return pdfDoc.save();
+};
+
+const checkedWords = ['true', 'yes', 'on', '1', 'x'];
+const uncheckedWords = ['false', 'no', 'off', '0', ''];
+
+// Turns an imported value into one the field accepts, or explains why it
+// cannot. Multi-select list boxes take a list (or lines of text, as CSV
+// holds them); other fields hold a single value and use a list's first entry.
+const coerceFieldValue = (field, value) => {
+  if (field instanceof PDFOptionList && field.isMultiselect()) {
+    const values = Array.isArray(value) ? value : String(value ?? '').split('\n');
+    const selected = values.map((item) => String(item ?? '')).filter(Boolean);
+    const options = field.getOptions();
+    const unknown = selected.find((item) => !options.includes(item));
+    if (unknown !== undefined) throw new Error(`"${unknown}" is not one of its options`);
+    return selected;
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  const first = values[0] ?? '';
+  if (values.some((item) => item !== null && typeof item === 'object')) {
+    throw new Error('expects a plain value, not an object');
+  }
+  const text = String(first);
+
+  if (field instanceof PDFTextField) {
+    const maxLength = field.getMaxLength();
+    if (maxLength !== undefined && text.length > maxLength) {
+      throw new Error(`is longer than its ${maxLength}-character limit`);
+    }
+    return text;
+  }
+  if (field instanceof PDFCheckBox) {
+    const onValue = field.acroField.getOnValue()?.decodeText();
+    const word = text.trim().toLowerCase();
+    if (first === true || text === onValue || checkedWords.includes(word)) return true;
+    if (first === false || uncheckedWords.includes(word)) return false;
+    throw new Error(`"${text}" is not a checkbox value`);
+  }
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    if (values.filter((item) => item !== '' && item !== null).length > 1) {
+      throw new Error('allows only one selection');
+    }
+    const options = field.getOptions();
+    const editable = field instanceof PDFDropdown && field.isEditable();
+    if (text && !editable && !options.includes(text)) {
+      throw new Error(`"${text}" is not one of its options`);
+    }
+    return text;
+  }
+  if (field instanceof PDFRadioGroup) {
+    if (!text || text === 'Off') return '';
+    if (!field.getOptions().includes(text)) {
+      throw new Error(`"${text}" is not one of its options`);
+    }
+    return text;
+  }
+  if (field instanceof PDFSignature) {
+    throw new Error('is a signature field and cannot be filled from data');
+  }
+  throw new Error('has a type that cannot be filled');
+};
+
+// Fills many fields in one pass. Names without a field and values that do not
+// suit their field are skipped and reported.
+export const applyFormData = async (bytes, entries, { customFonts = {} } = {}) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, { customFonts });
+  const fields = new Map(
+    context
+      .getForm()
+      .getFields()
+      .map((field) => [field.getName(), field])
+  );
+  const report = { filled: [], unmatched: [], invalid: [] };
+
+  for (const { name, value } of entries) {
+    const field = fields.get(name);
+    if (!field) {
+      report.unmatched.push(name);
+      continue;
+    }
+    try {
+      await assignFieldValue(context, field, coerceFieldValue(field, value), customFonts);
+      report.filled.push(name);
+    } catch (error) {
+      report.invalid.push({ name, reason: error.message });
+    }
+  }
+
+  await context.finalize();
+  return { bytes: await pdfDoc.save(), report };
+};
+
+const findFormField = (form, fieldName) => {
+  const field = form.getFields().find((item) => item.getName() === fieldName);
+  if (!field) {
+    throw new Error(`Field "${fieldName}" no longer exists.`);
+  }
+  return field;
+};
+
+// Moves or resizes one widget of a field. Resized text and choice fields get
+// fresh appearances so their text is not stretched.
+export const updateFormFieldWidget = async (
+  bytes,
+  fieldName,
+  widgetIndex,
+  rect,
+  { customFonts } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, { customFonts });
+  const field = findFormField(context.getForm(), fieldName);
+  const widget = field.acroField.getWidgets()[widgetIndex];
+  if (!widget) {
+    throw new Error(`Field "${fieldName}" has no widget ${widgetIndex + 1}.`);
+  }
+  const next = normalizeRectangle(rect);
+  if (next.width < 1 || next.height < 1) {
+    throw new Error('Fields must be at least 1pt wide and tall.');
+  }
+
+  const previous = normalizeRectangle(widget.getRectangle());
+  widget.setRectangle(next);
+  if (previous.width !== next.width || previous.height !== next.height) {
+    field.markAsDirty();
+  }
+  await context.finalize();
+  return pdfDoc.save();
+};
+
+export const renameFormField = async (bytes, fieldName, nextName) => {
+  const partialName = String(nextName ?? '').trim();
+  if (!partialName) {
+    throw new Error('Field names cannot be empty.');
+  }
+  if (partialName.includes('.')) {
+    throw new Error('Field names cannot contain periods.');
+  }
+
+  const pdfDoc = await PDFDocument.load(bytes);
+  const form = pdfDoc.getForm();
+  const field = findFormField(form, fieldName);
+  // Only the last part of a hierarchical name belongs to this field.
+  const partialLength = field.acroField.getPartialName().length;
+  const prefix = fieldName.slice(0, fieldName.length - partialLength);
+  const fullName = `${prefix}${partialName}`;
+  if (fullName === fieldName) return bytes;
+  if (form.getFields().some((item) => item.getName() === fullName)) {
+    throw new Error(`A field named "${fullName}" already exists.`);
+  }
+  field.acroField.setPartialName(partialName);
+  return pdfDoc.save();
+};
+
+export const deleteFormField = async (bytes, fieldName) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const form = pdfDoc.getForm();
+  form.removeField(findFormField(form, fieldName));
+  return pdfDoc.save();
+};
+
+const setFlag = (enabled, enable, disable) => (enabled ? enable() : disable());
+
+// Applies the changed entries of `properties` (see describeFieldProperties);
+// keys a field type does not support are ignored.
+export const updateFormFieldProperties = async (
+  bytes,
+  fieldName,
+  properties,
+  { customFonts } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, { customFonts });
+  const field = findFormField(context.getForm(), fieldName);
+  const has = (key) => Object.prototype.hasOwnProperty.call(properties, key);
+
+  if (has('required')) {
+    setFlag(
+      properties.required,
+      () => field.enableRequired(),
+      () => field.disableRequired()
+    );
+  }
+  if (has('readOnly')) {
+    setFlag(
+      properties.readOnly,
+      () => field.enableReadOnly(),
+      () => field.disableReadOnly()
+    );
+  }
+  if (has('tooltip')) {
+    const tooltip = String(properties.tooltip ?? '').trim();
+    if (tooltip) {
+      field.acroField.dict.set(PDFName.of('TU'), PDFHexString.fromText(tooltip));
+    } else {
+      field.acroField.dict.delete(PDFName.of('TU'));
+    }
+  }
+
+  if (field instanceof PDFTextField) {
+    if (has('maxLength')) {
+      const limit = Number(properties.maxLength) || undefined;
+      const text = field.getText() || '';
+      if (limit && text.length > limit) {
+        throw new Error(`The current value is longer than ${limit} characters.`);
+      }
+      if (!limit && field.isCombed()) {
+        throw new Error('Comb fields need a max length.');
+      }
+      field.setMaxLength(limit);
+    }
+    if (has('multiline')) {
+      if (properties.multiline && field.isCombed()) {
+        throw new Error('Comb fields cannot be multiline or password fields.');
+      }
+      setFlag(
+        properties.multiline,
+        () => field.enableMultiline(),
+        () => field.disableMultiline()
+      );
+    }
+    if (has('alignment')) {
+      field.setAlignment(textAlignments[properties.alignment] ?? TextAlignment.Left);
+    }
+    if (has('fontSize')) {
+      const size = Number(properties.fontSize) || 0;
+      if (size > 0) {
+        field.setFontSize(size);
+      } else {
+        restoreAutoFontSize(field);
+      }
+    }
+  }
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    if (has('options')) {
+      const values = normalizeChoiceOptions(properties.options);
+      const selected = (field.getSelected() || []).filter((value) =>
+        values.includes(value)
+      );
+      field.setOptions(values);
+      if (selected.length) {
+        field.select(selected);
+      } else {
+        field.clear();
+      }
+    }
+  }
+  if (field instanceof PDFDropdown && has('editable')) {
+    setFlag(
+      properties.editable,
+      () => field.enableEditing(),
+      () => field.disableEditing()
+    );
+  }
+  if (field instanceof PDFOptionList && has('multiSelect')) {
+    setFlag(
+      properties.multiSelect,
+      () => field.enableMultiselect(),
+      () => field.disableMultiselect()
+    );
+  }
+
+  if (!(field instanceof PDFSignature)) field.markAsDirty();
+  await context.finalize();
+  return pdfDoc.save();
+};
+
+export const addSignatureToPdf = async (bytes, options) => {
+  if (!dataUrlToBytes(options?.dataUrl)) return bytes;
+  return applyElement(bytes, 'signature', options);
+};
+
+export const addSignatureFieldToPdf = (bytes, options) =>
+  applyElement(bytes, 'signature-field', options);
+
+export const addImageToPdf = (bytes, options) => applyElement(bytes, 'image', options);
+
+const readNumbers = (dict, key) => {
+  const array = dict.lookupMaybe(PDFName.of(key), PDFArray);
+  if (!array) return null;
+  return array.asArray().map((item) => {
+    const value = dict.context.lookup(item);
+    return value instanceof PDFNumber ? value.asNumber() : 0;
+  });
+};
+
+const findWidgetAppearanceRef = (field, widget) => {
+  const { context } = widget.dict;
+  const appearances = widget.dict.lookupMaybe(PDFName.of('AP'), PDFDict);
+  const normal = appearances?.get(PDFName.of('N'));
+  const resolved = normal && context.lookup(normal);
+
+  if (resolved instanceof PDFStream) {
+    return normal instanceof PDFRef ? normal : context.register(resolved);
+  }
+  if (!(resolved instanceof PDFDict)) return null;
+
+  // On/off widgets keep one stream per state; draw the one being shown.
+  const state =
+    widget.getAppearanceState() ||
+    field.acroField.dict.lookupMaybe(PDFName.of('V'), PDFName) ||
+    PDFName.of('Off');
+  const stateRef = resolved.get(state) || resolved.get(PDFName.of('Off'));
+  return stateRef instanceof PDFRef ? stateRef : null;
+};
+
+// Maps the appearance BBox (after its own /Matrix) onto the widget /Rect.
+const appearanceToRectMatrix = (appearance, rect) => {
+  const [x1, y1, x2, y2] = readNumbers(appearance.dict, 'BBox') || [
+    0,
+    0,
+    rect.width,
+    rect.height
+  ];
+  const [a, b, c, d, e, f] = readNumbers(appearance.dict, 'Matrix') || [1, 0, 0, 1, 0, 0];
+  const corners = [
+    [x1, y1],
+    [x2, y1],
+    [x1, y2],
+    [x2, y2]
+  ].map(([px, py]) => [a * px + c * py + e, b * px + d * py + f]);
+  const xs = corners.map(([px]) => px);
+  const ys = corners.map(([, py]) => py);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const scaleX = rect.width / (Math.max(...xs) - minX || 1);
+  const scaleY = rect.height / (Math.max(...ys) - minY || 1);
+  return [scaleX, 0, 0, scaleY, rect.x - minX * scaleX, rect.y - minY * scaleY];
+};
+
+const findWidgetPage = (pdfDoc, widget) => {
+  const pageRef = widget.P();
+  const page = pdfDoc.getPages().find((item) => item.ref === pageRef);
+  if (page) return page;
+  const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+  return widgetRef ? pdfDoc.findPageForAnnotationRef(widgetRef) : undefined;
+};
+
+const flattenField = async (context, field) => {
+  const { pdfDoc } = context;
+  if (field.needsAppearancesUpdate()) {
+    const font =
+      (await context.resolveFieldFont(field)) ||
+      (await context.getFont(StandardFonts.Helvetica));
+    field.defaultUpdateAppearances(font);
+  }
+
+  // Everything that can fail happens before the page is touched, so a field
+  // is either drawn and removed or left exactly as it was.
+  const draws = [];
+  for (const widget of field.acroField.getWidgets()) {
+    if (widget.hasFlag(AnnotationFlags.Hidden)) continue;
+    const page = findWidgetPage(pdfDoc, widget);
+    if (!page) continue;
+    const appearanceRef = findWidgetAppearanceRef(field, widget);
+    if (!appearanceRef) continue;
+
+    const appearance = pdfDoc.context.lookup(appearanceRef, PDFStream);
+    const matrix = appearanceToRectMatrix(appearance, widget.getRectangle());
+    draws.push({ page, appearanceRef, matrix });
+  }
+
+  // pdf-lib unlinks widgets page by page and can stop halfway, so put the
+  // annotation lists back if it does.
+  const annotLists = pdfDoc.getPages().flatMap((page) => {
+    const annots = page.node.Annots();
+    return annots ? [[annots, annots.asArray().slice()]] : [];
+  });
+  try {
+    context.getForm().removeField(field);
+  } catch (error) {
+    annotLists.forEach(([annots, refs]) => {
+      while (annots.size()) annots.remove(0);
+      refs.forEach((ref) => annots.push(ref));
+    });
+    throw error;
+  }
+
+  draws.forEach(({ page, appearanceRef, matrix }) => {
+    const xObjectKey = page.node.newXObject('FlatWidget', appearanceRef);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(...matrix),
+      drawObject(xObjectKey),
+      popGraphicsState()
+    );
+  });
+};
+
+// Burns field appearances into page content. `fieldNames` limits the
+// flattening to a subset; removing the AcroForm only applies when every
+// field was flattened.
+export const flattenFormFields = async (
+  bytes,
+  { fieldNames, removeAcroForm = false, customFonts } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const context = createDocumentContext(pdfDoc, { customFonts });
+  const form = context.getForm();
+  const wanted = fieldNames ? new Set(fieldNames) : null;
+  const results = [];
+
+  for (const field of form.getFields()) {
+    const name = field.getName();
+    if (wanted && !wanted.has(name)) continue;
+    try {
+      await flattenField(context, field);
+      results.push({ id: name, ok: true });
+    } catch (error) {
+      results.push({
+        id: name,
+        ok: false,
+        error: error?.message || 'Failed to flatten field.'
+      });
+    }
+  }
+
+  if (removeAcroForm && form.getFields().length === 0) {
+    pdfDoc.catalog.delete(PDFName.of('AcroForm'));
+  }
+
+  return { bytes: await pdfDoc.save(), results };
+};
+
+const assertPageIndex = (pdfDoc, pageIndex) => {
+  const pageCount = pdfDoc.getPageCount();
+  if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= pageCount) {
+    throw new Error(`Page ${pageIndex + 1} does not exist.`);
+  }
+};
+
+const pageAnnotRefs = (page) => {
+  const annots = page.node.Annots();
+  const refs = new Set();
+  if (!annots) return refs;
+  for (let i = 0; i < annots.size(); i += 1) {
+    const ref = annots.get(i);
+    if (ref instanceof PDFRef) refs.add(ref);
+  }
+  return refs;
+};
+
+// Drops the widgets rejected by `keepWidget` from a field tree. Returns false
+// when no widget is left under the node.
+const pruneFieldTree = (context, ref, keepWidget) => {
+  const node = context.lookup(ref);
+  if (!(node instanceof PDFDict)) return false;
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (!kids) return keepWidget(ref);
+  for (let i = kids.size() - 1; i >= 0; i -= 1) {
+    if (!pruneFieldTree(context, kids.get(i), keepWidget)) kids.remove(i);
+  }
+  return kids.size() > 0;
+};
+
+const pruneFormFields = (pdfDoc, keepWidget) => {
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const fields = acroForm?.lookupMaybe(PDFName.of('Fields'), PDFArray);
+  if (!fields) return;
+  for (let i = fields.size() - 1; i >= 0; i -= 1) {
+    if (!pruneFieldTree(pdfDoc.context, fields.get(i), keepWidget)) fields.remove(i);
+  }
+};
+
+const findRootField = (context, ref) => {
+  let current = ref;
+  let parent = context.lookup(current, PDFDict).get(PDFName.of('Parent'));
+  while (parent instanceof PDFRef) {
+    current = parent;
+    parent = context.lookup(current, PDFDict).get(PDFName.of('Parent'));
+  }
+  return current;
+};
+
+const mergeFieldResources = (pdfDoc, sourceDoc) => {
+  const sourceFonts = sourceDoc.catalog
+    .lookupMaybe(PDFName.of('AcroForm'), PDFDict)
+    ?.lookupMaybe(PDFName.of('DR'), PDFDict)
+    ?.lookupMaybe(PDFName.of('Font'), PDFDict);
+  if (!sourceFonts) return;
+
+  const { acroForm } = pdfDoc.getForm();
+  const resources =
+    acroForm.dict.lookupMaybe(PDFName.of('DR'), PDFDict) || pdfDoc.context.obj({});
+  const fonts =
+    resources.lookupMaybe(PDFName.of('Font'), PDFDict) || pdfDoc.context.obj({});
+  const copier = PDFObjectCopier.for(sourceDoc.context, pdfDoc.context);
+  sourceFonts.entries().forEach(([name, font]) => {
+    if (!fonts.has(name)) fonts.set(name, copier.copy(font));
+  });
+  resources.set(PDFName.of('Font'), fonts);
+  acroForm.dict.set(PDFName.of('DR'), resources);
+};
+
+const uniqueFieldName = (name, taken) => {
+  let suffix = 2;
+  while (taken.has(`${name}_${suffix}`)) suffix += 1;
+  return `${name}_${suffix}`;
+};
+
+// Copies pages together with the form fields whose widgets sit on them.
+// `sourceDoc` is modified, so pass a throwaway copy. Copied fields that clash
+// with an existing name get a numeric suffix and are listed in `renamed`.
+const copyPagesWithFields = async (pdfDoc, sourceDoc, pageIndices) => {
+  const sourcePages = sourceDoc.getPages();
+  const annotRefs = new Set(
+    pageIndices.flatMap((index) => Array.from(pageAnnotRefs(sourcePages[index])))
+  );
+  pruneFormFields(sourceDoc, (ref) => annotRefs.has(ref));
+  // /P would drag the source page along a second time; it is restored below.
+  const pointsToPage = new Set();
+  annotRefs.forEach((ref) => {
+    const annot = sourceDoc.context.lookup(ref);
+    if (annot instanceof PDFDict && annot.has(PDFName.of('P'))) {
+      annot.delete(PDFName.of('P'));
+      pointsToPage.add(ref);
+    }
+  });
+
+  const pages = await pdfDoc.copyPages(sourceDoc, pageIndices);
+  const roots = new Set();
+  pages.forEach((page, index) => {
+    const copiedRefs = Array.from(pageAnnotRefs(page));
+    const originalRefs = Array.from(pageAnnotRefs(sourcePages[pageIndices[index]]));
+    copiedRefs.forEach((ref, refIndex) => {
+      const annot = pdfDoc.context.lookup(ref, PDFDict);
+      if (pointsToPage.has(originalRefs[refIndex])) annot.set(PDFName.of('P'), page.ref);
+      if (annot.get(PDFName.of('Subtype')) === PDFName.of('Widget')) {
+        roots.add(findRootField(pdfDoc.context, ref));
+      }
+    });
+  });
+
+  const renamed = [];
+  if (roots.size) {
+    mergeFieldResources(pdfDoc, sourceDoc);
+    const { acroForm } = pdfDoc.getForm();
+    const taken = new Set(acroForm.getFields().map(([field]) => field.getPartialName()));
+    roots.forEach((ref) => {
+      const root = pdfDoc.context.lookup(ref, PDFDict);
+      const name = root
+        .lookupMaybe(PDFName.of('T'), PDFString, PDFHexString)
+        ?.decodeText();
+      if (name && taken.has(name)) {
+        const nextName = uniqueFieldName(name, taken);
+        root.set(PDFName.of('T'), PDFHexString.fromText(nextName));
+        renamed.push({ from: name, to: nextName });
+        taken.add(nextName);
+      } else if (name) {
+        taken.add(name);
+      }
+      acroForm.addField(ref);
+    });
+  }
+
+  return { pages, renamed };
+};
+
+export const insertBlankPage = async (bytes, pageIndex, size = LETTER_PAGE) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const index = Math.min(Math.max(pageIndex, 0), pdfDoc.getPageCount());
+  pdfDoc.insertPage(index, size);
+  return pdfDoc.save();
+};
+
+export const deletePage = async (bytes, pageIndex) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  assertPageIndex(pdfDoc, pageIndex);
+  if (pdfDoc.getPageCount() === 1) {
+    throw new Error('A PDF needs at least one page.');
+  }
+  const annotRefs = pageAnnotRefs(pdfDoc.getPage(pageIndex));
+  pruneFormFields(pdfDoc, (ref) => !annotRefs.has(ref));
+  pdfDoc.removePage(pageIndex);
+  return pdfDoc.save();
+};
+
+export const rotatePage = async (bytes, pageIndex, angle = 90) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  assertPageIndex(pdfDoc, pageIndex);
+  const page = pdfDoc.getPage(pageIndex);
+  const current = page.getRotation().angle;
+  page.setRotation(degrees((((current + angle) % 360) + 360) % 360));
+  return pdfDoc.save();
+};
+
+export const duplicatePage = async (bytes, pageIndex) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  assertPageIndex(pdfDoc, pageIndex);
+  const sourceDoc = await PDFDocument.load(bytes);
+  const { pages } = await copyPagesWithFields(pdfDoc, sourceDoc, [pageIndex]);
+  pdfDoc.insertPage(pageIndex + 1, pages[0]);
+  return pdfDoc.save();
+};
+
+export const getPdfPageCount = async (bytes) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  return pdfDoc.getPageCount();
+};
+
+// Turns "1-3, 5, 9-" into zero-based page indices. Blank input selects every
+// page; repeated pages are only kept once.
+export const parsePageRanges = (input, pageCount) => {
+  const text = String(input || '').trim();
+  if (!text) return Array.from({ length: pageCount }, (_, index) => index);
+
+  const indices = [];
+  text.split(',').forEach((part) => {
+    const token = part.trim();
+    if (!token) return;
+    const match = token.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!match || (!match[1] && !match[3]) || (!match[2] && match[3] && match[1])) {
+      throw new Error(`"${token}" is not a valid page range.`);
+    }
+    const start = match[1] ? Number(match[1]) : 1;
+    const end = match[2] ? (match[3] ? Number(match[3]) : pageCount) : start;
+    if (start > end) {
+      throw new Error(`"${token}" is not a valid page range.`);
+    }
+    if (start < 1 || end > pageCount) {
+      throw new Error(`"${token}" is outside pages 1-${pageCount}.`);
+    }
+    for (let page = start; page <= end; page += 1) {
+      if (!indices.includes(page - 1)) indices.push(page - 1);
+    }
+  });
+
+  if (!indices.length) throw new Error('Choose at least one page.');
+  return indices;
+};
+
+export const insertPagesFromPdf = async (
+  bytes,
+  sourceBytes,
+  { pageIndices, position }
+) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const sourceDoc = await PDFDocument.load(sourceBytes);
+  if (!pageIndices?.length) throw new Error('Choose at least one page.');
+  pageIndices.forEach((index) => assertPageIndex(sourceDoc, index));
+
+  const { pages, renamed } = await copyPagesWithFields(pdfDoc, sourceDoc, pageIndices);
+  const start = Math.min(Math.max(position, 0), pdfDoc.getPageCount());
+  pages.forEach((page, offset) => pdfDoc.insertPage(start + offset, page));
+  return { bytes: await pdfDoc.save(), renamed, pageCount: pages.length };
+};
+
+export const movePage = async (bytes, fromIndex, toIndex) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  assertPageIndex(pdfDoc, fromIndex);
+  assertPageIndex(pdfDoc, toIndex);
+  if (fromIndex === toIndex) return bytes;
+  const page = pdfDoc.getPage(fromIndex);
+  pdfDoc.removePage(fromIndex);
+  pdfDoc.insertPage(toIndex, page);
+  return pdfDoc.save();
+};
+
+export const extractPages = async (bytes, pageIndices) => {
+  const sourceDoc = await PDFDocument.load(bytes);
+  if (!pageIndices?.length) throw new Error('Choose at least one page.');
+  pageIndices.forEach((index) => assertPageIndex(sourceDoc, index));
+
+  const pdfDoc = await PDFDocument.create();
+  const { pages } = await copyPagesWithFields(pdfDoc, sourceDoc, pageIndices);
+  pages.forEach((page) => pdfDoc.addPage(page));
+  return pdfDoc.save();
+};
+
+const lookupNameTree = (node, key) => {
+  if (!(node instanceof PDFDict)) return undefined;
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const name = names.lookup(i);
+      const isText = name instanceof PDFString || name instanceof PDFHexString;
+      if (isText && name.decodeText() === key) return names.lookup(i + 1);
+    }
+  }
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (!kids) return undefined;
+  for (let i = 0; i < kids.size(); i += 1) {
+    const found = lookupNameTree(kids.lookup(i), key);
+    if (found) return found;
+  }
+  return undefined;
+};
+
+const resolveDestinationPage = (pdfDoc, destination) => {
+  let target = pdfDoc.context.lookup(destination);
+  if (target instanceof PDFName) {
+    target = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict)?.lookup(target);
+  } else if (target instanceof PDFString || target instanceof PDFHexString) {
+    const tree = pdfDoc.catalog
+      .lookupMaybe(PDFName.of('Names'), PDFDict)
+      ?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    target = lookupNameTree(tree, target.decodeText());
+  }
+  if (target instanceof PDFDict) target = target.lookup(PDFName.of('D'));
+  if (!(target instanceof PDFArray)) return -1;
+  const pageRef = target.get(0);
+  return pdfDoc.getPages().findIndex((page) => page.ref === pageRef);
+};
+
+// Top-level outline entries that point at a page of this document.
+export const getBookmarks = async (bytes) => {
+  const pdfDoc = await PDFDocument.load(bytes);
+  const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  const bookmarks = [];
+  let item = outlines?.lookupMaybe(PDFName.of('First'), PDFDict);
+  const visited = new Set();
+
+  while (item && !visited.has(item)) {
+    visited.add(item);
+    const title = item.lookupMaybe(PDFName.of('Title'), PDFString, PDFHexString);
+    const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+    const destination =
+      item.get(PDFName.of('Dest')) ||
+      (action?.get(PDFName.of('S')) === PDFName.of('GoTo')
+        ? action.get(PDFName.of('D'))
+        : undefined);
+    const pageIndex = destination ? resolveDestinationPage(pdfDoc, destination) : -1;
+    if (pageIndex >= 0) {
+      bookmarks.push({ title: title?.decodeText() || '', pageIndex });
+    }
+    item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+  }
+
+  return bookmarks;
+};
+
+// Groups pages into output files: one per line of ranges, one per `every`
+// pages, or one per top-level bookmark.
+export const planPageSplit = async (bytes, { mode, ranges, every }) => {
+  const pageCount = await getPdfPageCount(bytes);
+
+  if (mode === 'every') {
+    const size = Math.floor(Number(every));
+    if (!size || size < 1) throw new Error('Enter how many pages go in each file.');
+    const parts = [];
+    for (let start = 0; start < pageCount; start += size) {
+      const end = Math.min(start + size, pageCount);
+      parts.push({
+        label: `part-${parts.length + 1}`,
+        pageIndices: Array.from({ length: end - start }, (_, index) => start + index)
+      });
+    }
+    return parts;
+  }
+
+  if (mode === 'bookmarks') {
+    const starts = [];
+    (await getBookmarks(bytes))
+      .sort((a, b) => a.pageIndex - b.pageIndex)
+      .forEach((bookmark) => {
+        if (!starts.some((item) => item.pageIndex === bookmark.pageIndex)) {
+          starts.push(bookmark);
+        }
+      });
+    if (!starts.length) throw new Error('This PDF has no bookmarks that point to pages.');
+    if (starts[0].pageIndex > 0) starts.unshift({ title: 'start', pageIndex: 0 });
+    return starts.map((bookmark, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1].pageIndex : pageCount;
+      return {
+        label: bookmark.title || `part-${index + 1}`,
+        pageIndices: Array.from(
+          { length: end - bookmark.pageIndex },
+          (_, offset) => bookmark.pageIndex + offset
+        )
+      };
+    });
+  }
+
+  const lines = String(ranges || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (!lines.length) throw new Error('Enter at least one page range.');
+  return lines.map((line) => ({
+    label: `pages-${line.replace(/\s+/g, '').replace(/,/g, '_')}`,
+    pageIndices: parsePageRanges(line, pageCount)
+  }));
+};
@@ -0,0 +1,1242 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFDropdown,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFOptionList,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFTextField,
+  StandardFontEmbedder,
+  StandardFonts
+} from 'pdf-lib';
+import {
+  IDENTITY_MATRIX,
+  boundsOfPoints,
+  bytesToBinary,
+  createOperation,
+  invertMatrix,
+  multiplyMatrices,
+  parseContentStream,
+  readStreamBytes,
+  serializeOperations,
+  transformBounds,
+  transformPoint
+} from './contentStream.js';
+
+const PATH_OPERATORS = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PAINT_OPERATORS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+const MAX_FORM_DEPTH = 12;
+
+// Glyph boxes are estimated from the font size, so they reach a little below
+// the baseline for descenders and up to the cap height.
+const GLYPH_DESCENT = -0.25;
+const GLYPH_ASCENT = 0.9;
+const MIN_TERM_LENGTH = 3;
+
+const intersects = (box, area) =>
+  box.x1 < area.x2 && box.x2 > area.x1 && box.y1 < area.y2 && box.y2 > area.y1;
+
+// Glyphs count as redacted once a fifth of their box is covered, so a box
+// drawn loosely around a word does not clip its neighbours.
+const coversGlyph = (box, area) => {
+  const width = Math.min(box.x2, area.x2) - Math.max(box.x1, area.x1);
+  const height = Math.min(box.y2, area.y2) - Math.max(box.y1, area.y1);
+  if (width <= 0 || height <= 0) return false;
+  const glyphArea = (box.x2 - box.x1) * (box.y2 - box.y1);
+  return glyphArea <= 0 || width * height >= glyphArea * 0.2;
+};
+
+const hexToComponents = (hex) => {
+  const clean = (hex || '#000000').replace('#', '');
+  if (clean.length !== 6) return [0, 0, 0];
+  return [0, 2, 4].map((offset) => parseInt(clean.slice(offset, offset + 2), 16) / 255);
+};
+
+const standardWidthCache = new Map();
+
+const standardFontName = (baseFont) => {
+  const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+  if (Object.values(StandardFonts).includes(name)) return name;
+  const bold = /bold|black|heavy/i.test(name);
+  const italic = /italic|oblique/i.test(name);
+  if (/symbol/i.test(name)) return StandardFonts.Symbol;
+  if (/dingbat/i.test(name)) return StandardFonts.ZapfDingbats;
+  const style = bold || italic ? `-${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}` : '';
+  if (/courier|mono/i.test(name)) return `Courier${style}`;
+  if (/times|serif|roman|georgia|garamond/i.test(name) && !/sans/i.test(name)) {
+    if (bold && italic) return StandardFonts.TimesRomanBoldItalic;
+    if (bold) return StandardFonts.TimesRomanBold;
+    if (italic) return StandardFonts.TimesRomanItalic;
+    return StandardFonts.TimesRoman;
+  }
+  return `Helvetica${style}`;
+};
+
+// Widths (per 1000 units) of a standard font by character code.
+const standardFontWidths = (fontName) => {
+  if (!standardWidthCache.has(fontName)) {
+    const embedder = StandardFontEmbedder.for(fontName);
+    const widths = new Map();
+    embedder.encoding.supportedCodePoints.forEach((codePoint) => {
+      const glyph = embedder.encoding.encodeUnicodeCodePoint(codePoint);
+      widths.set(glyph.code, embedder.font.getWidthOfGlyph(glyph.name) || 0);
+    });
+    standardWidthCache.set(fontName, widths);
+  }
+  return standardWidthCache.get(fontName);
+};
+
+const decodeUtf16 = (hex) => {
+  let text = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  if (hex.length === 2) text = String.fromCharCode(parseInt(hex, 16));
+  return text;
+};
+
+const parseToUnicode = (stream) => {
+  const map = new Map();
+  const source = bytesToBinary(readStreamBytes(stream));
+
+  for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const pairs = block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g);
+    for (const [, code, text] of pairs) map.set(parseInt(code, 16), decodeUtf16(text));
+  }
+
+  const rangePattern =
+    /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+  for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block.matchAll(rangePattern)) {
+      const first = parseInt(low, 16);
+      const last = Math.min(parseInt(high, 16), first + 0xffff);
+      if (target.startsWith('[')) {
+        const values = [...target.matchAll(/<([0-9a-fA-F]*)>/g)];
+        values.forEach(([, text], index) => map.set(first + index, decodeUtf16(text)));
+        continue;
+      }
+      const base = decodeUtf16(target.slice(1, -1));
+      const prefix = base.slice(0, -1);
+      const lastChar = base.charCodeAt(base.length - 1) || 0;
+      for (let code = first; code <= last; code += 1) {
+        map.set(code, prefix + String.fromCharCode(lastChar + code - first));
+      }
+    }
+  }
+
+  return map;
+};
+
+const lookupNumber = (dict, key, fallback) => {
+  const value = dict?.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+};
+
+const readCidWidths = (descendant) => {
+  const widths = new Map();
+  const list = descendant.lookupMaybe(PDFName.of('W'), PDFArray);
+  if (!list) return widths;
+  const items = list.asArray().map((item) => descendant.context.lookup(item));
+  for (let i = 0; i < items.length; ) {
+    const first = items[i].asNumber();
+    const next = items[i + 1];
+    if (next instanceof PDFArray) {
+      next.asArray().forEach((width, index) => {
+        widths.set(first + index, descendant.context.lookup(width).asNumber());
+      });
+      i += 2;
+    } else {
+      const last = next.asNumber();
+      const width = items[i + 2].asNumber();
+      for (let cid = first; cid <= last && cid - first < 0x10000; cid += 1) {
+        widths.set(cid, width);
+      }
+      i += 3;
+    }
+  }
+  return widths;
+};
+
+// Everything the text walker needs from a font: code length, glyph widths in
+// text space units and a best-effort Unicode mapping for scrubbing.
+const loadFontMetrics = (fontDict) => {
+  const subtype = fontDict.lookupMaybe(PDFName.of('Subtype'), PDFName)?.decodeText();
+  const baseFont =
+    fontDict.lookupMaybe(PDFName.of('BaseFont'), PDFName)?.decodeText() || '';
+  const toUnicodeStream = fontDict.lookupMaybe(PDFName.of('ToUnicode'), PDFStream);
+  let toUnicode = null;
+  try {
+    toUnicode = toUnicodeStream ? parseToUnicode(toUnicodeStream) : null;
+  } catch {
+    toUnicode = null;
+  }
+
+  if (subtype === 'Type0') {
+    const descendant = fontDict
+      .lookupMaybe(PDFName.of('DescendantFonts'), PDFArray)
+      ?.lookup(0, PDFDict);
+    const widths = descendant ? readCidWidths(descendant) : new Map();
+    const defaultWidth = lookupNumber(descendant, 'DW', 1000);
+    return {
+      bytesPerCode: 2,
+      widthOf: (code) => (widths.get(code) ?? defaultWidth) / 1000,
+      textOf: (code) => toUnicode?.get(code) ?? ''
+    };
+  }
+
+  const fontMatrix = fontDict.lookupMaybe(PDFName.of('FontMatrix'), PDFArray);
+  const scale = fontMatrix ? fontMatrix.lookup(0, PDFNumber).asNumber() : 0.001;
+  const firstChar = lookupNumber(fontDict, 'FirstChar', 0);
+  const widths = fontDict.lookupMaybe(PDFName.of('Widths'), PDFArray);
+  const descriptor = fontDict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  const missingWidth = lookupNumber(descriptor, 'MissingWidth', 0);
+  const fallback = standardFontWidths(standardFontName(baseFont));
+
+  return {
+    bytesPerCode: 1,
+    widthOf: (code) => {
+      const index = code - firstChar;
+      if (widths && index >= 0 && index < widths.size()) {
+        const width = fontDict.context.lookup(widths.get(index));
+        if (width instanceof PDFNumber) return width.asNumber() * scale;
+      }
+      if (widths && missingWidth) return missingWidth * scale;
+      return (fallback.get(code) ?? 500) / 1000;
+    },
+    textOf: (code) => toUnicode?.get(code) ?? String.fromCharCode(code)
+  };
+};
+
+const resourceEntry = (resources, category, name, ...types) =>
+  resources
+    ?.lookupMaybe(PDFName.of(category), PDFDict)
+    ?.lookupMaybe(PDFName.of(name), ...types);
+
+const resourceRef = (resources, category, name) => {
+  const ref = resources
+    ?.lookupMaybe(PDFName.of(category), PDFDict)
+    ?.get(PDFName.of(name));
+  return ref instanceof PDFRef ? ref : null;
+};
+
+// Copies a stream dictionary for a rewritten, Flate-encoded body. Callers
+// assign it to the original's ref, so the old body is no longer in the file
+// and every use of the object shows the redacted version.
+const replaceStream = (context, stream, bytes) => {
+  const dict = stream.dict.clone(context);
+  dict.delete(PDFName.of('Length'));
+  dict.delete(PDFName.of('DecodeParms'));
+  dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  return PDFRawStream.of(dict, context.flateStream(bytes).contents);
+};
+
+// Stands in for an image that cannot be edited, so it is gone wherever it
+// was drawn.
+const emptyForm = (context) =>
+  context.flateStream('', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 1, 1] });
+
+// Pixel rectangles of regions given in image space (0..1, y up).
+const pixelRegions = (regions, width, height) =>
+  regions
+    .map(({ x1, y1, x2, y2 }) => ({
+      left: Math.max(Math.floor(x1 * width), 0),
+      top: Math.max(Math.floor((1 - y2) * height), 0),
+      right: Math.min(Math.ceil(x2 * width), width),
+      bottom: Math.min(Math.ceil((1 - y1) * height), height)
+    }))
+    .filter(({ left, top, right, bottom }) => right > left && bottom > top);
+
+const streamFilters = (context, dict) => {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  const filters = filter instanceof PDFArray ? filter.asArray() : filter ? [filter] : [];
+  return filters.map((item) => context.lookup(item)?.toString());
+};
+
+// Blanks the covered pixels of simple 8-bit images. Anything fancier
+// (predictors, masks, other encodings) returns null.
+const redactImagePixels = (context, stream, regions) => {
+  const { dict } = stream;
+  const decodable = streamFilters(context, dict).every(
+    (filter) => filter === '/FlateDecode'
+  );
+  const predictor = lookupNumber(
+    dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict),
+    'Predictor',
+    1
+  );
+  if (
+    !decodable ||
+    predictor > 1 ||
+    lookupNumber(dict, 'BitsPerComponent', 0) !== 8 ||
+    dict.lookup(PDFName.of('ImageMask'))?.toString() === 'true'
+  ) {
+    return null;
+  }
+
+  const width = lookupNumber(dict, 'Width', 0);
+  const height = lookupNumber(dict, 'Height', 0);
+  const data = new Uint8Array(readStreamBytes(stream));
+  const components = data.length / (width * height);
+  if (!width || !height || ![1, 3, 4].includes(components)) return null;
+
+  const blank = components === 4 ? [0, 0, 0, 255] : new Array(components).fill(0);
+  pixelRegions(regions, width, height).forEach(({ left, top, right, bottom }) => {
+    for (let row = top; row < bottom; row += 1) {
+      for (let column = left; column < right; column += 1) {
+        data.set(blank, (row * width + column) * components);
+      }
+    }
+  });
+
+  return replaceStream(context, stream, data);
+};
+
+const JPEG_COLOR_SPACES = ['/DeviceGray', '/DeviceRGB', '/DeviceCMYK'];
+
+// JPEGs, such as most scans, are decoded by the browser, blanked and encoded
+// again. Colour spaces the browser would get wrong return null.
+const redactJpegPixels = async (context, stream, regions) => {
+  const { dict } = stream;
+  const filters = streamFilters(context, dict);
+  const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+  const iccBased =
+    colorSpace instanceof PDFArray && colorSpace.lookup(0)?.toString() === '/ICCBased';
+  if (
+    filters.length !== 1 ||
+    filters[0] !== '/DCTDecode' ||
+    dict.has(PDFName.of('Decode')) ||
+    !(iccBased || JPEG_COLOR_SPACES.includes(colorSpace?.toString())) ||
+    typeof createImageBitmap !== 'function' ||
+    typeof OffscreenCanvas !== 'function'
+  ) {
+    return null;
+  }
+
+  let bitmap;
+  try {
+    const blob = new Blob([stream.getContents()], { type: 'image/jpeg' });
+    bitmap = await createImageBitmap(blob);
+  } catch {
+    return null;
+  }
+  const { width, height } = bitmap;
+  const canvas = new OffscreenCanvas(width, height);
+  const canvasContext = canvas.getContext('2d');
+  canvasContext.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  canvasContext.fillStyle = '#000000';
+  pixelRegions(regions, width, height).forEach(({ left, top, right, bottom }) => {
+    canvasContext.fillRect(left, top, right - left, bottom - top);
+  });
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+
+  const copy = dict.clone(context);
+  copy.delete(PDFName.of('Length'));
+  copy.delete(PDFName.of('DecodeParms'));
+  copy.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+  copy.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+  copy.set(PDFName.of('Width'), PDFNumber.of(width));
+  copy.set(PDFName.of('Height'), PDFNumber.of(height));
+  return PDFRawStream.of(copy, new Uint8Array(await blob.arrayBuffer()));
+};
+
+// Images are collected while the content is walked and edited afterwards,
+// once per image with every covered region, so decoding can be async.
+const redactImages = async (context, imageJobs, report) => {
+  for (const [ref, { stream, regions }] of imageJobs) {
+    if (!regions.length) continue;
+    const redacted =
+      redactImagePixels(context, stream, regions) ||
+      (await redactJpegPixels(context, stream, regions));
+    if (redacted) {
+      context.assign(ref, redacted);
+      report.imagesEdited += 1;
+    } else {
+      context.assign(ref, emptyForm(context));
+      report.imagesRemoved += 1;
+    }
+  }
+};
+
+// Cuts `area` out of `box`, leaving up to four pieces.
+const subtractBox = (box, area) => {
+  if (!intersects(box, area)) return [box];
+  const pieces = [];
+  if (area.y1 > box.y1) pieces.push({ ...box, y2: area.y1 });
+  if (area.y2 < box.y2) pieces.push({ ...box, y1: area.y2 });
+  const y1 = Math.max(box.y1, area.y1);
+  const y2 = Math.min(box.y2, area.y2);
+  if (area.x1 > box.x1) pieces.push({ x1: box.x1, y1, x2: area.x1, y2 });
+  if (area.x2 < box.x2) pieces.push({ x1: area.x2, y1, x2: box.x2, y2 });
+  return pieces;
+};
+
+// Parameter range of a segment that lies inside `area`, or null.
+const segmentInside = (from, to, area) => {
+  let enter = 0;
+  let exit = 1;
+  const edges = [
+    [-(to.x - from.x), from.x - area.x1],
+    [to.x - from.x, area.x2 - from.x],
+    [-(to.y - from.y), from.y - area.y1],
+    [to.y - from.y, area.y2 - from.y]
+  ];
+  for (const [direction, distance] of edges) {
+    if (!direction) {
+      if (distance < 0) return null;
+    } else if (direction < 0) {
+      enter = Math.max(enter, distance / direction);
+    } else {
+      exit = Math.min(exit, distance / direction);
+    }
+  }
+  return enter < exit ? [enter, exit] : null;
+};
+
+const subtractRange = (ranges, [start, end]) =>
+  ranges.flatMap(([from, to]) =>
+    [
+      [from, Math.min(to, start)],
+      [Math.max(from, end), to]
+    ].filter(([a, b]) => b - a > 1e-6)
+  );
+
+const FILL_OPERATORS = new Set(['f', 'F', 'f*']);
+
+const rectangleOf = (points) => {
+  const [first] = points;
+  const last = points[points.length - 1];
+  const closed = points.length === 5 && first.x === last.x && first.y === last.y;
+  const corners = closed ? points.slice(0, 4) : points;
+  if (corners.length !== 4) return null;
+  const axisAligned = corners.every((point, index) => {
+    const next = corners[(index + 1) % 4];
+    return (point.x === next.x) !== (point.y === next.y);
+  });
+  return axisAligned ? boundsOfPoints(corners) : null;
+};
+
+// The boxes of a path made only of axis-aligned rectangles, drawn with `re`
+// or as four lines, or null for any other shape.
+const pathRectangles = (pathOperations) => {
+  const boxes = [];
+  let points = [];
+  const endSubpath = () => {
+    const box = points.length ? rectangleOf(points) : true;
+    if (box && box !== true) boxes.push(box);
+    points = [];
+    return Boolean(box);
+  };
+  for (const { operator, operands } of pathOperations) {
+    const [x, y, width, height] = operands.map((operand) => operand.value);
+    if (operator === 're') {
+      if (!endSubpath()) return null;
+      boxes.push(boundsOfPoints([{ x, y }, { x: x + width, y: y + height }]));
+    } else if (operator === 'm') {
+      if (!endSubpath()) return null;
+      points = [{ x, y }];
+    } else if (operator === 'l' && points.length) {
+      points.push({ x, y });
+    } else if (operator !== 'h' || !endSubpath()) {
+      return null;
+    }
+  }
+  return endSubpath() ? boxes : null;
+};
+
+// Cuts the areas out of filled rectangles (backgrounds, table cells) and
+// stroked straight lines (rules), so only what lies under an area goes.
+// Other paths return null and are removed whole.
+const trimPath = (pathOperations, operator, ctm, areas) => {
+  const operators = pathOperations.map((operation) => operation.operator);
+  const values = (operation) => operation.operands.map((operand) => operand.value);
+
+  const rectangles = FILL_OPERATORS.has(operator) ? pathRectangles(pathOperations) : null;
+  if (rectangles && !ctm[1] && !ctm[2]) {
+    const inverse = invertMatrix(ctm);
+    if (!inverse) return null;
+    return rectangles.flatMap((rectangle) => {
+      const box = transformBounds(ctm, rectangle);
+      return areas
+        .reduce((boxes, area) => boxes.flatMap((item) => subtractBox(item, area)), [box])
+        .map((piece) => {
+          const { x1, y1, x2, y2 } = transformBounds(inverse, piece);
+          return createOperation('re', numbers([x1, y1, x2 - x1, y2 - y1]));
+        });
+    });
+  }
+
+  if (operator === 'S' && operators.every((item) => item === 'm' || item === 'l')) {
+    const trimmed = [];
+    let current = null;
+    pathOperations.forEach((operation) => {
+      const [x, y] = values(operation);
+      const point = { x, y };
+      if (operation.operator === 'l' && current) {
+        const from = transformPoint(ctm, current.x, current.y);
+        const to = transformPoint(ctm, x, y);
+        const origin = current;
+        const at = (t) => [origin.x + (x - origin.x) * t, origin.y + (y - origin.y) * t];
+        areas
+          .map((area) => segmentInside(from, to, area))
+          .filter(Boolean)
+          .reduce(subtractRange, [[0, 1]])
+          .forEach(([start, end]) => {
+            trimmed.push(createOperation('m', numbers(at(start))));
+            trimmed.push(createOperation('l', numbers(at(end))));
+          });
+      }
+      current = point;
+    });
+    return trimmed;
+  }
+
+  return null;
+};
+
+const createTextState = () => ({
+  font: null,
+  fontSize: 0,
+  charSpacing: 0,
+  wordSpacing: 0,
+  horizontalScale: 1,
+  leading: 0,
+  rise: 0
+});
+
+// Walks one content stream, dropping text, paths and images that fall under
+// the redaction areas (given in the stream's parent user space via `matrix`).
+// With `textOnly` set, only glyphs are removed.
+const redactOperations = (operations, scope) => {
+  const { areas, resources, context, report, depth, textOnly, imageJobs } = scope;
+  const output = [];
+  const stack = [];
+  let ctm = scope.matrix;
+  let text = createTextState();
+  let textMatrix = IDENTITY_MATRIX;
+  let lineMatrix = IDENTITY_MATRIX;
+  let pathOperations = [];
+  let pathPoints = [];
+  let clipping = false;
+  let changed = false;
+
+  const fontCache = scope.fontCache;
+  const touchesArea = (box) => areas.some((area) => intersects(box, area));
+
+  const addPathPoint = (x, y) => pathPoints.push(transformPoint(ctm, x, y));
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiplyMatrices([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  // Lays out a Tj/TJ operand, returning the rewritten TJ items when any
+  // glyph was removed, or null when the operation can stay as it is.
+  const showText = (items) => {
+    const { font, fontSize, charSpacing, wordSpacing, horizontalScale, rise } = text;
+    const rewritten = [];
+    let kept = '';
+    let removedRun = '';
+    let removedAny = false;
+
+    const flushKept = () => {
+      if (kept) rewritten.push({ type: 'string', value: kept });
+      kept = '';
+    };
+    const flushRemoved = () => {
+      if (removedRun.trim()) report.removedText.push(removedRun.trim());
+      removedRun = '';
+    };
+    const pushAdjustment = (value) => {
+      const last = rewritten[rewritten.length - 1];
+      if (last?.type === 'number') last.value += value;
+      else rewritten.push({ type: 'number', value });
+    };
+    const advance = (tx) => {
+      textMatrix = multiplyMatrices([1, 0, 0, 1, tx, 0], textMatrix);
+    };
+
+    items.forEach((item) => {
+      if (item.type === 'number') {
+        flushKept();
+        pushAdjustment(item.value);
+        advance((-item.value / 1000) * fontSize * horizontalScale);
+        return;
+      }
+      if (item.type !== 'string') return;
+
+      const bytesPerCode = font?.bytesPerCode || 1;
+      for (let i = 0; i < item.value.length; i += bytesPerCode) {
+        const bytes = item.value.slice(i, i + bytesPerCode);
+        const code = [...bytes].reduce(
+          (total, char) => total * 256 + char.charCodeAt(0),
+          0
+        );
+        const glyphWidth = font ? font.widthOf(code) : 0.5;
+        const isSpace = bytesPerCode === 1 && code === 32;
+        const spacing = charSpacing + (isSpace ? wordSpacing : 0);
+        const tx = (glyphWidth * fontSize + spacing) * horizontalScale;
+        const renderMatrix = multiplyMatrices(
+          [fontSize * horizontalScale, 0, 0, fontSize, 0, rise],
+          multiplyMatrices(textMatrix, ctm)
+        );
+        const box = transformBounds(renderMatrix, {
+          x1: 0,
+          y1: GLYPH_DESCENT,
+          x2: Math.max(glyphWidth, 0.05),
+          y2: GLYPH_ASCENT
+        });
+
+        const covering = areas.filter((area) => coversGlyph(box, area));
+        if (covering.length) {
+          covering.forEach((area) => {
+            area.hit = true;
+          });
+          removedAny = true;
+          removedRun += font ? font.textOf(code) : '';
+          flushKept();
+          if (fontSize && horizontalScale) {
+            pushAdjustment((-tx / horizontalScale / fontSize) * 1000);
+          }
+        } else {
+          flushRemoved();
+          kept += bytes;
+        }
+        advance(tx);
+      }
+    });
+    flushKept();
+    flushRemoved();
+    return removedAny ? rewritten : null;
+  };
+
+  const emitText = (operation, items, prefix = []) => {
+    const rewritten = showText(items);
+    if (!rewritten) {
+      output.push(operation);
+      return;
+    }
+    changed = true;
+    report.textRemoved = true;
+    output.push(...prefix, createOperation('TJ', [{ type: 'array', items: rewritten }]));
+  };
+
+  const redactXObject = (operation) => {
+    const name = operation.operands[0]?.value;
+    const ref = resourceRef(resources, 'XObject', name);
+    const xObject = ref && context.lookupMaybe(ref, PDFStream);
+    if (!xObject) {
+      output.push(operation);
+      return;
+    }
+    const subtype = xObject.dict
+      .lookupMaybe(PDFName.of('Subtype'), PDFName)
+      ?.decodeText();
+
+    if (subtype === 'Image' && textOnly) {
+      output.push(operation);
+      return;
+    }
+    if (subtype === 'Image') {
+      const bounds = transformBounds(ctm, { x1: 0, y1: 0, x2: 1, y2: 1 });
+      if (!touchesArea(bounds)) {
+        output.push(operation);
+        return;
+      }
+      const inverse = invertMatrix(ctm);
+      const job = imageJobs.get(ref) || { stream: xObject, regions: [] };
+      if (inverse) {
+        job.regions.push(...areas.map((area) => transformBounds(inverse, area)));
+      }
+      imageJobs.set(ref, job);
+      output.push(operation);
+      return;
+    }
+
+    if (subtype !== 'Form' || depth >= MAX_FORM_DEPTH) {
+      if (subtype === 'Form') {
+        report.failures.push('A deeply nested form was left as is.');
+      }
+      output.push(operation);
+      return;
+    }
+
+    const formMatrix = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+    const matrix = multiplyMatrices(
+      formMatrix
+        ? formMatrix.asArray().map((value) => value.asNumber())
+        : IDENTITY_MATRIX,
+      ctm
+    );
+    const bbox = xObject.dict.lookupMaybe(PDFName.of('BBox'), PDFArray);
+    if (bbox) {
+      const [x1, y1, x2, y2] = bbox.asArray().map((value) => value.asNumber());
+      const bounds = transformBounds(matrix, {
+        x1: Math.min(x1, x2),
+        y1: Math.min(y1, y2),
+        x2: Math.max(x1, x2),
+        y2: Math.max(y1, y2)
+      });
+      if (!touchesArea(bounds)) {
+        output.push(operation);
+        return;
+      }
+    }
+
+    const formResources =
+      xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+    const result = redactOperations(parseContentStream(readStreamBytes(xObject)), {
+      ...scope,
+      resources: formResources,
+      matrix,
+      depth: depth + 1
+    });
+    if (!result.changed) {
+      output.push(operation);
+      return;
+    }
+    changed = true;
+    const bytes = serializeOperations(result.operations);
+    context.assign(ref, replaceStream(context, xObject, bytes));
+    output.push(operation);
+  };
+
+  operations.forEach((operation) => {
+    const { operator, operands } = operation;
+    const numbers = operands.map((operand) => operand.value);
+
+    if (PATH_OPERATORS.has(operator)) {
+      pathOperations.push(operation);
+      if (operator === 're') {
+        const [x, y, width, height] = numbers;
+        addPathPoint(x, y);
+        addPathPoint(x + width, y + height);
+        addPathPoint(x + width, y);
+        addPathPoint(x, y + height);
+      } else {
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+          addPathPoint(numbers[i], numbers[i + 1]);
+        }
+      }
+      return;
+    }
+    if (operator === 'W' || operator === 'W*') {
+      clipping = true;
+      pathOperations.push(operation);
+      return;
+    }
+    if (PAINT_OPERATORS.has(operator)) {
+      const painted = operator !== 'n' && pathPoints.length;
+      if (painted && !textOnly && touchesArea(boundsOfPoints(pathPoints))) {
+        changed = true;
+        const trimmed = clipping ? null : trimPath(pathOperations, operator, ctm, areas);
+        if (trimmed) {
+          if (trimmed.length) output.push(...trimmed, operation);
+        } else {
+          report.pathsRemoved += 1;
+          // Keep any clip the path also sets so the rest of the page is unchanged.
+          if (clipping) output.push(...pathOperations, createOperation('n'));
+        }
+      } else {
+        output.push(...pathOperations, operation);
+      }
+      pathOperations = [];
+      pathPoints = [];
+      clipping = false;
+      return;
+    }
+
+    switch (operator) {
+      case 'q':
+        stack.push({ ctm, text: { ...text } });
+        break;
+      case 'Q':
+        if (stack.length) ({ ctm, text } = stack.pop());
+        break;
+      case 'cm':
+        ctm = multiplyMatrices(numbers, ctm);
+        break;
+      case 'BT':
+        textMatrix = IDENTITY_MATRIX;
+        lineMatrix = IDENTITY_MATRIX;
+        break;
+      case 'Tf': {
+        const fontDict = resourceEntry(resources, 'Font', numbers[0], PDFDict);
+        if (fontDict && !fontCache.has(fontDict)) {
+          fontCache.set(fontDict, loadFontMetrics(fontDict));
+        }
+        text.font = fontDict ? fontCache.get(fontDict) : null;
+        text.fontSize = numbers[1] || 0;
+        break;
+      }
+      case 'Tc':
+        text.charSpacing = numbers[0] || 0;
+        break;
+      case 'Tw':
+        text.wordSpacing = numbers[0] || 0;
+        break;
+      case 'Tz':
+        text.horizontalScale = (numbers[0] ?? 100) / 100;
+        break;
+      case 'TL':
+        text.leading = numbers[0] || 0;
+        break;
+      case 'Ts':
+        text.rise = numbers[0] || 0;
+        break;
+      case 'Td':
+        moveLine(numbers[0] || 0, numbers[1] || 0);
+        break;
+      case 'TD':
+        text.leading = -(numbers[1] || 0);
+        moveLine(numbers[0] || 0, numbers[1] || 0);
+        break;
+      case 'Tm':
+        lineMatrix = numbers.slice(0, 6);
+        textMatrix = lineMatrix;
+        break;
+      case 'T*':
+        moveLine(0, -text.leading);
+        break;
+      case 'Tj':
+        emitText(operation, operands);
+        return;
+      case 'TJ':
+        emitText(operation, operands[0]?.items || []);
+        return;
+      case "'":
+        moveLine(0, -text.leading);
+        emitText(operation, operands, [createOperation('T*')]);
+        return;
+      case '"': {
+        const [wordSpacing, charSpacing, string] = operands;
+        text.wordSpacing = wordSpacing?.value || 0;
+        text.charSpacing = charSpacing?.value || 0;
+        moveLine(0, -text.leading);
+        emitText(operation, [string], [
+          createOperation('Tw', [wordSpacing]),
+          createOperation('Tc', [charSpacing]),
+          createOperation('T*')
+        ]);
+        return;
+      }
+      case 'Do':
+        redactXObject(operation);
+        return;
+      case 'BI': {
+        const bounds = transformBounds(ctm, { x1: 0, y1: 0, x2: 1, y2: 1 });
+        if (!textOnly && touchesArea(bounds)) {
+          changed = true;
+          report.imagesRemoved += 1;
+          return;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    output.push(operation);
+  });
+
+  // A dangling path without a paint operator draws nothing, keep it verbatim.
+  output.push(...pathOperations);
+  return { operations: output, changed };
+};
+
+const numbers = (values) => values.map((value) => ({ type: 'number', value }));
+
+const fillOperations = (boxes) => [
+  createOperation('q'),
+  ...boxes.flatMap((box) => [
+    createOperation('rg', numbers(hexToComponents(box.fillColor))),
+    createOperation('re', numbers([box.x1, box.y1, box.x2 - box.x1, box.y2 - box.y1])),
+    createOperation('f')
+  ]),
+  createOperation('Q')
+];
+
+const groupAreasByPage = (pages, areas, fillColor, report) => {
+  const byPage = new Map();
+  areas.forEach((area, index) => {
+    if (!pages[area.pageIndex]) {
+      report.failures.push(`Page ${area.pageIndex + 1} does not exist.`);
+      return;
+    }
+    const box = {
+      x1: area.x,
+      y1: area.y,
+      x2: area.x + area.width,
+      y2: area.y + area.height,
+      fillColor: area.fillColor || fillColor,
+      index
+    };
+    byPage.set(area.pageIndex, [...(byPage.get(area.pageIndex) || []), box]);
+  });
+  return byPage;
+};
+
+const pageContentBytes = (page) => {
+  const contents = page.node.Contents();
+  if (!contents) return new Uint8Array();
+  const streams =
+    contents instanceof PDFArray
+      ? contents.asArray().map((ref) => page.doc.context.lookup(ref, PDFStream))
+      : [contents];
+  return streams
+    .map((stream) => bytesToBinary(readStreamBytes(stream)))
+    .join('\n');
+};
+
+// Rewrites a page's content with the areas taken out. Returns the error when
+// the content could not be parsed; it is left untouched in that case.
+const rewritePageContent = (pdfDoc, page, boxes, scope) => {
+  let operations;
+  try {
+    const result = redactOperations(parseContentStream(pageContentBytes(page)), {
+      ...scope,
+      areas: boxes,
+      resources: page.node.Resources(),
+      context: pdfDoc.context,
+      matrix: IDENTITY_MATRIX,
+      depth: 0
+    });
+    operations = [createOperation('q'), ...result.operations, createOperation('Q')];
+  } catch (error) {
+    return error;
+  }
+  const contents = pdfDoc.context.flateStream(serializeOperations(operations));
+  page.node.set(PDFName.of('Contents'), pdfDoc.context.register(contents));
+  return null;
+};
+
+const collectReachable = (context, object, reachable) => {
+  const pending = [object];
+  while (pending.length) {
+    const item = pending.pop();
+    if (item instanceof PDFRef) {
+      if (reachable.has(item)) continue;
+      reachable.add(item);
+      pending.push(context.lookup(item));
+    } else if (item instanceof PDFDict) {
+      pending.push(...item.values());
+    } else if (item instanceof PDFArray) {
+      pending.push(...item.asArray());
+    } else if (item instanceof PDFStream) {
+      pending.push(item.dict);
+    }
+  }
+  return reachable;
+};
+
+// pdf-lib writes every object it holds, referenced or not. Replaced content
+// streams, removed annotations and unlinked metadata would otherwise still be
+// in the saved file.
+const removeUnreachableObjects = (pdfDoc) => {
+  const { context } = pdfDoc;
+  const reachable = new Set();
+  Object.values(context.trailerInfo).forEach((entry) => {
+    if (entry) collectReachable(context, entry, reachable);
+  });
+  context.enumerateIndirectObjects().forEach(([ref]) => {
+    if (!reachable.has(ref)) context.delete(ref);
+  });
+};
+
+const hexOf = (text, digits) =>
+  [...text].map((char) => char.charCodeAt(0).toString(16).padStart(digits, '0')).join('');
+
+// Images and font programs are binary data that hold no text strings.
+const holdsText = (stream) => {
+  const subtype = stream.dict.lookup(PDFName.of('Subtype'))?.toString();
+  return (
+    !['/Image', '/Type1C', '/CIDFontType0C', '/OpenType'].includes(subtype) &&
+    !stream.dict.has(PDFName.of('Length1'))
+  );
+};
+
+// Looks for removed text in the saved file, as plain or hex strings in any
+// object or content stream. Text in fonts with two-byte codes cannot be
+// found this way.
+const findRemainingText = async (bytes, runs) => {
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const sources = [];
+  pdfDoc.context.enumerateIndirectObjects().forEach(([, object]) => {
+    if (!(object instanceof PDFStream)) {
+      sources.push(object.toString());
+      return;
+    }
+    if (!holdsText(object)) return;
+    try {
+      sources.push(bytesToBinary(readStreamBytes(object)));
+    } catch {
+      // Streams in encodings pdf-lib cannot decode hold no text we could find.
+    }
+  });
+  const haystack = sources.join('\n').toLowerCase();
+  return runs.filter((run) =>
+    [run, hexOf(run, 2), hexOf(run, 4)].some((form) =>
+      haystack.includes(form.toLowerCase())
+    )
+  );
+};
+
+const addFillContent = (pdfDoc, page, boxes) => {
+  if (!boxes.length) return;
+  const contents = pdfDoc.context.flateStream(serializeOperations(fillOperations(boxes)));
+  page.node.addContentStream(pdfDoc.context.register(contents));
+};
+
+const annotationBounds = (annot) => {
+  const rect = annot.lookupMaybe(PDFName.of('Rect'), PDFArray);
+  if (!rect) return null;
+  const [x1, y1, x2, y2] = rect.asArray().map((value) => value.asNumber());
+  return {
+    x1: Math.min(x1, x2),
+    y1: Math.min(y1, y2),
+    x2: Math.max(x1, x2),
+    y2: Math.max(y1, y2)
+  };
+};
+
+// Removes annotations under the areas. Widgets take their field with them
+// when every widget of the field is covered.
+const redactAnnotations = (pdfDoc, page, areas, report, widgetOwners) => {
+  const annots = page.node.Annots();
+  if (!annots) return;
+  annots.asArray().forEach((ref) => {
+    const annot = pdfDoc.context.lookup(ref);
+    if (!(annot instanceof PDFDict)) return;
+    const bounds = annotationBounds(annot);
+    if (!bounds || !areas.some((area) => intersects(bounds, area))) return;
+
+    const subtype = annot.lookupMaybe(PDFName.of('Subtype'), PDFName)?.decodeText();
+    if (subtype === 'Popup') return;
+    report.annotationsRemoved += 1;
+    if (subtype !== 'Widget') {
+      const popup = annot.get(PDFName.of('Popup'));
+      if (popup instanceof PDFRef) page.node.removeAnnot(popup);
+      page.node.removeAnnot(ref);
+      return;
+    }
+
+    const owner = widgetOwners.get(annot);
+    if (!owner) {
+      page.node.removeAnnot(ref);
+      return;
+    }
+    const widgets = owner.acroField.getWidgets();
+    if (widgets.length <= 1) {
+      owner.form.removeField(owner.field);
+      return;
+    }
+    owner.acroField.removeWidget(widgets.findIndex((widget) => widget.dict === annot));
+    page.node.removeAnnot(ref);
+  });
+};
+
+const escapePattern = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const scrubText = (value, pattern) =>
+  value.replace(pattern, '').replace(/\s{2,}/g, ' ').trim();
+
+const termPattern = (terms) => new RegExp(terms.map(escapePattern).join('|'), 'gi');
+
+const metadataTextFields = [
+  'title',
+  'author',
+  'subject',
+  'keywords',
+  'creator',
+  'producer'
+];
+
+// Document properties edited in the app are written after redaction, so they
+// go through the same scrub as the Info dictionary.
+export const scrubMetadataValues = (metadata, terms) => {
+  if (!terms?.length) return metadata;
+  const pattern = termPattern(terms);
+  const scrubbed = { ...metadata };
+  metadataTextFields.forEach((field) => {
+    scrubbed[field] = scrubText(metadata[field] || '', pattern);
+  });
+  scrubbed.custom = (metadata.custom || [])
+    .map((entry) =>
+      entry.kept ? entry : { ...entry, value: scrubText(entry.value, pattern) }
+    )
+    .filter((entry) => entry.value !== '');
+  return scrubbed;
+};
+
+const scrubMetadata = (pdfDoc, terms, pattern, report) => {
+  const info = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Info);
+  if (info instanceof PDFDict) {
+    info.entries().forEach(([key, value]) => {
+      const object = pdfDoc.context.lookup(value);
+      if (!(object instanceof PDFString || object instanceof PDFHexString)) return;
+      const text = object.decodeText();
+      pattern.lastIndex = 0;
+      if (!pattern.test(text)) return;
+      const scrubbed = scrubText(text, pattern);
+      if (scrubbed) info.set(key, PDFHexString.fromText(scrubbed));
+      else info.delete(key);
+      report.metadataScrubbed += 1;
+    });
+  }
+
+  // XMP packets are rewritten wholesale by most tools, so drop a matching one.
+  const metadata = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+  if (metadata) {
+    let xmp = '';
+    try {
+      xmp = new TextDecoder().decode(readStreamBytes(metadata)).toLowerCase();
+    } catch {
+      report.failures.push('The XMP metadata could not be read to check it.');
+      return;
+    }
+    if (terms.some((term) => xmp.includes(term.toLowerCase()))) {
+      // The stream itself goes when unreachable objects are removed.
+      pdfDoc.catalog.delete(PDFName.of('Metadata'));
+      report.metadataScrubbed += 1;
+    }
+  }
+};
+
+const scrubFormValues = (form, pattern, report) => {
+  form.getFields().forEach((field) => {
+    try {
+      if (field instanceof PDFTextField) {
+        const value = field.getText() || '';
+        pattern.lastIndex = 0;
+        if (!pattern.test(value)) return;
+        field.setText(scrubText(value, pattern) || undefined);
+        report.formValuesScrubbed += 1;
+        return;
+      }
+      if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        const matches = field.getSelected().some((value) => {
+          pattern.lastIndex = 0;
+          return pattern.test(value);
+        });
+        if (!matches) return;
+        field.clear();
+        report.formValuesScrubbed += 1;
+      }
+    } catch (error) {
+      report.failures.push(`Field "${field.getName()}" could not be scrubbed.`);
+    }
+  });
+};
+
+export const redactPdf = async (
+  pdfBytes,
+  areas,
+  { fillColor = '#000000', scrubMetadata: scrubInfo, scrubFormValues: scrubForm } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const report = {
+    removedText: [],
+    textRemoved: false,
+    pathsRemoved: 0,
+    imagesEdited: 0,
+    imagesRemoved: 0,
+    annotationsRemoved: 0,
+    metadataScrubbed: 0,
+    formValuesScrubbed: 0,
+    redactedTerms: [],
+    failures: []
+  };
+
+  const form = pdfDoc.getForm();
+  const widgetOwners = new Map();
+  form.getFields().forEach((field) => {
+    field.acroField.getWidgets().forEach((widget) => {
+      widgetOwners.set(widget.dict, { form, field, acroField: field.acroField });
+    });
+  });
+
+  const byPage = groupAreasByPage(pages, areas, fillColor, report);
+  const fontCache = new Map();
+  const imageJobs = new Map();
+
+  byPage.forEach((boxes, pageIndex) => {
+    const page = pages[pageIndex];
+    const error = rewritePageContent(pdfDoc, page, boxes, {
+      fontCache,
+      report,
+      imageJobs
+    });
+    if (error) {
+      report.failures.push(
+        `Page ${pageIndex + 1}: the content could not be rewritten and is only covered ` +
+          `(${error.message}).`
+      );
+    }
+    addFillContent(pdfDoc, page, boxes);
+
+    redactAnnotations(pdfDoc, page, boxes, report, widgetOwners);
+  });
+  await redactImages(pdfDoc.context, imageJobs, report);
+
+  // Runs are split into words, so a box that clips a neighbouring letter
+  // still scrubs the words it fully covers.
+  const terms = [
+    ...new Set(report.removedText.flatMap((run) => run.split(/\s+/)))
+  ].filter((term) => term.length >= MIN_TERM_LENGTH);
+  report.redactedTerms = terms;
+  if (terms.length && (scrubInfo || scrubForm)) {
+    const pattern = termPattern(terms);
+    if (scrubInfo) scrubMetadata(pdfDoc, terms, pattern, report);
+    if (scrubForm) scrubFormValues(form, pattern, report);
+  }
+
+  removeUnreachableObjects(pdfDoc);
+  const bytes = await pdfDoc.save();
+  const runs = [...new Set(report.removedText)].filter(
+    (run) => run.length >= MIN_TERM_LENGTH
+  );
+  (await findRemainingText(bytes, runs)).forEach((run) => {
+    report.failures.push(`"${run}" was redacted but still appears in the saved file.`);
+  });
+  return { bytes, report };
+};
+
+// Removes only the glyphs under `areas`, for replacing text in place. Areas
+// where no glyph could be removed are painted with `coverColor` instead and
+// their indices are listed in `covered`.
+export const removeTextInAreas = async (
+  pdfBytes,
+  areas,
+  { coverColor = '#ffffff' } = {}
+) => {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const report = { removedText: [], textRemoved: false, failures: [] };
+  const byPage = groupAreasByPage(pages, areas, coverColor, report);
+  const fontCache = new Map();
+  const imageJobs = new Map();
+
+  byPage.forEach((boxes, pageIndex) => {
+    const page = pages[pageIndex];
+    rewritePageContent(pdfDoc, page, boxes, {
+      fontCache,
+      report,
+      imageJobs,
+      textOnly: true
+    });
+    addFillContent(pdfDoc, page, boxes.filter((box) => !box.hit));
+  });
+  removeUnreachableObjects(pdfDoc);
+
+  const covered = Array.from(byPage.values())
+    .flat()
+    .filter((box) => !box.hit)
+    .map((box) => box.index);
+  return { bytes: await pdfDoc.save(), covered };
+};
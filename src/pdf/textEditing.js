@@ -0,0 +1,107 @@
+import { OPS } from 'pdfjs-dist';
+
+// Reads editable text runs from a pdf.js document. Positions are in PDF user
+// space so they survive zooming; only upright, horizontal runs are offered.
+
+const SUBSET_PREFIX = /^[A-Z]{6}\+/;
+
+// Picks the standard font closest to an embedded one by its name, falling
+// back to the generic family pdf.js reports for the run.
+export const matchStandardFont = (fontName = '', cssFamily = '') => {
+  const name = fontName.replace(SUBSET_PREFIX, '').toLowerCase();
+  let fontFamily = 'helvetica';
+  if (/courier|mono|consol/.test(name) || (!name && cssFamily === 'monospace')) {
+    fontFamily = 'courier';
+  } else if (/sans|arial|helvetica|verdana|calibri/.test(name)) {
+    fontFamily = 'helvetica';
+  } else if (/times|roman|serif|georgia|garamond|cambria|minion|palatino/.test(name)) {
+    fontFamily = 'times';
+  } else if (!name && cssFamily === 'serif') {
+    fontFamily = 'times';
+  }
+  return {
+    fontFamily,
+    fontWeight: /bold|black|heavy|demi|semibold/.test(name) ? 'bold' : 'normal',
+    fontStyle: /italic|oblique/.test(name) ? 'italic' : 'normal'
+  };
+};
+
+// The box a run's glyphs occupy, reaching below the baseline for descenders.
+export const textRunBounds = ({ x, y, width, fontSize }) => ({
+  x: x - 0.5,
+  y: y - fontSize * 0.25,
+  width: width + 1,
+  height: fontSize * 1.15
+});
+
+const isUpright = ([a, b, c, d]) =>
+  a > 0 && d > 0 && Math.abs(b) < 0.01 && Math.abs(c) < 0.01;
+
+const hexColor = (rgb) =>
+  `#${Array.from(rgb, (value) => value.toString(16).padStart(2, '0')).join('')}`;
+
+// The fill colour of every shown character, in content order. pdf.js turns
+// all fill colours into RGB in the operator list but leaves them out of the
+// text content, so the two are matched up character by character.
+const readTextColors = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const stack = [];
+  let color = '#000000';
+  let text = '';
+  const colors = [];
+  fnArray.forEach((fn, index) => {
+    const args = argsArray[index];
+    if (fn === OPS.save || fn === OPS.paintFormXObjectBegin) {
+      stack.push(color);
+    } else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) {
+      color = stack.pop() ?? color;
+    } else if (fn === OPS.setFillRGBColor) {
+      color = hexColor(args);
+    } else if (fn === OPS.showText) {
+      args[0].forEach((glyph) => {
+        const value = (glyph?.unicode || '').replace(/\s/g, '');
+        text += value;
+        colors.push(...Array(value.length).fill(color));
+      });
+    }
+  });
+
+  let cursor = 0;
+  return (str) => {
+    const value = str.replace(/\s/g, '');
+    const start = text.indexOf(value, cursor);
+    if (start < 0) return '#000000';
+    cursor = start + value.length;
+    return colors[start];
+  };
+};
+
+export const readTextRuns = async (pdfDoc) => {
+  const runs = [];
+  for (let pageIndex = 0; pageIndex < pdfDoc.numPages; pageIndex += 1) {
+    const page = await pdfDoc.getPage(pageIndex + 1);
+    const { items, styles } = await page.getTextContent();
+    const colorOf = await readTextColors(page);
+    items.forEach((item, index) => {
+      if (!item.str?.trim()) return;
+      const color = colorOf(item.str);
+      if (!isUpright(item.transform)) return;
+      // Font objects are only available once the page has been rendered.
+      const font = page.commonObjs.has(item.fontName)
+        ? page.commonObjs.get(item.fontName)
+        : null;
+      runs.push({
+        id: `${pageIndex}-${index}`,
+        pageIndex,
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        fontSize: item.transform[3],
+        color,
+        ...matchStandardFont(font?.name, styles[item.fontName]?.fontFamily)
+      });
+    });
+  }
+  return runs;
+};
@@ -0,0 +1,309 @@
+// Line breaking and alignment for text boxes. The editor preview and the
+// export both run this with widths from the PDF fonts, so lines break at the
+// same points in both.
+//
+// Text is a list of styled runs: `{ text, fontWeight, fontStyle, underline,
+// strike, color, size }`. Keys a run leaves out fall back to the box's style.
+
+export const TEXT_BOX_PADDING = 4;
+export const DEFAULT_LINE_SPACING = 1.2;
+
+export const textAlignOptions = [
+  { value: 'left', label: 'Left' },
+  { value: 'center', label: 'Center' },
+  { value: 'right', label: 'Right' },
+  { value: 'justify', label: 'Justify' }
+];
+
+export const runStyleKeys = [
+  'fontWeight',
+  'fontStyle',
+  'underline',
+  'strike',
+  'color',
+  'size'
+];
+
+export const textBoxContentWidth = (width, padding = TEXT_BOX_PADDING) =>
+  Math.max(width - padding * 2, 40);
+
+export const textBorderStyles = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'dashed', label: 'Dashed' }
+];
+
+const defaultTextBoxStyle = {
+  fill: '',
+  fillOpacity: 1,
+  borderColor: '#0d1117',
+  borderWidth: 0,
+  borderStyle: 'solid',
+  radius: 0,
+  padding: TEXT_BOX_PADDING
+};
+
+export const textBoxStyle = (draft) => ({ ...defaultTextBoxStyle, ...draft.box });
+
+export const textBoxDashArray = (borderWidth) => [borderWidth * 3, borderWidth * 2];
+
+// Outline of a text box as an SVG path from its top-left corner, y down. The
+// border is kept inside the box, as CSS does, by tracing half its width in.
+// The editor draws this same path, so dashes start and fall in the same
+// places on screen and on the page.
+export const textBoxFramePath = (width, height, { borderWidth = 0, radius = 0 } = {}) => {
+  const inset = borderWidth / 2;
+  const w = Math.max(width - borderWidth, 0);
+  const h = Math.max(height - borderWidth, 0);
+  const r = Math.min(Math.max(radius - inset, 0), w / 2, h / 2);
+  const left = inset;
+  const top = inset;
+  const right = inset + w;
+  const bottom = inset + h;
+  const corner = (x, y) => (r ? `A ${r} ${r} 0 0 1 ${x} ${y}` : '');
+  return [
+    `M ${left + r} ${top}`,
+    `H ${right - r}`,
+    corner(right, top + r),
+    `V ${bottom - r}`,
+    corner(right - r, bottom),
+    `H ${left + r}`,
+    corner(left, bottom - r),
+    `V ${top + r}`,
+    corner(left + r, top),
+    'Z'
+  ]
+    .filter(Boolean)
+    .join(' ');
+};
+
+const sameStyle = (a, b) => runStyleKeys.every((key) => a[key] === b[key]);
+
+const pickStyle = (source) =>
+  Object.fromEntries(runStyleKeys.map((key) => [key, source[key]]));
+
+// Joins neighbours that look the same and drops empty runs, keeping one so
+// an empty box still has a style to type with.
+export const normalizeRuns = (runs) => {
+  const merged = [];
+  runs.forEach((run) => {
+    const last = merged[merged.length - 1];
+    if (last && sameStyle(last, run)) {
+      last.text += run.text;
+    } else if (run.text) {
+      merged.push({ ...run });
+    }
+  });
+  return merged.length ? merged : [{ ...runs[0], text: '' }];
+};
+
+// Drafts made before runs existed have a single style for all of their text.
+export const textDraftRuns = (draft) =>
+  draft.runs?.length ? draft.runs : [{ ...pickStyle(draft), text: draft.text || '' }];
+
+export const withBaseStyle = (run, base) => ({
+  ...base,
+  ...Object.fromEntries(Object.entries(run).filter(([, value]) => value !== undefined))
+});
+
+export const runsText = (runs) => runs.map((run) => run.text).join('');
+
+export const styleAtOffset = (runs, offset) => {
+  let end = 0;
+  for (const run of runs) {
+    end += run.text.length;
+    if (offset < end || (offset === end && run === runs[runs.length - 1])) {
+      return pickStyle(run);
+    }
+  }
+  return pickStyle(runs[runs.length - 1] || {});
+};
+
+// Restyles the characters between two offsets, splitting runs at the edges.
+export const applyRunStyle = (runs, start, end, updates) => {
+  const next = [];
+  let offset = 0;
+  runs.forEach((run) => {
+    const runStart = offset;
+    const runEnd = offset + run.text.length;
+    offset = runEnd;
+    const from = Math.max(start, runStart) - runStart;
+    const to = Math.min(end, runEnd) - runStart;
+    if (from >= to) {
+      next.push(run);
+      return;
+    }
+    if (from > 0) next.push({ ...run, text: run.text.slice(0, from) });
+    next.push({ ...run, ...updates, text: run.text.slice(from, to) });
+    if (to < run.text.length) next.push({ ...run, text: run.text.slice(to) });
+  });
+  return normalizeRuns(next);
+};
+
+// Letter spacing (Tc) is added after every character, so a fragment of n
+// characters advances by its width plus n spacings; the very last one on a
+// line is not part of what is visible.
+const advanceOf = (measure, fragment, letterSpacing) =>
+  measure(fragment.run, fragment.text) + letterSpacing * [...fragment.text].length;
+
+const fragmentsOf = (chars) => {
+  const fragments = [];
+  chars.forEach(({ char, run }) => {
+    const last = fragments[fragments.length - 1];
+    if (last && last.run === run) {
+      last.text += char;
+    } else {
+      fragments.push({ run, text: char });
+    }
+  });
+  return fragments;
+};
+
+// Paragraphs of words, where each word is a list of characters that remember
+// their run. The run of the space before a word sets that space's width.
+const splitWords = (runs) => {
+  const paragraphs = [[]];
+  let word = null;
+  let spaceRun = null;
+  runs.forEach((run) => {
+    [...run.text].forEach((char) => {
+      if (char === '\n') {
+        paragraphs.push([]);
+        word = null;
+        spaceRun = null;
+      } else if (/\s/.test(char)) {
+        word = null;
+        spaceRun = spaceRun || run;
+      } else {
+        if (!word) {
+          word = { chars: [], spaceRun, run };
+          paragraphs[paragraphs.length - 1].push(word);
+          spaceRun = null;
+        }
+        word.chars.push({ char, run });
+      }
+    });
+  });
+  return paragraphs;
+};
+
+const lineFragments = (words) =>
+  words.flatMap((word, index) => {
+    const fragments = fragmentsOf(word.chars);
+    if (index === 0) return fragments;
+    return [{ run: word.spaceRun || word.run, text: ' ', space: true }, ...fragments];
+  });
+
+const wrapWords = (runs, { measure, maxWidth, letterSpacing }) => {
+  const widthOf = (words) => {
+    const fragments = lineFragments(words);
+    const advance = fragments.reduce(
+      (total, fragment) => total + advanceOf(measure, fragment, letterSpacing),
+      0
+    );
+    return fragments.length ? advance - letterSpacing : 0;
+  };
+  const fits = (words) => !maxWidth || widthOf(words) <= maxWidth;
+
+  // A word wider than the line is cut between characters. Each piece keeps at
+  // least one character so a very narrow box still makes progress.
+  const breakWord = (word) => {
+    const pieces = [];
+    let chars = [];
+    word.chars.forEach((item) => {
+      if (chars.length && !fits([{ ...word, chars: [...chars, item] }])) {
+        pieces.push({ ...word, chars });
+        chars = [];
+      }
+      chars.push(item);
+    });
+    if (chars.length) pieces.push({ ...word, chars });
+    return pieces;
+  };
+
+  const lines = [];
+  splitWords(runs).forEach((paragraph) => {
+    let words = [];
+    paragraph.forEach((word) => {
+      (fits([word]) ? [word] : breakWord(word)).forEach((piece) => {
+        if (words.length && !fits([...words, piece])) {
+          lines.push({ words, lastInParagraph: false });
+          words = [];
+        }
+        words.push(piece);
+      });
+    });
+    lines.push({ words, lastInParagraph: true });
+  });
+  return { lines, widthOf };
+};
+
+// Returns lines with their baseline offset below the box's first baseline,
+// which sits one base font size under the top, and the pieces to draw.
+// Justified lines are drawn word by word, since word spacing (Tw) does not
+// apply to the two-byte encodings used by embedded fonts.
+export const layoutText = (
+  runs,
+  {
+    measure,
+    size,
+    maxWidth,
+    maxHeight,
+    lineSpacing = DEFAULT_LINE_SPACING,
+    letterSpacing = 0,
+    align = 'left'
+  }
+) => {
+  const sizeOf = (run) => run?.size || size;
+  const { lines: wrapped, widthOf } = wrapWords(runs, {
+    measure,
+    maxWidth,
+    letterSpacing
+  });
+  const widths = wrapped.map(({ words }) => widthOf(words));
+  const boxWidth = maxWidth || Math.max(0, ...widths);
+
+  let baseline = 0;
+  const lines = wrapped.map(({ words, lastInParagraph }, index) => {
+    const lineSize = Math.max(
+      ...words.flatMap((word) => word.chars.map((item) => sizeOf(item.run))),
+      words.length ? 0 : size
+    );
+    baseline = index === 0 ? lineSize - size : baseline + lineSize * lineSpacing;
+
+    const justify = align === 'justify' && !lastInParagraph && words.length > 1;
+    const gap = justify ? (boxWidth - widths[index]) / (words.length - 1) : 0;
+    let x = 0;
+    if (align === 'center') x = (boxWidth - widths[index]) / 2;
+    if (align === 'right') x = boxWidth - widths[index];
+    const lineX = x;
+
+    const pieces = [];
+    lineFragments(words).forEach((fragment) => {
+      const advance = advanceOf(measure, fragment, letterSpacing);
+      const last = pieces[pieces.length - 1];
+      if (!justify && last && last.run === fragment.run) {
+        last.text += fragment.text;
+        last.width += advance;
+      } else if (!(justify && fragment.space)) {
+        pieces.push({ run: fragment.run, text: fragment.text, x, width: advance });
+      }
+      x += advance + (fragment.space ? gap : 0);
+    });
+    pieces.forEach((piece) => {
+      piece.width -= letterSpacing;
+    });
+
+    return {
+      x: lineX,
+      width: justify ? boxWidth : widths[index],
+      baseline,
+      size: lineSize,
+      pieces
+    };
+  });
+
+  // Room for descenders below the last baseline counts toward the height.
+  const last = lines[lines.length - 1];
+  const height = size + last.baseline + last.size * 0.2;
+  return { lines, height, overflow: Boolean(maxHeight) && height > maxHeight + 0.01 };
+};